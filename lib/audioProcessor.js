@@ -0,0 +1,205 @@
+const path = require('path');
+
+// Настройки обработки звука по умолчанию (settings.audioProcessing)
+const DEFAULT_AUDIO_SETTINGS = {
+    trimSilence: false,
+    silenceThreshold: -40,   // dB, всё тише считается тишиной
+    minSilence: 0.3,         // с, минимальная длительность паузы для silencedetect
+    keepPadding: 0.15,       // с, сколько тишины оставить до и после речи
+    loudnorm: false,
+    targetLufs: -16,
+    truePeak: -1.5,
+    lra: 11,
+    denoise: false,
+    denoiseStrength: 12      // dB, параметр nr фильтра afftdn
+};
+
+// Обработка звука дубля перед склейкой: обрезка тишины по краям (silencedetect),
+// нормализация громкости EBU R128 в два прохода (loudnorm) и шумоподавление (afftdn)
+class AudioProcessor {
+    constructor(jobQueue) {
+        this.jobQueue = jobQueue;
+    }
+
+    static isEnabled(options) {
+        return Boolean(options && (options.trimSilence || options.loudnorm || options.denoise));
+    }
+
+    static resolveOptions(settings = {}, overrides = {}) {
+        return { ...DEFAULT_AUDIO_SETTINGS, ...settings, ...(overrides || {}) };
+    }
+
+    denoiseFilter(options) {
+        const strength = Math.min(97, Math.max(0.01, Number(options.denoiseStrength) || DEFAULT_AUDIO_SETTINGS.denoiseStrength));
+        return `afftdn=nr=${strength}`;
+    }
+
+    // Первый проход: только измерения, вывод в null
+    async analyze(filePath, options) {
+        const filters = [];
+        if (options.denoise) filters.push(this.denoiseFilter(options));
+        if (options.trimSilence) filters.push(`silencedetect=noise=${options.silenceThreshold}dB:d=${options.minSilence}`);
+        if (options.loudnorm) filters.push(`loudnorm=I=${options.targetLufs}:TP=${options.truePeak}:LRA=${options.lra}:print_format=json`);
+
+        const { promise } = this.jobQueue.enqueue({
+            type: 'merge',
+            label: `Анализ звука ${path.basename(filePath)}`,
+            args: ['-i', filePath, '-vn', '-af', filters.join(','), '-f', 'null', '-'],
+            captureStderr: true,
+            meta: { method: 'audio_analyze' }
+        });
+
+        const result = await promise;
+        return {
+            silences: options.trimSilence ? AudioProcessor.parseSilences(result.stderr) : [],
+            loudness: options.loudnorm ? AudioProcessor.parseLoudnorm(result.stderr) : null
+        };
+    }
+
+    // Второй проход: обрезка, шумоподавление и нормализация с измеренными значениями.
+    // copyArgs - кодеки для копии без обрезки: видео копируется, звук в кодеке контейнера
+    async process(filePath, outputFile, options, media, encodeArgs, copyArgs) {
+        const duration = media.duration;
+        const measured = await this.analyze(filePath, options);
+        const trim = options.trimSilence && duration
+            ? AudioProcessor.findTrim(measured.silences, duration, options.keepPadding)
+            : { start: 0, end: duration };
+
+        const filters = [];
+        if (options.denoise) filters.push(this.denoiseFilter(options));
+        // У тихого дубля loudnorm измеряет -inf, такое значение ffmpeg не примет
+        if (options.loudnorm && measured.loudness && !AudioProcessor.isSilent(measured.loudness)) {
+            const loudness = measured.loudness;
+            filters.push(`loudnorm=I=${options.targetLufs}:TP=${options.truePeak}:LRA=${options.lra}` +
+                `:measured_I=${loudness.input_i}:measured_TP=${loudness.input_tp}` +
+                `:measured_LRA=${loudness.input_lra}:measured_thresh=${loudness.input_thresh}` +
+                `:offset=${loudness.target_offset}:linear=true`);
+            // loudnorm повышает частоту до 192 кГц - возвращаем исходную
+            filters.push(`aresample=${media.sampleRate || 48000}`);
+        }
+
+        const trimmed = trim.start > 0 || (duration && trim.end < duration);
+        const args = ['-y'];
+        if (trimmed) args.push('-ss', trim.start.toFixed(3));
+        args.push('-i', filePath);
+        if (trimmed) args.push('-t', (trim.end - trim.start).toFixed(3));
+        if (filters.length > 0) args.push('-af', filters.join(','));
+
+        // Без обрезки видео не трогаем; точная обрезка требует перекодирования
+        args.push(...(trimmed ? encodeArgs : copyArgs));
+        args.push(outputFile);
+
+        const { promise } = this.jobQueue.enqueue({
+            type: 'merge',
+            label: `Обработка звука ${path.basename(filePath)}`,
+            args,
+            outputFile,
+            totalDuration: trimmed ? trim.end - trim.start : duration,
+            meta: { method: 'audio_process' }
+        });
+        await promise;
+
+        return AudioProcessor.buildReport(options, measured, trim, duration);
+    }
+
+    // silence_start/silence_end из stderr silencedetect
+    static parseSilences(stderr) {
+        const silences = [];
+        let current = null;
+
+        String(stderr).split(/\r?\n/).forEach(line => {
+            const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+            const end = /silence_end:\s*([\d.]+)/.exec(line);
+            if (start) {
+                current = { start: Math.max(0, parseFloat(start[1])), end: null };
+                silences.push(current);
+            } else if (end && current) {
+                current.end = parseFloat(end[1]);
+                current = null;
+            }
+        });
+
+        return silences;
+    }
+
+    // Последний JSON-блок в stderr - результат loudnorm print_format=json
+    static parseLoudnorm(stderr) {
+        const text = String(stderr);
+        const start = text.lastIndexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start < 0 || end < start) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Громкость не измерена: input_i = "-inf" у дубля без звука
+    static isSilent(loudness) {
+        return Boolean(loudness) && !Number.isFinite(parseFloat(loudness.input_i));
+    }
+
+    // Границы речи: тишина в начале и в конце дубля отрезается с запасом keepPadding
+    static findTrim(silences, duration, keepPadding = DEFAULT_AUDIO_SETTINGS.keepPadding) {
+        let start = 0;
+        let end = duration;
+        const edge = 0.05;
+
+        const leading = silences.find(silence => silence.start <= edge);
+        if (leading && leading.end) {
+            start = Math.max(0, leading.end - keepPadding);
+        }
+
+        const trailing = [...silences].reverse().find(silence => silence.end === null || silence.end >= duration - edge);
+        if (trailing && trailing.start > start) {
+            end = Math.min(duration, trailing.start + keepPadding);
+        }
+
+        // Если весь дубль - тишина, ничего не обрезаем
+        if (end - start < 0.5) {
+            return { start: 0, end: duration };
+        }
+        return { start, end };
+    }
+
+    static buildReport(options, measured, trim, duration) {
+        const silent = AudioProcessor.isSilent(measured.loudness);
+        const loudness = silent ? null : measured.loudness;
+        const report = {
+            originalDuration: duration,
+            trimmedStart: trim.start,
+            trimmedEnd: duration ? duration - trim.end : 0,
+            duration: trim.end - trim.start,
+            denoise: Boolean(options.denoise),
+            silent,
+            loudness: loudness ? {
+                inputLufs: parseFloat(loudness.input_i),
+                inputTruePeak: parseFloat(loudness.input_tp),
+                inputLra: parseFloat(loudness.input_lra),
+                targetLufs: options.targetLufs
+            } : null,
+            warnings: []
+        };
+
+        if (silent) {
+            report.warnings.push('в дубле нет звука - нормализация пропущена');
+        }
+        if (loudness) {
+            if (report.loudness.inputLufs < -35) report.warnings.push('очень тихая запись - проверьте микрофон');
+            if (report.loudness.inputTruePeak > -0.1) report.warnings.push('пики достигают 0 dBTP - возможен клиппинг');
+        }
+        if (duration && report.duration < duration * 0.5) {
+            report.warnings.push('больше половины дубля - тишина');
+        }
+
+        return report;
+    }
+}
+
+AudioProcessor.DEFAULT_AUDIO_SETTINGS = DEFAULT_AUDIO_SETTINGS;
+
+module.exports = AudioProcessor;
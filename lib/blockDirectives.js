@@ -0,0 +1,78 @@
+// Директивы OBS в тексте сценария - отдельные строки перед текстом блока:
+//   [scene: Экран+Камера]
+//   [mute: Desktop Audio]  /  [unmute: Mic/Aux]
+//   [volume: Mic/Aux = -6dB]
+const DIRECTIVE_LINE = /^\s*\[\s*(scene|mute|unmute|volume)\s*:\s*([^\]]+?)\s*\]\s*$/i;
+const VOLUME_VALUE = /^(.+?)\s*=\s*(-?\d+(?:[.,]\d+)?)\s*(?:db)?$/i;
+
+class BlockDirectives {
+    static isDirectiveLine(line) {
+        return DIRECTIVE_LINE.test(line);
+    }
+
+    static empty() {
+        return { scene: null, mute: [], unmute: [], volume: [] };
+    }
+
+    static isEmpty(directives) {
+        return !directives ||
+            (!directives.scene && directives.mute.length === 0 && directives.unmute.length === 0 && directives.volume.length === 0);
+    }
+
+    // Отделяет строки директив от текста блока: { text, directives, warnings }
+    static parse(blockText) {
+        const directives = BlockDirectives.empty();
+        const warnings = [];
+        const textLines = [];
+
+        String(blockText || '').split(/\r?\n/).forEach(line => {
+            const match = DIRECTIVE_LINE.exec(line);
+            if (!match) {
+                textLines.push(line);
+                return;
+            }
+
+            const kind = match[1].toLowerCase();
+            const value = match[2];
+
+            if (kind === 'scene') {
+                directives.scene = value;
+            } else if (kind === 'volume') {
+                const volume = VOLUME_VALUE.exec(value);
+                const volumeDb = volume ? parseFloat(volume[2].replace(',', '.')) : NaN;
+                if (!volume || volumeDb < -100 || volumeDb > 26) {
+                    warnings.push(`неверная директива громкости: [volume: ${value}] (ожидается "Источник = -6dB")`);
+                    return;
+                }
+                directives.volume.push({ inputName: volume[1], volumeDb });
+            } else {
+                // mute и unmute одного источника: действует последняя директива
+                const opposite = kind === 'mute' ? 'unmute' : 'mute';
+                directives[opposite] = directives[opposite].filter(name => name !== value);
+                if (!directives[kind].includes(value)) directives[kind].push(value);
+            }
+        });
+
+        return {
+            text: textLines.join('\n').trim(),
+            directives: BlockDirectives.isEmpty(directives) ? null : directives,
+            warnings
+        };
+    }
+
+    // Краткое описание для логов: "scene=Экран, mute=Desktop Audio"
+    static describe(directives) {
+        if (BlockDirectives.isEmpty(directives)) {
+            return '';
+        }
+
+        const parts = [];
+        if (directives.scene) parts.push(`scene=${directives.scene}`);
+        if (directives.mute.length > 0) parts.push(`mute=${directives.mute.join('|')}`);
+        if (directives.unmute.length > 0) parts.push(`unmute=${directives.unmute.join('|')}`);
+        directives.volume.forEach(volume => parts.push(`volume ${volume.inputName}=${volume.volumeDb}dB`));
+        return parts.join(', ');
+    }
+}
+
+module.exports = BlockDirectives;
@@ -0,0 +1,127 @@
+const ScriptParser = require('./scriptParser');
+
+// Название главы без заголовка # в сценарии - первые слова блока
+const TITLE_WORDS = 6;
+const MAX_TITLE_LENGTH = 60;
+
+// Требования YouTube к списку глав в описании: первая с 0:00, не меньше трех, каждая не короче 10 секунд
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_DURATION = 10;
+
+// Главы итогового видео из временной шкалы блоков (buildBlockTimeline):
+// каждый блок - глава; блоки подряд под одним заголовком # - одна глава с этим заголовком
+class Chapters {
+    static build(timeline) {
+        const blocks = timeline.filter(entry => entry.kind === 'block');
+        if (blocks.length === 0) {
+            return [];
+        }
+
+        const last = timeline[timeline.length - 1];
+        const end = last.start + last.duration;
+        const chapters = [];
+
+        blocks.forEach(entry => {
+            const previous = chapters[chapters.length - 1];
+            if (previous && entry.section && previous.section === entry.section) {
+                previous.blocks.push(entry.blockIndex);
+                return;
+            }
+            chapters.push({
+                title: entry.section || Chapters.titleFromText(entry.text) || `Блок ${chapters.length + 1}`,
+                section: entry.section || null,
+                start: entry.start,
+                blocks: [entry.blockIndex]
+            });
+        });
+
+        // Интро входит в первую главу, аутро - в последнюю
+        chapters[0].start = 0;
+        return chapters.map((chapter, index) => ({
+            index,
+            title: chapter.title,
+            start: chapter.start,
+            end: index < chapters.length - 1 ? chapters[index + 1].start : end,
+            blocks: chapter.blocks
+        }));
+    }
+
+    static titleFromText(text) {
+        const words = ScriptParser.spokenText(text || '').split(/\s+/).filter(Boolean);
+        let title = words.slice(0, TITLE_WORDS).join(' ');
+        if (title.length > MAX_TITLE_LENGTH) {
+            title = title.slice(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, '');
+        }
+        const truncated = title.length < words.join(' ').length;
+        title = title.replace(/[\s,;:.!?…—-]+$/, '');
+        return truncated ? `${title}…` : title;
+    }
+
+    // Почему YouTube не покажет главы из списка (пустой массив - покажет)
+    static youtubeWarnings(chapters) {
+        const warnings = [];
+        if (chapters.length < YOUTUBE_MIN_CHAPTERS) {
+            warnings.push(`YouTube показывает главы, только если их не меньше ${YOUTUBE_MIN_CHAPTERS}`);
+        }
+        const short = chapters.filter(chapter => chapter.end - chapter.start < YOUTUBE_MIN_DURATION);
+        if (short.length > 0) {
+            warnings.push(`Главы короче ${YOUTUBE_MIN_DURATION} с: ${short.map(chapter => chapter.index + 1).join(', ')}`);
+        }
+        return warnings;
+    }
+
+    // 75.4 -> "01:15", 3725 -> "1:02:05"
+    static formatYouTubeTime(seconds) {
+        const total = Math.floor(seconds);
+        const pad = (value) => String(value).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const rest = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+        return hours > 0 ? `${hours}:${rest}` : rest;
+    }
+
+    static toYouTube(chapters) {
+        return chapters.map(chapter => `${Chapters.formatYouTubeTime(chapter.start)} ${chapter.title}`).join('\n') + '\n';
+    }
+
+    // В FFmetadata спецсимволы = ; # \ и перевод строки экранируются обратной косой чертой
+    static escapeMetadata(value) {
+        return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+    }
+
+    static toFFMetadata(chapters) {
+        const lines = [';FFMETADATA1'];
+        chapters.forEach(chapter => {
+            lines.push(
+                '',
+                '[CHAPTER]',
+                'TIMEBASE=1/1000',
+                `START=${Math.round(chapter.start * 1000)}`,
+                `END=${Math.round(chapter.end * 1000)}`,
+                `title=${Chapters.escapeMetadata(chapter.title)}`
+            );
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Временная шкала для монтажа и публикации: главы и положение каждого блока
+    static toTimeline(chapters, timeline, video) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const last = timeline[timeline.length - 1];
+        return {
+            video,
+            duration: round(last.start + last.duration),
+            chapters: chapters.map(chapter => ({ ...chapter, start: round(chapter.start), end: round(chapter.end) })),
+            entries: timeline.map(entry => ({
+                kind: entry.kind,
+                file: entry.file,
+                blockIndex: entry.blockIndex,
+                section: entry.section || null,
+                text: entry.text || null,
+                start: round(entry.start),
+                duration: round(entry.duration)
+            }))
+        };
+    }
+}
+
+module.exports = Chapters;
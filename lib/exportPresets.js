@@ -0,0 +1,144 @@
+const OutputFormats = require('./outputFormats');
+
+// Встроенные пресеты экспорта; пресеты из настроек (exportPresets) дополняют их или заменяют по имени.
+// fit: crop - заполнить кадр с обрезкой краев, pad - вписать с черными полями, scale - вписать без полей
+// fps: null - как в исходнике; videoBitrate задает битрейт вместо crf
+const PRESETS = {
+    youtube: {
+        label: 'YouTube 16:9',
+        width: 1920, height: 1080, fit: 'pad',
+        videoCodec: 'libx264', crf: 20, videoBitrate: null, fps: null,
+        audioBitrate: '192k', container: 'mp4'
+    },
+    shorts: {
+        label: 'Shorts / Reels 9:16',
+        width: 1080, height: 1920, fit: 'crop',
+        videoCodec: 'libx264', crf: 21, videoBitrate: null, fps: 30,
+        audioBitrate: '160k', container: 'mp4'
+    },
+    square: {
+        label: 'Квадрат 1:1',
+        width: 1080, height: 1080, fit: 'crop',
+        videoCodec: 'libx264', crf: 21, videoBitrate: null, fps: 30,
+        audioBitrate: '160k', container: 'mp4'
+    },
+    proxy: {
+        label: 'Превью для согласования',
+        width: 640, height: 360, fit: 'scale',
+        videoCodec: 'libx264', crf: 30, videoBitrate: null, fps: 25,
+        audioBitrate: '96k', container: 'mp4'
+    }
+};
+
+// Какие кодеки видео можно положить в контейнер
+const CONTAINER_CODECS = {
+    mp4: ['libx264', 'libx265'],
+    mov: ['libx264', 'libx265'],
+    mkv: ['libx264', 'libx265', 'libvpx-vp9'],
+    webm: ['libvpx-vp9']
+};
+
+class ExportPresets {
+    // Встроенные + пользовательские пресеты: { name: preset }
+    static resolve(customPresets = []) {
+        const presets = {};
+        Object.entries(PRESETS).forEach(([name, preset]) => {
+            presets[name] = { name, builtIn: true, ...preset };
+        });
+        customPresets.forEach(preset => {
+            presets[preset.name] = ExportPresets.normalize(preset, presets[preset.name]);
+        });
+        return presets;
+    }
+
+    // Пользовательский пресет с тем же именем, что и встроенный, меняет только указанные поля
+    static normalize(preset, base = null) {
+        const result = {
+            label: preset.name,
+            fit: 'pad',
+            videoCodec: 'libx264',
+            crf: 23,
+            videoBitrate: null,
+            fps: null,
+            audioBitrate: '160k',
+            container: 'mp4',
+            ...base,
+            ...preset,
+            builtIn: false
+        };
+
+        if (!result.width || !result.height) {
+            throw new Error(`Export preset ${preset.name}: width and height are required`);
+        }
+        if (result.width % 2 !== 0 || result.height % 2 !== 0) {
+            throw new Error(`Export preset ${preset.name}: width and height must be even`);
+        }
+        if (!CONTAINER_CODECS[result.container].includes(result.videoCodec)) {
+            throw new Error(`Export preset ${preset.name}: ${result.videoCodec} cannot be stored in ${result.container}`);
+        }
+        return result;
+    }
+
+    static validate(customPresets) {
+        ExportPresets.resolve(customPresets);
+    }
+
+    // Кадр пресета из кадра любого размера; размеры кодеков должны быть четными
+    static buildVideoFilter(preset) {
+        const { width, height } = preset;
+        const filters = {
+            crop: [`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`],
+            pad: [`scale=${width}:${height}:force_original_aspect_ratio=decrease`, `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`],
+            scale: [`scale=${width}:${height}:force_original_aspect_ratio=decrease`, 'scale=trunc(iw/2)*2:trunc(ih/2)*2']
+        }[preset.fit];
+
+        if (preset.fps) {
+            filters.push(`fps=${preset.fps}`);
+        }
+        filters.push('setsar=1', 'format=yuv420p');
+        return filters.join(',');
+    }
+
+    static encodeArgs(preset) {
+        const container = OutputFormats.FORMATS[preset.container];
+        const args = [];
+
+        if (preset.videoCodec === 'libvpx-vp9') {
+            args.push('-c:v', 'libvpx-vp9', '-row-mt', '1', '-deadline', 'good', '-cpu-used', '4');
+            args.push(...(preset.videoBitrate ? ['-b:v', preset.videoBitrate] : ['-crf', String(preset.crf), '-b:v', '0']));
+        } else {
+            args.push('-c:v', preset.videoCodec, '-preset', 'veryfast');
+            args.push(...(preset.videoBitrate ? ['-b:v', preset.videoBitrate, '-maxrate', preset.videoBitrate, '-bufsize', preset.videoBitrate] : ['-crf', String(preset.crf)]));
+            // hvc1 - чтобы HEVC в mp4/mov открывался в QuickTime и на iOS
+            if (preset.videoCodec === 'libx265') {
+                args.push('-tag:v', 'hvc1');
+            }
+        }
+
+        args.push('-c:a', container.audioCodec, '-b:a', preset.audioBitrate);
+        if (container.faststart) {
+            args.push('-movflags', '+faststart');
+        }
+        return args;
+    }
+
+    static buildArgs(preset, inputFile, outputFile) {
+        return [
+            '-y', '-i', inputFile,
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-vf', ExportPresets.buildVideoFilter(preset),
+            ...ExportPresets.encodeArgs(preset),
+            outputFile
+        ];
+    }
+
+    // "Урок.mp4" + shorts -> "Урок_shorts.mp4"
+    static outputName(sourceName, preset) {
+        return `${sourceName.replace(/\.[^.]+$/, '')}_${preset.name}.${preset.container}`;
+    }
+}
+
+ExportPresets.PRESETS = PRESETS;
+ExportPresets.CONTAINER_CODECS = CONTAINER_CODECS;
+
+module.exports = ExportPresets;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+
+// Сколько последних строк stderr храним для сообщения об ошибке
+const STDERR_TAIL_LINES = 20;
+
+// Не чаще одного события прогресса за этот интервал
+const PROGRESS_INTERVAL_MS = 500;
+
+// Сколько завершенных задач помнить для list_jobs
+const FINISHED_JOBS_LIMIT = 50;
+
+class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+        this.cancelled = true;
+    }
+}
+
+// Очередь задач FFmpeg: задачи выполняются по одной через spawn, прогресс читается из -progress
+// События: 'update' (смена статуса задачи), 'progress' (процент и ETA)
+class FFmpegJobQueue extends EventEmitter {
+    constructor(ffmpegPath) {
+        super();
+        this.ffmpegPath = ffmpegPath;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = null;
+        this.nextId = 1;
+    }
+
+    // Возвращает { job, promise }: promise завершается вместе с процессом FFmpeg.
+    // captureStderr - вернуть весь stderr в результате (для фильтров-анализаторов)
+    enqueue({ type = 'ffmpeg', label = '', args, outputFile = null, totalDuration = null, meta = {}, captureStderr = false }) {
+        if (!this.ffmpegPath) {
+            throw new Error('FFmpeg not found. Please install FFmpeg or place ffmpeg.exe in the project folder.');
+        }
+
+        const job = {
+            id: `job${this.nextId++}`,
+            type,
+            label,
+            args,
+            outputFile,
+            totalDuration,
+            meta,
+            status: 'queued',
+            percent: null,
+            outTime: 0,
+            speed: null,
+            eta: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            process: null,
+            stderrTail: [],
+            captureStderr,
+            stderr: ''
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.emitUpdate(job);
+        this.runNext();
+
+        return { job: this.serialize(job), promise };
+    }
+
+    runNext() {
+        if (this.running || this.queue.length === 0) {
+            return;
+        }
+
+        const job = this.queue.shift();
+        this.running = job;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emitUpdate(job);
+
+        const args = ['-hide_banner', '-nostats', '-progress', 'pipe:1', ...job.args];
+        console.log(`🎬 [${job.id}] ${this.ffmpegPath} ${args.join(' ')}`);
+
+        const child = spawn(this.ffmpegPath, args, { windowsHide: true });
+        job.process = child;
+
+        let stdoutBuffer = '';
+        let lastProgressAt = 0;
+
+        child.stdout.on('data', (chunk) => {
+            stdoutBuffer += chunk.toString();
+            const lines = stdoutBuffer.split(/\r?\n/);
+            stdoutBuffer = lines.pop();
+
+            lines.forEach(line => {
+                const [key, value] = line.split('=');
+                if (key === 'out_time_us' || key === 'out_time_ms') {
+                    // В старых версиях FFmpeg out_time_ms на самом деле в микросекундах
+                    const seconds = parseInt(value, 10) / 1000000;
+                    if (Number.isFinite(seconds) && seconds >= 0) job.outTime = seconds;
+                } else if (key === 'speed') {
+                    job.speed = parseFloat(value) || null;
+                } else if (key === 'progress') {
+                    const now = Date.now();
+                    if (value === 'end' || now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                        lastProgressAt = now;
+                        this.updateProgress(job);
+                    }
+                }
+            });
+        });
+
+        child.stderr.on('data', (chunk) => {
+            if (job.captureStderr) {
+                job.stderr += chunk.toString();
+            }
+            const lines = chunk.toString().split(/\r?\n/).filter(line => line.trim());
+            job.stderrTail.push(...lines);
+            if (job.stderrTail.length > STDERR_TAIL_LINES) {
+                job.stderrTail.splice(0, job.stderrTail.length - STDERR_TAIL_LINES);
+            }
+        });
+
+        child.on('error', (error) => {
+            this.finish(job, new Error(`FFmpeg failed to start: ${error.message}`));
+        });
+
+        child.on('close', (code, signal) => {
+            if (job.status === 'cancelled') {
+                this.finish(job, new JobCancelledError(job.id));
+            } else if (code === 0) {
+                this.finish(job, null);
+            } else {
+                const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+                console.error(`📋 [${job.id}] FFmpeg stderr:\n${job.stderrTail.join('\n')}`);
+                this.finish(job, new Error(`FFmpeg failed (${reason}): ${job.stderrTail.slice(-1)[0] || 'no output'}`));
+            }
+        });
+    }
+
+    updateProgress(job) {
+        const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000;
+
+        if (job.totalDuration > 0) {
+            job.percent = Math.min(100, Math.round((job.outTime / job.totalDuration) * 1000) / 10);
+            const ratio = job.outTime / job.totalDuration;
+            job.eta = ratio > 0 ? Math.max(0, Math.round(elapsed * (1 - ratio) / ratio)) : null;
+        }
+
+        this.emit('progress', this.serialize(job));
+    }
+
+    finish(job, error) {
+        if (job.finishedAt) {
+            return;
+        }
+
+        job.process = null;
+        job.finishedAt = new Date().toISOString();
+
+        if (error && error.cancelled) {
+            job.status = 'cancelled';
+            this.removePartialOutput(job);
+        } else if (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            this.removePartialOutput(job);
+        } else {
+            job.status = 'done';
+            job.percent = 100;
+            job.eta = 0;
+        }
+
+        this.emitUpdate(job);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve({ ...this.serialize(job), stderr: job.stderr });
+        }
+        job.stderr = '';
+
+        if (this.running === job) {
+            this.running = null;
+        }
+        this.pruneFinished();
+        this.runNext();
+    }
+
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Job not found: ${jobId}`);
+        }
+        if (job.status !== 'queued' && job.status !== 'running') {
+            throw new Error(`Job ${jobId} is already ${job.status}`);
+        }
+
+        console.log(`🛑 [${job.id}] Отмена задачи (${job.status})`);
+
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== job);
+            job.status = 'cancelled';
+            this.finish(job, new JobCancelledError(job.id));
+        } else {
+            job.status = 'cancelled';
+            job.process.kill('SIGKILL');
+        }
+
+        return this.serialize(job);
+    }
+
+    pruneFinished() {
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - FINISHED_JOBS_LIMIT))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    removePartialOutput(job) {
+        // Задача, которая не запускалась, ничего не записала - файл может быть чужим
+        if (job.startedAt && job.outputFile && fs.existsSync(job.outputFile)) {
+            try {
+                fs.unlinkSync(job.outputFile);
+                console.log(`🗑️ [${job.id}] Удален незавершенный файл:`, job.outputFile);
+            } catch (error) {
+                console.log(`⚠️ [${job.id}] Не удалось удалить незавершенный файл:`, error.message);
+            }
+        }
+    }
+
+    list() {
+        return [...this.jobs.values()].map(job => this.serialize(job));
+    }
+
+    serialize(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            label: job.label,
+            status: job.status,
+            percent: job.percent,
+            outTime: Math.round(job.outTime * 10) / 10,
+            totalDuration: job.totalDuration,
+            speed: job.speed,
+            eta: job.eta,
+            outputFile: job.outputFile,
+            error: job.error,
+            meta: job.meta,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    emitUpdate(job) {
+        this.emit('update', this.serialize(job));
+    }
+}
+
+FFmpegJobQueue.JobCancelledError = JobCancelledError;
+
+module.exports = FFmpegJobQueue;
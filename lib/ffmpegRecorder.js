@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Recorder = require('./recorder');
+const OutputFormats = require('./outputFormats');
+const Subtitles = require('./subtitles');
+
+// Источник по умолчанию - тестовая картинка и тон (lavfi), работает без камеры и OBS.
+// Для устройств: Linux - v4l2 /dev/video0 + pulse default, Windows - dshow, macOS - avfoundation
+const DEFAULT_CAPTURE = {
+    videoFormat: 'lavfi',
+    videoInput: 'testsrc2=size=1280x720:rate=30',
+    audioFormat: 'lavfi',
+    audioInput: 'sine=frequency=440:sample_rate=48000'
+};
+
+// Сколько ждать завершения FFmpeg после команды "q", прежде чем убить процесс
+const STOP_TIMEOUT_MS = 10000;
+
+// Запись напрямую через FFmpeg с устройства захвата или тестового источника
+class FFmpegRecorder extends Recorder {
+    constructor(ffmpegPath, capture = {}) {
+        super('ffmpeg');
+        this.ffmpegPath = ffmpegPath;
+        this.capture = { ...DEFAULT_CAPTURE, ...capture };
+        this.process = null;
+        this.outputPath = null;
+        this.startedAt = null;
+        this.stopping = false;
+        this.stderr = '';
+    }
+
+    async connect() {
+        if (!this.ffmpegPath) {
+            throw new Error('FFmpeg not found. Please install FFmpeg or place ffmpeg.exe in the project folder.');
+        }
+        this.connected = true;
+        console.log(`✅ FFmpeg recorder ready (${this.capture.videoFormat}: ${this.capture.videoInput})`);
+        this.emit('connected');
+    }
+
+    async disconnect() {
+        if (this.process) {
+            await this.stop();
+        }
+        this.connected = false;
+    }
+
+    // Имя файла как у OBS: "2024-05-01 14-03-22.mp4"
+    static buildFileName(date = new Date(), extension = 'mp4') {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}.${extension}`;
+    }
+
+    buildArgs(outputPath, videoFormat, videoQuality) {
+        const args = ['-hide_banner', '-loglevel', 'error', '-y'];
+        const inputs = [
+            [this.capture.videoFormat, this.capture.videoInput],
+            [this.capture.audioFormat, this.capture.audioInput]
+        ].filter(([, input]) => input);
+
+        inputs.forEach(([format, input]) => {
+            // Виртуальные источники lavfi иначе генерируют кадры быстрее реального времени
+            if (format === 'lavfi') args.push('-re');
+            if (format) args.push('-f', format);
+            args.push('-i', input);
+        });
+
+        args.push('-map', '0:v');
+        if (inputs.length > 1) args.push('-map', '1:a');
+
+        const container = OutputFormats.obsRecordingFormat(videoFormat);
+        args.push(...OutputFormats.encodeArgs(container, videoQuality), '-pix_fmt', 'yuv420p', outputPath);
+        return args;
+    }
+
+    async start({ outputDir, videoFormat = 'mp4', videoQuality = 'high' }) {
+        if (this.process) {
+            throw new Error('Recording is already in progress');
+        }
+
+        const extension = OutputFormats.obsRecordingFormat(videoFormat);
+        const outputPath = path.join(outputDir, FFmpegRecorder.buildFileName(new Date(), extension));
+        const args = this.buildArgs(outputPath, videoFormat, videoQuality);
+
+        console.log('🎥 FFmpeg capture:', args.join(' '));
+
+        await new Promise((resolve, reject) => {
+            const child = spawn(this.ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+            this.stderr = '';
+
+            // Процесс мог завершиться раньше команды "q"
+            child.stdin.on('error', () => {});
+            child.stderr.on('data', (chunk) => {
+                this.stderr = (this.stderr + chunk.toString()).slice(-4000);
+            });
+
+            child.once('error', (error) => {
+                if (this.process !== child) {
+                    reject(error);
+                }
+            });
+
+            child.once('spawn', () => {
+                this.process = child;
+                this.outputPath = outputPath;
+                this.startedAt = Date.now();
+                this.recording = true;
+                resolve();
+                this.emit('record_started', { outputPath });
+            });
+
+            // Завершение по stop() или по ошибке устройства - в обоих случаях дубль закончен
+            child.once('close', (code) => {
+                if (this.process !== child) return;
+                if (code !== 0 && !this.stopping) {
+                    console.error(`❌ FFmpeg capture exited with code ${code}:`, this.stderr.trim().split('\n').slice(-3).join(' | '));
+                }
+                this.finish();
+            });
+        });
+    }
+
+    finish() {
+        const outputPath = this.outputPath;
+        const duration = (Date.now() - this.startedAt) / 1000;
+
+        this.process = null;
+        this.recording = false;
+        this.stopping = false;
+
+        this.emit('record_stopped', {
+            outputPath,
+            outputBytes: fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0,
+            outputTimecode: Subtitles.formatTime(duration, '.')
+        });
+    }
+
+    // "q" в stdin - FFmpeg корректно дописывает файл (moov для mp4)
+    async stop() {
+        const child = this.process;
+        if (!child) {
+            throw new Error('Recording is not in progress');
+        }
+
+        this.stopping = true;
+        await new Promise((resolve) => {
+            const killTimer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+            child.once('close', () => {
+                clearTimeout(killTimer);
+                resolve();
+            });
+            child.stdin.end('q');
+        });
+    }
+
+    async status() {
+        return {
+            active: Boolean(this.process),
+            paused: false,
+            outputTimecode: this.process ? Subtitles.formatTime((Date.now() - this.startedAt) / 1000, '.') : null,
+            outputPath: this.process ? this.outputPath : null
+        };
+    }
+
+    async getInfo() {
+        return { capture: this.capture };
+    }
+}
+
+FFmpegRecorder.DEFAULT_CAPTURE = DEFAULT_CAPTURE;
+
+module.exports = FFmpegRecorder;
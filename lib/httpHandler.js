@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const VideoLibrary = require('./videoLibrary');
+
+// Страницы клиента, которые отдаются без токена (токен они спрашивают сами)
+const PAGES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/prompter.html': 'prompter.html'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.flv': 'video/x-flv',
+    '.ts': 'video/mp2t',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg'
+};
+
+// Что можно получить через /videos: видео, субтитры и главы из папки вывода
+const SERVED_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.mkv', '.webm', '.flv', '.ts', '.srt', '.vtt'];
+const SERVED_SUFFIXES = ['.chapters.txt', '.timeline.json'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// HTTP на том же порту, что и WebSocket: страницы клиента, просмотр и скачивание файлов папки вывода
+// (с поддержкой Range для перемотки) и превью.
+//   GET /                      - index.html, /prompter.html - суфлер
+//   GET /videos/<имя>          - файл из папки вывода; ?download=1 - как вложение
+//   GET /thumbnails/<имя>      - JPEG-превью видео
+//   GET /health                - проверка живости (Render)
+//   /api/...                   - REST API (RestApi), тот же токен, что и для видео
+class HttpHandler {
+    // options: { publicDir, videoLibrary, thumbnailer, authorize(req, url) -> boolean, api (RestApi) }
+    constructor({ publicDir, videoLibrary, thumbnailer, authorize, api = null }) {
+        this.publicDir = publicDir;
+        this.videoLibrary = videoLibrary;
+        this.thumbnailer = thumbnailer;
+        this.authorize = authorize;
+        this.api = api;
+    }
+
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = url.pathname;
+
+            if (this.api && (pathname === '/api' || pathname.startsWith('/api/'))) {
+                if (!this.authorize(req, url)) {
+                    throw new HttpError(401, 'Authentication required');
+                }
+                return await this.api.handle(req, res, url);
+            }
+
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.setHeader('Allow', 'GET, HEAD');
+                throw new HttpError(405, 'Method not allowed');
+            }
+
+            if (PAGES[pathname]) {
+                return this.sendFile(req, res, path.join(this.publicDir, PAGES[pathname]), { cache: 'no-cache' });
+            }
+            if (pathname === '/health') {
+                return this.sendJson(res, 200, { status: 'ok' });
+            }
+
+            const [, section, ...rest] = pathname.split('/');
+            if ((section === 'videos' || section === 'thumbnails') && rest.length === 1) {
+                if (!this.authorize(req, url)) {
+                    throw new HttpError(401, 'Authentication required');
+                }
+
+                const name = HttpHandler.decodeName(rest[0]);
+                const filePath = this.resolveFile(name);
+
+                if (section === 'thumbnails') {
+                    // Превью есть только у видео: субтитры и главы отдаются через /videos
+                    if (!VideoLibrary.VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+                        throw new HttpError(404, 'Not found');
+                    }
+                    const thumbnailPath = await this.thumbnailer.get(this.videoLibrary.rootDir, name);
+                    return this.sendFile(req, res, thumbnailPath, { cache: 'no-cache' });
+                }
+                return this.sendFile(req, res, filePath, { download: url.searchParams.has('download') });
+            }
+
+            throw new HttpError(404, 'Not found');
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error('❌ HTTP error:', req.url, error.message);
+            }
+            if (!res.headersSent) {
+                this.sendJson(res, status, { error: error.message });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    static decodeName(encoded) {
+        try {
+            return decodeURIComponent(encoded);
+        } catch (error) {
+            throw new HttpError(400, 'Invalid file name');
+        }
+    }
+
+    // Только файлы папки вывода, без подкаталогов и служебных файлов
+    resolveFile(name) {
+        let filePath;
+        try {
+            filePath = this.videoLibrary.resolve(name);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+
+        const lowerName = name.toLowerCase();
+        if (!SERVED_EXTENSIONS.includes(path.extname(lowerName)) && !SERVED_SUFFIXES.some(suffix => lowerName.endsWith(suffix))) {
+            throw new HttpError(404, 'Not found');
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            throw new HttpError(404, `File not found: ${name}`);
+        }
+        return filePath;
+    }
+
+    sendFile(req, res, filePath, { download = false, cache = null } = {}) {
+        const stats = fs.statSync(filePath);
+        const size = stats.size;
+        const range = HttpHandler.parseRange(req.headers.range, size);
+
+        if (range === 'invalid') {
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            res.end();
+            return;
+        }
+
+        const headers = {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            'Last-Modified': stats.mtime.toUTCString()
+        };
+        if (cache) {
+            headers['Cache-Control'] = cache;
+        }
+        if (download) {
+            headers['Content-Disposition'] = HttpHandler.contentDisposition(path.basename(filePath));
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : size - 1;
+        headers['Content-Length'] = size === 0 ? 0 : end - start + 1;
+        if (range) {
+            headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+        }
+
+        res.writeHead(range ? 206 : 200, headers);
+        if (req.method === 'HEAD' || size === 0) {
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(filePath, { start, end });
+        stream.on('error', () => res.destroy());
+        // Клиент перемотал или закрыл видео - дочитывать файл незачем
+        res.on('close', () => stream.destroy());
+        stream.pipe(res);
+    }
+
+    sendJson(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+
+    // "bytes=start-end", "bytes=start-" или "bytes=-suffix"; несколько диапазонов не поддерживаем -
+    // отдаем файл целиком (null). 'invalid' - диапазон за пределами файла
+    static parseRange(header, size) {
+        if (!header) {
+            return null;
+        }
+
+        const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            const suffix = parseInt(match[2], 10);
+            start = Math.max(0, size - suffix);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start >= size || start > end) {
+            return 'invalid';
+        }
+        return { start, end };
+    }
+
+    // filename* для кириллицы и пробелов, filename - ASCII-запасной вариант
+    static contentDisposition(name) {
+        const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+        return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+    }
+}
+
+HttpHandler.HttpError = HttpError;
+
+module.exports = HttpHandler;
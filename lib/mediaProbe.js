@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Обёртка над ffprobe: длительность, разрешение и кодеки медиафайла
+class MediaProbe {
+    constructor(ffmpegPath) {
+        this.ffprobePath = MediaProbe.findFFprobePath(ffmpegPath);
+    }
+
+    // ffprobe ищем рядом с найденным ffmpeg (ffmpeg.exe -> ffprobe.exe, ffmpeg -> ffprobe)
+    static findFFprobePath(ffmpegPath) {
+        if (!ffmpegPath) {
+            return null;
+        }
+
+        const dir = path.dirname(ffmpegPath);
+        const name = path.basename(ffmpegPath).replace(/ffmpeg/i, 'ffprobe');
+        if (dir === '.') {
+            return name;
+        }
+
+        const candidate = path.join(dir, name);
+        return fs.existsSync(candidate) ? candidate : 'ffprobe';
+    }
+
+    probe(filePath) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffprobePath) {
+                reject(new Error('FFprobe not found'));
+                return;
+            }
+
+            const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+            execFile(this.ffprobePath, args, { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+                if (error) {
+                    reject(new Error(`FFprobe failed for ${path.basename(filePath)}: ${error.message}`));
+                    return;
+                }
+
+                try {
+                    resolve(MediaProbe.parse(JSON.parse(stdout)));
+                } catch (parseError) {
+                    reject(new Error(`Invalid FFprobe output: ${parseError.message}`));
+                }
+            });
+        });
+    }
+
+    static parse(info) {
+        const streams = info.streams || [];
+        const video = streams.find(stream => stream.codec_type === 'video');
+        const audio = streams.find(stream => stream.codec_type === 'audio');
+        const duration = parseFloat(info.format && info.format.duration);
+
+        return {
+            duration: Number.isFinite(duration) ? duration : null,
+            formatName: info.format ? info.format.format_name : null,
+            bitRate: info.format && info.format.bit_rate ? parseInt(info.format.bit_rate, 10) : null,
+            width: video ? video.width : null,
+            height: video ? video.height : null,
+            resolution: video ? `${video.width}x${video.height}` : null,
+            fps: video ? MediaProbe.parseRate(video.avg_frame_rate || video.r_frame_rate) : null,
+            videoCodec: video ? video.codec_name : null,
+            pixelFormat: video ? video.pix_fmt : null,
+            audioCodec: audio ? audio.codec_name : null,
+            sampleRate: audio ? parseInt(audio.sample_rate, 10) : null,
+            channels: audio ? audio.channels : null,
+            channelLayout: audio ? audio.channel_layout || null : null,
+            hasVideo: Boolean(video),
+            hasAudio: Boolean(audio)
+        };
+    }
+
+    // "30000/1001" -> 29.97
+    static parseRate(rate) {
+        if (!rate) return null;
+        const [num, den] = String(rate).split('/').map(Number);
+        if (!den) return num || null;
+        return Math.round((num / den) * 100) / 100;
+    }
+}
+
+module.exports = MediaProbe;
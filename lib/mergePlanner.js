@@ -0,0 +1,228 @@
+const path = require('path');
+const RenderSpec = require('./renderSpec');
+const OutputFormats = require('./outputFormats');
+
+// Параметры по умолчанию, если ни один файл не удалось проанализировать
+const DEFAULT_TARGET = {
+    width: 1920,
+    height: 1080,
+    fps: 30,
+    sampleRate: 48000
+};
+
+// Анализ блоков перед склейкой: можно ли склеить без перекодирования,
+// и если нет - к каким общим параметрам приводить все дубли
+class MergePlanner {
+    constructor(mediaProbe) {
+        this.mediaProbe = mediaProbe;
+    }
+
+    // format - контейнер итогового файла: кодеки дублей должны в него копироваться
+    async analyze(filePaths, format = null) {
+        const inputs = [];
+
+        for (const filePath of filePaths) {
+            try {
+                const media = await this.mediaProbe.probe(filePath);
+                inputs.push({ file: path.basename(filePath), filePath, probed: true, ...media });
+            } catch (error) {
+                console.log(`⚠️ Не удалось проанализировать ${path.basename(filePath)}:`, error.message);
+                // Без ffprobe считаем, что в файле есть и видео, и звук (как записывает OBS)
+                inputs.push({ file: path.basename(filePath), filePath, probed: false, hasVideo: true, hasAudio: true, duration: null });
+            }
+        }
+
+        const probed = inputs.every(input => input.probed);
+        const reasons = probed ? this.findMismatches(inputs) : ['не удалось проанализировать все файлы'];
+        const containerMismatch = probed && format ? OutputFormats.copyMismatch(format, inputs) : null;
+        if (containerMismatch) {
+            reasons.push(containerMismatch);
+        }
+        const durations = inputs.map(input => input.duration);
+
+        return {
+            inputs,
+            probed,
+            canStreamCopy: probed && reasons.length === 0,
+            reasons,
+            target: this.chooseTarget(inputs),
+            totalDuration: durations.every(duration => duration > 0)
+                ? durations.reduce((sum, duration) => sum + duration, 0)
+                : null
+        };
+    }
+
+    findMismatches(inputs) {
+        const reasons = [];
+
+        // Параметры потоков сравниваем только среди дублей, где этот поток есть
+        const checks = [
+            ['hasVideo', null, 'видеодорожка есть не во всех дублях'],
+            ['hasAudio', null, 'звуковая дорожка есть не во всех дублях'],
+            ['videoCodec', 'hasVideo', 'разные видеокодеки'],
+            ['resolution', 'hasVideo', 'разное разрешение'],
+            ['fps', 'hasVideo', 'разная частота кадров'],
+            ['pixelFormat', 'hasVideo', 'разный формат пикселей'],
+            ['audioCodec', 'hasAudio', 'разные аудиокодеки'],
+            ['sampleRate', 'hasAudio', 'разная частота дискретизации'],
+            ['channels', 'hasAudio', 'разное количество каналов']
+        ];
+
+        checks.forEach(([key, scope, reason]) => {
+            const values = inputs
+                .filter(input => !scope || input[scope])
+                .map(input => input[key]);
+            if (new Set(values).size > 1) {
+                const details = [...new Set(values.map(String))].join(' / ');
+                reasons.push(`${reason} (${details})`);
+            }
+        });
+
+        return reasons;
+    }
+
+    // Целевые параметры - самые частые среди дублей (при равенстве - как в первом блоке)
+    chooseTarget(inputs) {
+        const withVideo = inputs.filter(input => input.probed && input.hasVideo);
+        const withAudio = inputs.filter(input => input.probed && input.hasAudio);
+
+        const resolution = this.mostCommon(withVideo.map(input => `${input.width}x${input.height}`));
+        const [width, height] = resolution ? resolution.split('x').map(Number) : [DEFAULT_TARGET.width, DEFAULT_TARGET.height];
+
+        return {
+            width,
+            height,
+            fps: this.mostCommon(withVideo.map(input => input.fps).filter(Boolean)) || DEFAULT_TARGET.fps,
+            sampleRate: this.mostCommon(withAudio.map(input => input.sampleRate).filter(Boolean)) || DEFAULT_TARGET.sampleRate
+        };
+    }
+
+    mostCommon(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+        let best = null;
+        let bestCount = 0;
+        counts.forEach((count, value) => {
+            if (count > bestCount) {
+                best = value;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    // Фильтры, приводящие каждый дубль к целевым параметрам: метки [v<i>] и [a<i>]
+    buildSegmentFilters(analysis) {
+        const { width, height, fps, sampleRate } = analysis.target;
+        const filters = [];
+
+        analysis.inputs.forEach((input, index) => {
+            if ((!input.hasAudio || !input.hasVideo) && !input.duration) {
+                throw new Error(`Не удалось определить длительность ${input.file} для генерации недостающей дорожки`);
+            }
+
+            if (input.hasVideo) {
+                filters.push(`[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+                    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${index}]`);
+            } else {
+                filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${input.duration},format=yuv420p[v${index}]`);
+            }
+
+            if (input.hasAudio) {
+                filters.push(`[${index}:a]aresample=${sampleRate}:async=1,aformat=sample_fmts=fltp:channel_layouts=stereo[a${index}]`);
+            } else {
+                filters.push(`anullsrc=r=${sampleRate}:cl=stereo,atrim=duration=${input.duration},aformat=sample_fmts=fltp[a${index}]`);
+            }
+        });
+
+        return filters;
+    }
+
+    // filter_complex, приводящий все дубли к целевым параметрам; недостающий звук заменяется тишиной
+    buildNormalizeFilter(analysis) {
+        const filters = this.buildSegmentFilters(analysis);
+        const segments = analysis.inputs.map((_, index) => `[v${index}][a${index}]`).join('');
+
+        filters.push(`${segments}concat=n=${analysis.inputs.length}:v=1:a=1[outv][outa]`);
+        return filters.join(';');
+    }
+
+    // Рендер с оформлением: переходы xfade/acrossfade и надпись или картинка поверх видео.
+    // options.textFile - файл с текстом надписи, options.imageInputIndex - номер входа с картинкой
+    buildRenderFilter(analysis, spec, options = {}) {
+        const filters = this.buildSegmentFilters(analysis);
+        const count = analysis.inputs.length;
+        let videoLabel;
+        let audioLabel;
+        let totalDuration = analysis.totalDuration;
+        let transitionDuration = 0;
+
+        if (spec.transition && count > 1) {
+            const durations = analysis.inputs.map(input => input.duration);
+            if (!durations.every(duration => duration > 0)) {
+                throw new Error('Для переходов нужна длительность каждого блока (ffprobe недоступен?)');
+            }
+
+            const { type } = spec.transition;
+            transitionDuration = Math.min(spec.transition.duration, Math.min(...durations) / 2);
+
+            // Длина уже склеенной части; следующий блок начинается за transitionDuration до её конца
+            let length = durations[0];
+            videoLabel = 'v0';
+            audioLabel = 'a0';
+
+            for (let index = 1; index < count; index++) {
+                const offset = (length - transitionDuration).toFixed(3);
+                filters.push(`[${videoLabel}][v${index}]xfade=transition=${type}:duration=${transitionDuration}:offset=${offset}[vx${index}]`);
+                filters.push(`[${audioLabel}][a${index}]acrossfade=d=${transitionDuration}[ax${index}]`);
+                videoLabel = `vx${index}`;
+                audioLabel = `ax${index}`;
+                length += durations[index] - transitionDuration;
+            }
+
+            totalDuration = length;
+        } else {
+            const segments = analysis.inputs.map((_, index) => `[v${index}][a${index}]`).join('');
+            filters.push(`${segments}concat=n=${count}:v=1:a=1[vjoin][ajoin]`);
+            videoLabel = 'vjoin';
+            audioLabel = 'ajoin';
+        }
+
+        const overlay = spec.overlay;
+        if (overlay) {
+            const position = RenderSpec.POSITIONS[overlay.position];
+            const enable = `enable='between(t,${overlay.start},${overlay.start + overlay.duration})'`;
+
+            if (overlay.image) {
+                filters.push(`[${options.imageInputIndex}:v]format=rgba[ovimg]`);
+                filters.push(`[${videoLabel}][ovimg]overlay=x=${position.x}:y=${position.y}:${enable}[vimg]`);
+                videoLabel = 'vimg';
+            }
+
+            if (overlay.text) {
+                // В drawtext размеры кадра - w/h, а размеры текста - tw/th
+                const toDrawtext = expression => expression.replace(/\b[WHwh]\b/g, name => ({ W: 'w', H: 'h', w: 'tw', h: 'th' })[name]);
+                const fontFile = overlay.fontFile ? `:fontfile='${RenderSpec.escapeFilterPath(overlay.fontFile)}'` : '';
+
+                filters.push(`[${videoLabel}]drawtext=textfile='${RenderSpec.escapeFilterPath(options.textFile)}':expansion=none` +
+                    `${fontFile}:fontsize=${overlay.fontSize}:fontcolor=${overlay.fontColor}` +
+                    `:box=1:boxcolor=black@0.5:boxborderw=16` +
+                    `:x=${toDrawtext(position.x)}:y=${toDrawtext(position.y)}:${enable}[vtext]`);
+                videoLabel = 'vtext';
+            }
+        }
+
+        return {
+            filter: filters.join(';'),
+            videoLabel,
+            audioLabel,
+            totalDuration,
+            transitionDuration
+        };
+    }
+}
+
+MergePlanner.DEFAULT_TARGET = DEFAULT_TARGET;
+
+module.exports = MergePlanner;
@@ -0,0 +1,430 @@
+const PathGuard = require('./pathGuard');
+const WebhookNotifier = require('./webhookNotifier');
+
+// Ошибка протокола с кодом для клиента: { type: 'error', code, message, field }
+class ProtocolError extends Error {
+    constructor(code, message, field = null) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+const fileName = { type: 'string', fileName: true };
+const blockIndex = { type: 'integer', min: 0, max: 10000 };
+const projectId = { type: 'string', pattern: /^[a-z0-9]+$/i, maxLength: 64 };
+const obsName = { type: 'string', maxLength: 256 };
+
+const AUDIO_PROCESSING = {
+    type: 'object',
+    properties: {
+        trimSilence: { type: 'boolean' },
+        silenceThreshold: { type: 'number', min: -90, max: 0 },
+        minSilence: { type: 'number', min: 0.05, max: 10 },
+        keepPadding: { type: 'number', min: 0, max: 5 },
+        loudnorm: { type: 'boolean' },
+        targetLufs: { type: 'number', min: -70, max: -5 },
+        truePeak: { type: 'number', min: -9, max: 0 },
+        lra: { type: 'number', min: 1, max: 50 },
+        denoise: { type: 'boolean' },
+        denoiseStrength: { type: 'number', min: 0.01, max: 97 }
+    }
+};
+
+// Источник FFmpeg-записи: формат (-f) и вход (-i) для видео и звука
+const CAPTURE = {
+    type: 'object',
+    properties: {
+        videoFormat: { type: 'string', maxLength: 32, pattern: /^[\w]+$/ },
+        videoInput: { type: 'string', maxLength: 512 },
+        audioFormat: { type: 'string', maxLength: 32, pattern: /^[\w]*$/ },
+        audioInput: { type: 'string', maxLength: 512 }
+    }
+};
+
+const PROMPTER = {
+    type: 'object',
+    properties: {
+        mirror: { type: 'boolean' },
+        flip: { type: 'boolean' },
+        fontSize: { type: 'integer', min: 16, max: 240 },
+        lineHeight: { type: 'number', min: 1, max: 3 },
+        margin: { type: 'number', min: 0, max: 40 },
+        scrollSpeed: { type: 'number', min: 0, max: 600 },
+        autoScrollOnRecord: { type: 'boolean' }
+    }
+};
+
+// Разбивка сценария на блоки: по числу слов или по времени чтения (targetSeconds)
+const SCRIPT = {
+    type: 'object',
+    properties: {
+        minWords: { type: 'integer', min: 1, max: 500 },
+        targetWords: { type: 'integer', min: 1, max: 500 },
+        maxWords: { type: 'integer', min: 1, max: 1000 },
+        targetSeconds: { type: 'number', min: 0, max: 600 },
+        wordsPerMinute: { type: 'integer', min: 60, max: 300 }
+    }
+};
+
+// Проверка дубля после остановки записи: черный кадр, застывшее видео, тишина, клиппинг, длительность
+const TAKE_CHECKS = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        maxWait: { type: 'number', min: 0, max: 120 },
+        minBlack: { type: 'number', min: 0.1, max: 60 },
+        minFreeze: { type: 'number', min: 0.5, max: 60 },
+        silenceThreshold: { type: 'number', min: -90, max: 0 },
+        maxSilenceRatio: { type: 'number', min: 0, max: 1 },
+        clipSamples: { type: 'integer', min: 1, max: 1000000 },
+        durationTolerance: { type: 'number', min: 0.1, max: 5 }
+    }
+};
+
+// Запись по таймеру: обратный отсчет и автостоп по оценке длительности блока
+const TIMED_RECORDING = {
+    type: 'object',
+    properties: {
+        countdown: { type: 'integer', min: 0, max: 30 },
+        margin: { type: 'number', min: 0, max: 600 },
+        minDuration: { type: 'number', min: 1, max: 3600 }
+    }
+};
+
+// Место на диске перед записью и очистка папки вывода (корзина, невыбранные дубли, временные файлы)
+const STORAGE = {
+    type: 'object',
+    properties: {
+        minFreeMB: { type: 'integer', min: 0, max: 10000000 },
+        warnFreeMB: { type: 'integer', min: 0, max: 10000000 },
+        trashDays: { type: 'integer', min: 0, max: 3650 },
+        unusedTakeDays: { type: 'integer', min: 0, max: 3650 },
+        tempHours: { type: 'integer', min: 1, max: 720 },
+        autoCleanup: { type: 'boolean' }
+    }
+};
+
+const scriptFormat = { type: 'string', enum: ['auto', 'plain', 'markdown', 'srt'] };
+
+const presetName = { type: 'string', pattern: /^[\w-]+$/, maxLength: 32 };
+
+// Пресет экспорта (YouTube, Shorts, превью...): кадр, способ вписывания, кодек и контейнер
+const EXPORT_PRESET = {
+    type: 'object',
+    properties: {
+        name: { ...presetName, required: true },
+        label: { type: 'string', maxLength: 64 },
+        width: { type: 'integer', min: 16, max: 7680 },
+        height: { type: 'integer', min: 16, max: 7680 },
+        fit: { type: 'string', enum: ['crop', 'pad', 'scale'] },
+        videoCodec: { type: 'string', enum: ['libx264', 'libx265', 'libvpx-vp9'] },
+        crf: { type: 'integer', min: 0, max: 63 },
+        videoBitrate: { type: 'string', pattern: /^\d+(\.\d+)?[kM]$/, nullable: true },
+        fps: { type: 'number', min: 1, max: 120, nullable: true },
+        audioBitrate: { type: 'string', pattern: /^\d+k$/ },
+        container: { type: 'string', enum: ['mp4', 'mov', 'mkv', 'webm'] }
+    }
+};
+
+// Исходящий вебхук: POST JSON на url при событиях events (без events - при всех), подпись HMAC секретом
+const WEBHOOK = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', required: true, maxLength: 2000, pattern: /^https?:\/\/[^\s/]+/i },
+        events: { type: 'array', maxItems: 10, items: { type: 'string', enum: WebhookNotifier.EVENTS } },
+        secret: { type: 'string', maxLength: 256 },
+        secretSet: { type: 'boolean' },    // из публичных настроек, не сохраняется
+        retries: { type: 'integer', min: 0, max: 10 },
+        enabled: { type: 'boolean' }
+    }
+};
+
+// Настройки сервера (update_settings и файл конфигурации)
+const SETTINGS = {
+    port: { type: 'integer', min: 1, max: 65535 },
+    obsAddress: { type: 'string', maxLength: 256, pattern: /^[\w.\-[\]:]+$/ },
+    obsPort: { type: 'integer', min: 1, max: 65535 },
+    obsPassword: { type: 'string', maxLength: 256 },
+    videoFormat: { type: 'string', enum: ['mp4', 'mkv', 'mov', 'webm'] },
+    videoQuality: { type: 'string', enum: ['low', 'medium', 'high', 'max'] },
+    outputPath: { type: 'string', maxLength: 1024 },
+    audioProcessing: AUDIO_PROCESSING,
+    recorder: { type: 'string', enum: ['obs', 'ffmpeg'] },
+    capture: CAPTURE,
+    prompter: PROMPTER,
+    script: SCRIPT,
+    exportPresets: { type: 'array', maxItems: 20, items: EXPORT_PRESET },
+    takeChecks: TAKE_CHECKS,
+    timedRecording: TIMED_RECORDING,
+    storage: STORAGE,
+    webhooks: { type: 'array', maxItems: 10, items: WEBHOOK }
+};
+
+const RENDER = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        transition: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                type: { type: 'string', pattern: /^[a-z]+$/, maxLength: 32 },
+                duration: { type: 'number', min: 0, max: 5 }
+            }
+        },
+        intro: { ...fileName, nullable: true },
+        outro: { ...fileName, nullable: true },
+        overlay: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                text: { type: 'string', maxLength: 500, nullable: true },
+                image: { ...fileName, nullable: true },
+                start: { type: 'number', min: 0, max: 86400 },
+                duration: { type: 'number', min: 0, max: 86400 },
+                position: { type: 'string', maxLength: 32 },
+                fontSize: { type: 'integer', min: 8, max: 200 },
+                fontColor: { type: 'string', maxLength: 32 },
+                fontFile: { ...fileName, nullable: true }
+            }
+        }
+    }
+};
+
+// Схемы data для каждого типа сообщения; неизвестные поля отклоняются
+const SCHEMAS = {
+    auth: {
+        token: { type: 'string', required: true, maxLength: 512 }
+    },
+    join: {
+        role: { type: 'string', required: true, enum: ['operator', 'talent', 'viewer'] },
+        name: { type: 'string', maxLength: 64 }
+    },
+    get_state: {},
+    connect_obs: {
+        address: { type: 'string', maxLength: 256, pattern: /^(wss?:\/\/)?[\w.\-[\]:]+$/ },
+        password: { type: 'string', maxLength: 256 }
+    },
+    start_recording: {
+        blockIndex: { ...blockIndex, required: true },
+        blockText: { type: 'string', maxLength: 20000 },
+        // timed: отсчет и автостоп; countdown и duration переопределяют настройки и оценку по тексту
+        timed: { type: 'boolean' },
+        countdown: { type: 'integer', min: 0, max: 30 },
+        duration: { type: 'number', min: 1, max: 3600 }
+    },
+    stop_recording: {},
+    pause_recording: {},
+    resume_recording: {},
+    test_recording: {},
+    refresh_settings: {},
+    open_video_folder: {},
+    merge_videos: {
+        blocks: { type: 'array', maxItems: 1000, items: fileName },
+        projectName: { type: 'string', required: true, projectName: true },
+        render: RENDER,
+        subtitles: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['files', 'soft', 'burn', 'none'] }
+            }
+        },
+        chapters: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['embed', 'files', 'none'] }
+            }
+        },
+        audioProcessing: AUDIO_PROCESSING,
+        // Пресеты экспорта, которые запускаются после склейки
+        exports: { type: 'array', maxItems: 10, items: presetName }
+    },
+    // Экспорт готового видео по пресетам (после склейки или для любого файла библиотеки)
+    export_video: {
+        source: { ...fileName, required: true },
+        presets: { type: 'array', required: true, maxItems: 10, items: presetName }
+    },
+    get_video_list: {
+        page: { type: 'integer', min: 1 },
+        pageSize: { type: 'integer', min: 1, max: 100 },
+        projectId: { ...projectId, nullable: true },
+        type: { type: 'string', enum: ['recording', 'merged'], nullable: true }
+    },
+    delete_video: {
+        name: { ...fileName, required: true }
+    },
+    rename_video: {
+        name: { ...fileName, required: true },
+        newName: { ...fileName, required: true }
+    },
+    parse_script: {
+        text: { type: 'string', required: true, maxLength: 500000 },
+        format: scriptFormat,
+        split: SCRIPT
+    },
+    // Без blocks сервер сам разбивает scriptText (format, split - как в parse_script)
+    create_project: {
+        name: { type: 'string', projectName: true },
+        scriptText: { type: 'string', maxLength: 500000 },
+        blocks: { type: 'array', maxItems: 10000, items: { type: 'string', maxLength: 20000 } },
+        format: scriptFormat,
+        split: SCRIPT
+    },
+    list_projects: {},
+    open_project: { projectId: { ...projectId, required: true } },
+    resume_project: { projectId: { ...projectId, required: true } },
+    delete_project: { projectId: { ...projectId, required: true } },
+    accept_block: {
+        blockIndex: { ...blockIndex, required: true },
+        filename: { ...fileName, nullable: true }
+    },
+    list_takes: {
+        blockIndex
+    },
+    select_take: {
+        blockIndex: { ...blockIndex, required: true },
+        filename: { ...fileName, required: true }
+    },
+    discard_take: {
+        blockIndex: { ...blockIndex, required: true },
+        filename: { ...fileName, required: true }
+    },
+    // Оценка 1-5 и причины пересъемки ("запнулся", "шум", "свет"); null/пустая строка сбрасывают
+    annotate_take: {
+        blockIndex: { ...blockIndex, required: true },
+        filename: { ...fileName, required: true },
+        rating: { type: 'integer', min: 1, max: 5, nullable: true },
+        tags: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 32 } },
+        note: { type: 'string', maxLength: 1000 }
+    },
+    export_report: {
+        projectId,
+        format: { type: 'string', enum: ['json', 'csv', 'markdown'] }
+    },
+    // Архив проекта в папке вывода (без projectId - активный); takes: 'all' - вместе с невыбранными дублями
+    export_project: {
+        projectId,
+        takes: { type: 'string', enum: ['accepted', 'all'] }
+    },
+    // Архив с другой машины, положенный в папку вывода
+    import_project: {
+        archive: { ...fileName, required: true }
+    },
+    // Очистка по settings.storage; dryRun - только показать, что будет удалено
+    cleanup_storage: {
+        dryRun: { type: 'boolean' }
+    },
+    set_scene: {
+        sceneName: { ...obsName, required: true }
+    },
+    set_input_mute: {
+        inputName: { ...obsName, required: true },
+        muted: { type: 'boolean', required: true }
+    },
+    set_input_volume: {
+        inputName: { ...obsName, required: true },
+        volumeDb: { type: 'number', required: true, min: -100, max: 26 }
+    },
+    get_settings: {},
+    update_settings: SETTINGS,
+    get_prompter_state: {},
+    prompter_control: {
+        action: { type: 'string', required: true, enum: ['next', 'previous', 'goto', 'play', 'pause', 'toggle', 'scroll', 'restart'] },
+        blockIndex,
+        amount: { type: 'number', min: -100, max: 100 }
+    },
+    prompter_settings: PROMPTER.properties,
+    list_jobs: {},
+    cancel_job: {
+        jobId: { type: 'string', required: true, pattern: /^job\d+$/ }
+    }
+};
+
+class MessageValidator {
+    // Проверяет { type, data } и возвращает data (пустой объект, если data не передан)
+    static validate(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            throw new ProtocolError('invalid_message', 'Message must be a JSON object');
+        }
+        if (typeof message.type !== 'string') {
+            throw new ProtocolError('invalid_message', 'Message type is required', 'type');
+        }
+
+        const schema = SCHEMAS[message.type];
+        if (!schema) {
+            throw new ProtocolError('unknown_type', `Unknown message type: ${message.type}`, 'type');
+        }
+
+        const data = message.data === undefined || message.data === null ? {} : message.data;
+        MessageValidator.checkObject(data, schema, 'data');
+        return data;
+    }
+
+    static checkObject(value, properties, field) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new ProtocolError('validation_failed', `${field} must be an object`, field);
+        }
+
+        Object.keys(value).forEach(key => {
+            if (!properties[key]) {
+                throw new ProtocolError('validation_failed', `Unexpected field ${field}.${key}`, `${field}.${key}`);
+            }
+        });
+
+        Object.entries(properties).forEach(([key, rule]) => {
+            MessageValidator.checkValue(value[key], rule, `${field}.${key}`);
+        });
+    }
+
+    static checkValue(value, rule, field) {
+        const fail = (reason) => {
+            throw new ProtocolError('validation_failed', `${field} ${reason}`, field);
+        };
+
+        if (value === undefined || (value === null && rule.nullable)) {
+            if (rule.required) fail('is required');
+            return;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') fail('must be a string');
+                if (rule.maxLength && value.length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+                if (rule.pattern && !rule.pattern.test(value)) fail('has invalid format');
+                if (rule.enum && !rule.enum.includes(value)) fail(`must be one of: ${rule.enum.join(', ')}`);
+                if (rule.fileName && !PathGuard.isSafeFileName(value)) fail('must be a plain file name inside the output folder');
+                if (rule.projectName && !PathGuard.isSafeProjectName(value)) fail('may contain only letters, digits, spaces and - _ . ( )');
+                break;
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) fail('must be a number');
+                if (rule.type === 'integer' && !Number.isInteger(value)) fail('must be an integer');
+                if (rule.min !== undefined && value < rule.min) fail(`must be >= ${rule.min}`);
+                if (rule.max !== undefined && value > rule.max) fail(`must be <= ${rule.max}`);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') fail('must be a boolean');
+                break;
+            case 'array':
+                if (!Array.isArray(value)) fail('must be an array');
+                if (rule.maxItems && value.length > rule.maxItems) fail(`must have at most ${rule.maxItems} items`);
+                if (rule.items) {
+                    value.forEach((item, index) => MessageValidator.checkValue(item, rule.items, `${field}[${index}]`));
+                }
+                break;
+            case 'object':
+                MessageValidator.checkObject(value, rule.properties || {}, field);
+                break;
+            default:
+                fail(`has unsupported schema type ${rule.type}`);
+        }
+    }
+}
+
+MessageValidator.ProtocolError = ProtocolError;
+MessageValidator.SCHEMAS = SCHEMAS;
+MessageValidator.SETTINGS = SETTINGS;
+
+module.exports = MessageValidator;
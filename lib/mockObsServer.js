@@ -0,0 +1,336 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const FFmpegRecorder = require('./ffmpegRecorder');
+
+// Коды obs-websocket v5
+const OP = { HELLO: 0, IDENTIFY: 1, IDENTIFIED: 2, EVENT: 5, REQUEST: 6, REQUEST_RESPONSE: 7 };
+const STATUS = { SUCCESS: 100, UNKNOWN_REQUEST: 204, OUTPUT_RUNNING: 500, OUTPUT_NOT_RUNNING: 501, OUTPUT_PAUSED: 502, OUTPUT_NOT_PAUSED: 503, NOT_FOUND: 600 };
+const INTENT = { SCENES: 1 << 2, INPUTS: 1 << 3, OUTPUTS: 1 << 6 };
+const AUTH_FAILED_CLOSE_CODE = 4009;
+
+// Локальный сервер obs-websocket v5 для тестов и работы без OBS: сцены, источники звука, запись.
+// С ffmpegPath пишет настоящие файлы (тестовая картинка и тон), без него - пустые файлы-заглушки
+class MockObsServer {
+    constructor({ port = 4455, password = '', recordDirectory = os.tmpdir(), ffmpegPath = null, capture = {}, startDelayMs = 50 } = {}) {
+        this.port = port;
+        this.password = password;
+        this.startDelayMs = startDelayMs;
+        this.wss = null;
+        this.media = ffmpegPath ? new FFmpegRecorder(ffmpegPath, capture) : null;
+
+        this.state = {
+            recordDirectory,
+            scenes: ['Камера', 'Экран+Камера', 'Заставка'],
+            currentScene: 'Камера',
+            inputs: {
+                'Mic/Aux': { inputKind: 'coreaudio_input_capture', muted: false, volumeDb: 0 },
+                'Desktop Audio': { inputKind: 'coreaudio_output_capture', muted: false, volumeDb: 0 }
+            },
+            profile: { 'Output.Mode': 'Simple', 'SimpleOutput.RecFormat2': 'mp4' },
+            recording: null, // { outputPath, startedAt, pausedAt, pausedMs }
+            frames: 0
+        };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocket.Server({
+                port: this.port,
+                handleProtocols: (protocols) => {
+                    if (protocols.has('obswebsocket.msgpack')) return 'obswebsocket.msgpack';
+                    if (protocols.has('obswebsocket.json')) return 'obswebsocket.json';
+                    return false;
+                }
+            });
+            this.wss.once('listening', () => {
+                this.port = this.wss.address().port;
+                console.log(`🧪 Mock OBS WebSocket on ws://localhost:${this.port}`);
+                resolve(this);
+            });
+            this.wss.once('error', reject);
+            this.wss.on('connection', (ws) => this.handleConnection(ws));
+        });
+    }
+
+    async stop() {
+        if (this.state.recording && this.media) {
+            await this.media.stop().catch(() => {});
+        }
+        await new Promise(resolve => {
+            if (!this.wss) return resolve();
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close(() => resolve());
+        });
+        this.wss = null;
+    }
+
+    // Разрыв всех соединений - как при перезапуске OBS
+    dropConnections() {
+        this.wss.clients.forEach(client => client.terminate());
+    }
+
+    handleConnection(ws) {
+        ws.msgpack = ws.protocol === 'obswebsocket.msgpack';
+        ws.identified = false;
+
+        const hello = { obsWebSocketVersion: '5.0.0-mock', rpcVersion: 1 };
+        if (this.password) {
+            ws.challenge = crypto.randomBytes(16).toString('base64');
+            ws.salt = crypto.randomBytes(16).toString('base64');
+            hello.authentication = { challenge: ws.challenge, salt: ws.salt };
+        }
+        this.send(ws, OP.HELLO, hello);
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = this.decode(ws, raw);
+            } catch (error) {
+                ws.close(4002, 'Message decode error');
+                return;
+            }
+            this.handleMessage(ws, message).catch(error => {
+                console.error('🧪 Mock OBS error:', error.message);
+            });
+        });
+    }
+
+    async handleMessage(ws, { op, d }) {
+        if (op === OP.IDENTIFY) {
+            if (this.password && d.authentication !== MockObsServer.authResponse(this.password, ws.salt, ws.challenge)) {
+                ws.close(AUTH_FAILED_CLOSE_CODE, 'Authentication failed.');
+                return;
+            }
+            ws.identified = true;
+            this.send(ws, OP.IDENTIFIED, { negotiatedRpcVersion: 1 });
+            return;
+        }
+
+        if (op === OP.REQUEST && ws.identified) {
+            const { requestType, requestId, requestData = {} } = d;
+            let requestStatus = { result: true, code: STATUS.SUCCESS };
+            let responseData;
+
+            try {
+                responseData = await this.handleRequest(requestType, requestData);
+            } catch (error) {
+                requestStatus = { result: false, code: error.code || STATUS.NOT_FOUND, comment: error.message };
+            }
+
+            this.send(ws, OP.REQUEST_RESPONSE, { requestType, requestId, requestStatus, responseData });
+        }
+    }
+
+    async handleRequest(type, data) {
+        const state = this.state;
+        const fail = (code, comment) => {
+            const error = new Error(comment);
+            error.code = code;
+            throw error;
+        };
+        const input = () => state.inputs[data.inputName] || fail(STATUS.NOT_FOUND, `No source was found by the name of \`${data.inputName}\`.`);
+
+        switch (type) {
+            case 'GetVersion':
+                return { obsVersion: '30.0.0-mock', obsWebSocketVersion: '5.0.0-mock', rpcVersion: 1 };
+            case 'GetSceneList':
+                return {
+                    currentProgramSceneName: state.currentScene,
+                    scenes: state.scenes.map((sceneName, sceneIndex) => ({ sceneName, sceneIndex }))
+                };
+            case 'GetCurrentProgramScene':
+                return { currentProgramSceneName: state.currentScene };
+            case 'SetCurrentProgramScene':
+                if (!state.scenes.includes(data.sceneName)) fail(STATUS.NOT_FOUND, `No scene was found by the name of \`${data.sceneName}\`.`);
+                state.currentScene = data.sceneName;
+                this.broadcastEvent('CurrentProgramSceneChanged', INTENT.SCENES, { sceneName: data.sceneName });
+                return undefined;
+            case 'GetInputList':
+                return { inputs: Object.entries(state.inputs).map(([inputName, item]) => ({ inputName, inputKind: item.inputKind })) };
+            case 'GetInputMute':
+                return { inputMuted: input().muted };
+            case 'SetInputMute':
+                input().muted = Boolean(data.inputMuted);
+                this.broadcastEvent('InputMuteStateChanged', INTENT.INPUTS, { inputName: data.inputName, inputMuted: input().muted });
+                return undefined;
+            case 'GetInputVolume':
+                return { inputVolumeDb: input().volumeDb, inputVolumeMul: Math.pow(10, input().volumeDb / 20) };
+            case 'SetInputVolume':
+                input().volumeDb = Number(data.inputVolumeDb);
+                this.broadcastEvent('InputVolumeChanged', INTENT.INPUTS, {
+                    inputName: data.inputName,
+                    inputVolumeDb: input().volumeDb,
+                    inputVolumeMul: Math.pow(10, input().volumeDb / 20)
+                });
+                return undefined;
+            case 'GetRecordDirectory':
+                return { recordDirectory: state.recordDirectory };
+            case 'SetRecordDirectory':
+                state.recordDirectory = data.recordDirectory;
+                return undefined;
+            case 'GetProfileParameter':
+                return { parameterValue: state.profile[`${data.parameterCategory}.${data.parameterName}`] || null, defaultParameterValue: null };
+            case 'SetProfileParameter':
+                state.profile[`${data.parameterCategory}.${data.parameterName}`] = data.parameterValue;
+                return undefined;
+            case 'GetRecordStatus':
+                return this.recordStatus();
+            case 'StartRecord':
+                if (state.recording) fail(STATUS.OUTPUT_RUNNING, 'The record output is already running.');
+                await this.startRecord();
+                return undefined;
+            case 'StopRecord':
+                if (!state.recording) fail(STATUS.OUTPUT_NOT_RUNNING, 'The record output is not running.');
+                return { outputPath: await this.stopRecord() };
+            case 'PauseRecord':
+                if (!state.recording) fail(STATUS.OUTPUT_NOT_RUNNING, 'The record output is not running.');
+                if (state.recording.pausedAt) fail(STATUS.OUTPUT_PAUSED, 'The record output is paused.');
+                this.pauseRecord(true);
+                return undefined;
+            case 'ResumeRecord':
+                if (!state.recording) fail(STATUS.OUTPUT_NOT_RUNNING, 'The record output is not running.');
+                if (!state.recording.pausedAt) fail(STATUS.OUTPUT_NOT_PAUSED, 'The record output is not paused.');
+                this.pauseRecord(false);
+                return undefined;
+            case 'GetStats':
+                state.frames += 150;
+                return {
+                    cpuUsage: 8.5,
+                    memoryUsage: 320,
+                    availableDiskSpace: 250000,
+                    activeFps: 30,
+                    averageFrameRenderTime: 1.2,
+                    renderSkippedFrames: 0,
+                    renderTotalFrames: state.frames,
+                    outputSkippedFrames: 0,
+                    outputTotalFrames: state.recording ? state.frames : 0
+                };
+            default:
+                fail(STATUS.UNKNOWN_REQUEST, `Your request type \`${type}\` is not valid.`);
+        }
+        return undefined;
+    }
+
+    recordStatus() {
+        const recording = this.state.recording;
+        const now = Date.now();
+        const duration = recording ? now - recording.startedAt - recording.pausedMs - (recording.pausedAt ? now - recording.pausedAt : 0) : 0;
+        return {
+            outputActive: Boolean(recording),
+            outputPaused: Boolean(recording && recording.pausedAt),
+            outputTimecode: MockObsServer.formatTimecode(duration),
+            outputDuration: duration,
+            outputBytes: recording && fs.existsSync(recording.outputPath) ? fs.statSync(recording.outputPath).size : 0
+        };
+    }
+
+    // Как в OBS: STARTING -> STARTED (с путем файла), STOPPING -> STOPPED
+    async startRecord() {
+        const state = this.state;
+        const extension = state.profile['SimpleOutput.RecFormat2'] || 'mp4';
+        state.recording = { outputPath: null, startedAt: Date.now(), pausedAt: null, pausedMs: 0 };
+        this.broadcastEvent('RecordStateChanged', INTENT.OUTPUTS, { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTING', outputPath: null });
+
+        if (this.media) {
+            const started = new Promise(resolve => this.media.once('record_started', resolve));
+            await this.media.start({ outputDir: state.recordDirectory, videoFormat: extension });
+            state.recording.outputPath = (await started).outputPath;
+        } else {
+            state.recording.outputPath = path.join(state.recordDirectory, FFmpegRecorder.buildFileName(new Date(), extension));
+            fs.writeFileSync(state.recording.outputPath, '');
+        }
+
+        setTimeout(() => {
+            if (!state.recording) return;
+            this.broadcastEvent('RecordStateChanged', INTENT.OUTPUTS, {
+                outputActive: true,
+                outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED',
+                outputPath: state.recording.outputPath
+            });
+        }, this.startDelayMs);
+    }
+
+    // Пауза только в состоянии и событиях: FFmpeg-заглушка продолжает писать файл
+    pauseRecord(paused) {
+        const recording = this.state.recording;
+        if (paused) {
+            recording.pausedAt = Date.now();
+        } else {
+            recording.pausedMs += Date.now() - recording.pausedAt;
+            recording.pausedAt = null;
+        }
+        this.broadcastEvent('RecordStateChanged', INTENT.OUTPUTS, {
+            outputActive: true,
+            outputState: paused ? 'OBS_WEBSOCKET_OUTPUT_PAUSED' : 'OBS_WEBSOCKET_OUTPUT_RESUMED',
+            outputPath: null
+        });
+    }
+
+    async stopRecord() {
+        const state = this.state;
+        const outputPath = state.recording.outputPath;
+        this.broadcastEvent('RecordStateChanged', INTENT.OUTPUTS, { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPING', outputPath: null });
+
+        if (this.media) {
+            await this.media.stop();
+        }
+        state.recording = null;
+
+        this.broadcastEvent('RecordStateChanged', INTENT.OUTPUTS, {
+            outputActive: false,
+            outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED',
+            outputPath
+        });
+        return outputPath;
+    }
+
+    broadcastEvent(eventType, eventIntent, eventData) {
+        if (!this.wss) return;
+        this.wss.clients.forEach(ws => {
+            if (ws.identified && ws.readyState === WebSocket.OPEN) {
+                this.send(ws, OP.EVENT, { eventType, eventIntent, eventData });
+            }
+        });
+    }
+
+    send(ws, op, d) {
+        const message = { op, d };
+        ws.send(ws.msgpack ? require('@msgpack/msgpack').encode(message) : JSON.stringify(message));
+    }
+
+    decode(ws, raw) {
+        return ws.msgpack ? require('@msgpack/msgpack').decode(raw) : JSON.parse(raw.toString());
+    }
+
+    static authResponse(password, salt, challenge) {
+        const secret = crypto.createHash('sha256').update(password + salt).digest('base64');
+        return crypto.createHash('sha256').update(secret + challenge).digest('base64');
+    }
+
+    static formatTimecode(ms) {
+        const pad = (value, size = 2) => String(value).padStart(size, '0');
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(ms % 1000, 3)}`;
+    }
+}
+
+// node lib/mockObsServer.js [--port 4455] [--password secret] [--dir path] [--ffmpeg ffmpeg]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    new MockObsServer({
+        port: parseInt(option('port', '4455'), 10),
+        password: option('password', ''),
+        recordDirectory: option('dir', os.tmpdir()),
+        ffmpegPath: option('ffmpeg', null)
+    }).start();
+}
+
+module.exports = MockObsServer;
@@ -0,0 +1,66 @@
+// Пороги предупреждений для отчетов GetStats
+const THRESHOLDS = {
+    cpuUsage: 90,               // %
+    availableDiskSpaceMb: 2048, // МБ на диске записи
+    renderTimeMs: 30            // среднее время рендера кадра
+};
+
+// Отчет о состоянии OBS по данным GetStats; пропущенные кадры считаются с прошлого замера
+class ObsHealth {
+    static buildReport(stats, previous = null, isRecording = false) {
+        const delta = (key) => {
+            const current = stats[key] || 0;
+            // После перезапуска OBS счетчики начинаются с нуля
+            if (!previous || current < (previous[key] || 0)) return current;
+            return current - (previous[key] || 0);
+        };
+
+        const newRenderSkipped = delta('renderSkippedFrames');
+        const newOutputSkipped = delta('outputSkippedFrames');
+        const newOutputFrames = delta('outputTotalFrames');
+
+        const report = {
+            cpuUsage: ObsHealth.round(stats.cpuUsage),
+            memoryUsage: ObsHealth.round(stats.memoryUsage),
+            availableDiskSpace: ObsHealth.round(stats.availableDiskSpace),
+            activeFps: ObsHealth.round(stats.activeFps),
+            averageFrameRenderTime: ObsHealth.round(stats.averageFrameRenderTime),
+            renderSkippedFrames: stats.renderSkippedFrames || 0,
+            renderTotalFrames: stats.renderTotalFrames || 0,
+            outputSkippedFrames: stats.outputSkippedFrames || 0,
+            outputTotalFrames: stats.outputTotalFrames || 0,
+            newRenderSkipped,
+            newOutputSkipped,
+            droppedPercent: newOutputFrames > 0 ? ObsHealth.round(newOutputSkipped / newOutputFrames * 100) : 0,
+            isRecording,
+            warnings: [],
+            timestamp: new Date().toISOString()
+        };
+
+        if (isRecording && newOutputSkipped > 0) {
+            report.warnings.push(`пропущено ${newOutputSkipped} кадров при кодировании (${report.droppedPercent}%) - дубль может дергаться`);
+        }
+        if (isRecording && newRenderSkipped > 0) {
+            report.warnings.push(`пропущено ${newRenderSkipped} кадров при рендере - перегружена видеокарта`);
+        }
+        if (report.cpuUsage > THRESHOLDS.cpuUsage) {
+            report.warnings.push(`загрузка CPU ${report.cpuUsage}%`);
+        }
+        if (stats.availableDiskSpace !== undefined && stats.availableDiskSpace < THRESHOLDS.availableDiskSpaceMb) {
+            report.warnings.push(`мало места на диске: ${Math.round(stats.availableDiskSpace)} МБ`);
+        }
+        if (report.averageFrameRenderTime > THRESHOLDS.renderTimeMs) {
+            report.warnings.push(`медленный рендер кадра: ${report.averageFrameRenderTime} мс`);
+        }
+
+        return report;
+    }
+
+    static round(value) {
+        return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+    }
+}
+
+ObsHealth.THRESHOLDS = THRESHOLDS;
+
+module.exports = ObsHealth;
@@ -0,0 +1,325 @@
+const OBSWebSocket = require('obs-websocket-js').default;
+const Recorder = require('./recorder');
+const ObsHealth = require('./obsHealth');
+const OutputFormats = require('./outputFormats');
+const BlockDirectives = require('./blockDirectives');
+
+// Переподключение к OBS и периодический опрос GetStats
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const HEALTH_INTERVAL_MS = 5000;
+
+// Запись через obs-websocket v5: сцены, звук, переподключение с нарастающей задержкой, GetStats
+class ObsRecorder extends Recorder {
+    constructor() {
+        super('obs');
+        this.obs = new OBSWebSocket();
+        this.connection = null; // { url, password } последнего успешного подключения
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.healthTimer = null;
+        this.lastStats = null;
+
+        this.setupHandlers();
+    }
+
+    setupHandlers() {
+        // Identified - сессия готова к запросам
+        this.obs.on('Identified', () => {
+            console.log('✅ Connected to OBS Studio');
+            this.connected = true;
+            this.reconnectAttempt = 0;
+            this.startHealthMonitor();
+            this.emit('connected');
+        });
+
+        this.obs.on('ConnectionClosed', (error) => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.stopHealthMonitor();
+            if (wasConnected) {
+                console.log('❌ Disconnected from OBS Studio', error && error.message ? `(${error.message})` : '');
+                this.emit('disconnected', null);
+            }
+            this.scheduleReconnect();
+        });
+
+        this.obs.on('ConnectionError', (error) => {
+            // Во время переподключения ошибки ожидаемы - без стека
+            console.error('❌ OBS connection error:', this.connection ? error.message : error);
+        });
+
+        this.obs.on('RecordStateChanged', (data) => {
+            console.log('📹 Recording state changed:', {
+                outputActive: data.outputActive,
+                outputState: data.outputState,
+                outputPath: data.outputPath
+            });
+
+            // Промежуточные состояния (STARTING/STOPPING) не меняют запись
+            if (data.outputState === 'OBS_WEBSOCKET_OUTPUT_PAUSED' || data.outputState === 'OBS_WEBSOCKET_OUTPUT_RESUMED') {
+                this.emit('record_paused', { paused: data.outputState === 'OBS_WEBSOCKET_OUTPUT_PAUSED' });
+            } else if (data.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED') {
+                this.recording = true;
+                this.emit('record_started', { outputPath: data.outputPath || null });
+            } else if (data.outputState === 'OBS_WEBSOCKET_OUTPUT_STOPPED') {
+                this.recording = false;
+                this.emit('record_stopped', {
+                    outputPath: data.outputPath || null,
+                    outputBytes: data.outputBytes,
+                    outputTimecode: data.outputTimecode
+                });
+            }
+        });
+
+        this.obs.on('CurrentProgramSceneChanged', (data) => {
+            console.log('🎬 Сцена OBS:', data.sceneName);
+            this.emit('scene_changed', { sceneName: data.sceneName });
+        });
+
+        this.obs.on('InputMuteStateChanged', (data) => {
+            this.emit('input_state', { inputName: data.inputName, muted: data.inputMuted });
+        });
+
+        this.obs.on('InputVolumeChanged', (data) => {
+            this.emit('input_state', { inputName: data.inputName, volumeDb: data.inputVolumeDb });
+        });
+    }
+
+    // options: { address: 'host:port' | 'ws://host:port' | 'wss://host', password, defaultPort }
+    async connect({ address, password, defaultPort = 4455 }) {
+        const url = ObsRecorder.parseAddress(address, defaultPort);
+
+        console.log(`🔗 Connecting to OBS at ${url}...`);
+
+        // Ручное подключение отменяет автоматическое; закрытие старого сокета не должно его запускать
+        this.cancelReconnect();
+        this.connection = null;
+        await this.obs.connect(url, password);
+        this.connection = { url, password };
+    }
+
+    // Адрес OBS -> ws(s)://host:port. Схема сохраняется; порт по умолчанию - только для ws
+    // (wss без порта - обычно прокси на 443). IPv6 - в скобках: [::1]:4455; "::1" без порта тоже понимаем
+    static parseAddress(address, defaultPort = 4455) {
+        let value = String(address).trim();
+        if (!/^wss?:\/\//i.test(value)) {
+            // Больше одного двоеточия без скобок - голый IPv6
+            value = `ws://${value.split(':').length > 2 && !value.includes('[') ? `[${value}]` : value}`;
+        }
+
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            throw new Error(`Invalid OBS address: ${address}`);
+        }
+        // URL прячет порт, совпадающий со стандартным (ws://host:80), - такой оставляем как есть
+        if (!url.port && url.protocol === 'ws:' && !/^ws:\/\/(\[[^\]]*\]|[^/:[]*):\d/i.test(value)) {
+            url.port = String(defaultPort);
+        }
+        return url.href.replace(/\/$/, '');
+    }
+
+    async disconnect() {
+        this.cancelReconnect();
+        this.connection = null;
+        await this.obs.disconnect();
+    }
+
+    // Повторное подключение с экспоненциальной задержкой (1с, 2с, 4с ... до 30с)
+    scheduleReconnect() {
+        if (!this.connection || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempt);
+        this.reconnectAttempt++;
+        console.log(`🔄 Переподключение к OBS через ${delay / 1000}с (попытка ${this.reconnectAttempt})`);
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, retryInMs: delay });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.obs.connect(this.connection.url, this.connection.password);
+                console.log('✅ Переподключение к OBS выполнено');
+            } catch (error) {
+                // ConnectionClosed запланирует следующую попытку; на случай, если событие не пришло:
+                console.log('⚠️ Переподключение не удалось:', error.message);
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+    }
+
+    async start({ outputDir, videoFormat, videoQuality }) {
+        await this.obs.call('SetRecordDirectory', { recordDirectory: outputDir });
+        await this.applyRecordingFormat(videoFormat, videoQuality);
+        await this.obs.call('StartRecord');
+    }
+
+    async stop() {
+        await this.obs.call('StopRecord');
+    }
+
+    async pause() {
+        await this.obs.call('PauseRecord');
+    }
+
+    async resume() {
+        await this.obs.call('ResumeRecord');
+    }
+
+    // Путь GetRecordStatus не сообщает
+    async status() {
+        const status = await this.obs.call('GetRecordStatus');
+        this.recording = status.outputActive;
+        return {
+            active: status.outputActive,
+            paused: Boolean(status.outputPaused),
+            outputTimecode: status.outputTimecode,
+            outputPath: null
+        };
+    }
+
+    async getInfo() {
+        // Get scenes
+        const scenesResponse = await this.obs.call('GetSceneList');
+        const scenes = scenesResponse.scenes.map(scene => scene.sceneName);
+        const currentScene = scenesResponse.currentProgramSceneName;
+
+        // Get audio sources
+        const inputsResponse = await this.obs.call('GetInputList');
+        const audioSources = inputsResponse.inputs
+            .filter(input => input.inputKind.includes('audio'))
+            .map(input => input.inputName);
+
+        // Mute state and volume of each audio source
+        const inputStates = {};
+        for (const inputName of audioSources) {
+            const { inputMuted } = await this.obs.call('GetInputMute', { inputName });
+            const { inputVolumeDb } = await this.obs.call('GetInputVolume', { inputName });
+            inputStates[inputName] = { muted: inputMuted, volumeDb: inputVolumeDb };
+        }
+
+        // Get recording settings
+        const recordResponse = await this.obs.call('GetRecordDirectory');
+        const recordingPath = recordResponse.recordDirectory;
+
+        return { scenes, currentScene, audioSources, inputStates, recordingPath };
+    }
+
+    // Формат и качество записи в профиле OBS; при ошибке пишем с текущими настройками OBS
+    async applyRecordingFormat(videoFormat, videoQuality) {
+        const recFormat = OutputFormats.obsRecordingFormat(videoFormat);
+
+        try {
+            const { parameterValue: mode } = await this.obs.call('GetProfileParameter', {
+                parameterCategory: 'Output',
+                parameterName: 'Mode'
+            });
+            const category = mode === 'Advanced' ? 'AdvOut' : 'SimpleOutput';
+
+            // RecFormat2 - OBS 30+, RecFormat - более ранние версии
+            for (const parameterName of ['RecFormat2', 'RecFormat']) {
+                await this.obs.call('SetProfileParameter', {
+                    parameterCategory: category,
+                    parameterName,
+                    parameterValue: recFormat
+                });
+            }
+            if (category === 'SimpleOutput') {
+                await this.obs.call('SetProfileParameter', {
+                    parameterCategory: category,
+                    parameterName: 'RecQuality',
+                    parameterValue: OutputFormats.obsRecQuality(videoQuality)
+                });
+            }
+        } catch (error) {
+            console.log('⚠️ Не удалось применить формат записи в OBS:', error.message);
+        }
+    }
+
+    async applyDirectives(directives) {
+        if (BlockDirectives.isEmpty(directives)) {
+            return;
+        }
+
+        console.log('🎛️ Директивы блока:', BlockDirectives.describe(directives));
+        try {
+            if (directives.scene) {
+                await this.obs.call('SetCurrentProgramScene', { sceneName: directives.scene });
+            }
+            for (const inputName of directives.mute) {
+                await this.obs.call('SetInputMute', { inputName, inputMuted: true });
+            }
+            for (const inputName of directives.unmute) {
+                await this.obs.call('SetInputMute', { inputName, inputMuted: false });
+            }
+            for (const { inputName, volumeDb } of directives.volume) {
+                await this.obs.call('SetInputVolume', { inputName, inputVolumeDb: volumeDb });
+            }
+        } catch (error) {
+            throw new Error(`Не удалось применить директивы блока (${BlockDirectives.describe(directives)}): ${error.message}`);
+        }
+    }
+
+    async getCurrentScene() {
+        try {
+            const { currentProgramSceneName } = await this.obs.call('GetCurrentProgramScene');
+            return currentProgramSceneName;
+        } catch (error) {
+            console.log('⚠️ Не удалось получить текущую сцену OBS:', error.message);
+            return null;
+        }
+    }
+
+    async setScene(sceneName) {
+        await this.obs.call('SetCurrentProgramScene', { sceneName });
+        console.log('🎬 Сцена переключена:', sceneName);
+    }
+
+    async setInputMute(inputName, muted) {
+        await this.obs.call('SetInputMute', { inputName, inputMuted: muted });
+        console.log(`${muted ? '🔇' : '🔊'} ${inputName}: ${muted ? 'выключен' : 'включен'}`);
+    }
+
+    async setInputVolume(inputName, volumeDb) {
+        await this.obs.call('SetInputVolume', { inputName, inputVolumeDb: volumeDb });
+        console.log(`🎚️ ${inputName}: ${volumeDb} dB`);
+    }
+
+    startHealthMonitor() {
+        this.stopHealthMonitor();
+        this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_INTERVAL_MS);
+    }
+
+    stopHealthMonitor() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+        this.lastStats = null;
+    }
+
+    async checkHealth() {
+        if (!this.connected) {
+            return;
+        }
+
+        try {
+            const stats = await this.obs.call('GetStats');
+            const report = ObsHealth.buildReport(stats, this.lastStats, this.recording);
+            this.lastStats = stats;
+            report.warnings.forEach(warning => console.log('⚠️ OBS:', warning));
+            this.emit('health', report);
+        } catch (error) {
+            console.log('⚠️ GetStats не удался:', error.message);
+        }
+    }
+}
+
+module.exports = ObsRecorder;
@@ -0,0 +1,98 @@
+// Контейнеры итогового видео: кодеки для перекодирования и кодеки, которые можно копировать без перекодирования
+const FORMATS = {
+    mp4: {
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        copyVideo: ['h264', 'hevc', 'av1'],
+        copyAudio: ['aac', 'mp3', 'opus'],
+        faststart: true
+    },
+    mov: {
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        copyVideo: ['h264', 'hevc', 'prores'],
+        copyAudio: ['aac', 'pcm_s16le', 'pcm_s24le'],
+        faststart: true
+    },
+    mkv: {
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        copyVideo: null, // Matroska принимает любые кодеки
+        copyAudio: null,
+        faststart: false
+    },
+    webm: {
+        videoCodec: 'libvpx-vp9',
+        audioCodec: 'libopus',
+        copyVideo: ['vp8', 'vp9', 'av1'],
+        copyAudio: ['opus', 'vorbis'],
+        faststart: false
+    }
+};
+
+// Пресеты качества: crf для x264 и VP9, битрейт звука и качество записи OBS (Simple Output)
+const QUALITY_PRESETS = {
+    low: { x264Preset: 'veryfast', x264Crf: 28, vp9Crf: 40, audioBitrate: '128k', obsRecQuality: 'Stream' },
+    medium: { x264Preset: 'veryfast', x264Crf: 23, vp9Crf: 34, audioBitrate: '160k', obsRecQuality: 'Small' },
+    high: { x264Preset: 'veryfast', x264Crf: 20, vp9Crf: 31, audioBitrate: '192k', obsRecQuality: 'HQ' },
+    max: { x264Preset: 'slow', x264Crf: 16, vp9Crf: 24, audioBitrate: '256k', obsRecQuality: 'HQ' }
+};
+
+// OBS не пишет webm - записываем в mkv, итоговое видео перекодируется при склейке
+const OBS_RECORDING_FORMATS = { mp4: 'mp4', mov: 'mov', mkv: 'mkv', webm: 'mkv' };
+
+class OutputFormats {
+    static encodeArgs(format = 'mp4', quality = 'high') {
+        const container = FORMATS[format] || FORMATS.mp4;
+        const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS.high;
+
+        const args = container.videoCodec === 'libvpx-vp9'
+            ? ['-c:v', 'libvpx-vp9', '-crf', String(preset.vp9Crf), '-b:v', '0', '-row-mt', '1', '-deadline', 'good', '-cpu-used', '4']
+            : ['-c:v', 'libx264', '-preset', preset.x264Preset, '-crf', String(preset.x264Crf)];
+
+        args.push(...OutputFormats.audioArgs(format, quality));
+        if (container.faststart) {
+            args.push('-movflags', '+faststart');
+        }
+        return args;
+    }
+
+    // Кодек звука контейнера: для копии дубля, у которой перекодируется только звук
+    static audioArgs(format = 'mp4', quality = 'high') {
+        const container = FORMATS[format] || FORMATS.mp4;
+        const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS.high;
+        return ['-c:a', container.audioCodec, '-b:a', preset.audioBitrate];
+    }
+
+    // Причина, по которой дубли нельзя скопировать в контейнер без перекодирования, или null
+    static copyMismatch(format, inputs) {
+        const container = FORMATS[format] || FORMATS.mp4;
+        const unsupported = new Set();
+
+        inputs.forEach(input => {
+            if (input.hasVideo && container.copyVideo && !container.copyVideo.includes(input.videoCodec)) {
+                unsupported.add(input.videoCodec);
+            }
+            if (input.hasAudio && container.copyAudio && !container.copyAudio.includes(input.audioCodec)) {
+                unsupported.add(input.audioCodec);
+            }
+        });
+
+        return unsupported.size > 0
+            ? `кодеки не подходят для ${format} (${[...unsupported].join(' / ')})`
+            : null;
+    }
+
+    static obsRecordingFormat(format) {
+        return OBS_RECORDING_FORMATS[format] || 'mp4';
+    }
+
+    static obsRecQuality(quality) {
+        return (QUALITY_PRESETS[quality] || QUALITY_PRESETS.high).obsRecQuality;
+    }
+}
+
+OutputFormats.FORMATS = FORMATS;
+OutputFormats.QUALITY_PRESETS = QUALITY_PRESETS;
+
+module.exports = OutputFormats;
@@ -0,0 +1,52 @@
+const path = require('path');
+
+// Символы, запрещенные в именах файлов Windows, и управляющие символы
+const FORBIDDEN_CHARS = /[<>:"/\\|?*\x00-\x1f]/;
+
+// Имя проекта становится именем итогового файла: буквы, цифры, пробел и - _ . ( )
+const PROJECT_NAME_PATTERN = /^[\p{L}\p{N} _\-.()]+$/u;
+
+// Проверки путей от клиента: имена файлов не должны выходить за пределы папки вывода
+class PathGuard {
+    static isSafeFileName(name) {
+        return typeof name === 'string' &&
+            name.length > 0 &&
+            name.length <= 255 &&
+            name === name.trim() &&
+            !FORBIDDEN_CHARS.test(name) &&
+            !name.startsWith('.');
+    }
+
+    static isSafeProjectName(name) {
+        return typeof name === 'string' &&
+            name.length > 0 &&
+            name.length <= 120 &&
+            PROJECT_NAME_PATTERN.test(name) &&
+            !name.startsWith('.');
+    }
+
+    static assertFileName(name, what = 'file name') {
+        if (!PathGuard.isSafeFileName(name)) {
+            throw new Error(`Invalid ${what}: ${name}`);
+        }
+        return name;
+    }
+
+    // Путь внутри baseDir; относительные пути вида "a/../../b" отклоняются
+    static resolveInside(baseDir, relativePath) {
+        const base = path.resolve(baseDir);
+        const resolved = path.resolve(base, relativePath);
+        if (!resolved.startsWith(base + path.sep)) {
+            throw new Error(`Path escapes output folder: ${relativePath}`);
+        }
+        return resolved;
+    }
+
+    // Строка для списка concat-демультиплексора FFmpeg: file '...'
+    static concatListEntry(filePath) {
+        const normalized = filePath.replace(/\\/g, '/');
+        return `file '${normalized.replace(/'/g, "'\\''")}'`;
+    }
+}
+
+module.exports = PathGuard;
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const PathGuard = require('./pathGuard');
+
+const FORMAT = 'videomaster-project';
+const VERSION = 1;
+
+// Служебные записи читаются в память целиком, поэтому их размер ограничен
+const JSON_ENTRIES = ['project.json', 'manifest.json'];
+const MAX_JSON_SIZE = 64 * 1024 * 1024;
+
+// Файлы рядом со склейкой: субтитры (writeSubtitles) и главы (writeChapters)
+const SIDECAR_SUFFIXES = ['.srt', '.vtt', '.chapters.txt', '.timeline.json'];
+
+// Архив проекта для переноса на другую машину - обычный tar (tar-stream; длинные и нелатинские имена - в PAX):
+//   project.json   - проект, как он лежит в хранилище
+//   takes/<файл>   - выбранные дубли (takes: 'all' - все неотброшенные)
+//   outputs/<файл> - склейки, экспорты, субтитры и главы
+//   manifest.json  - последним: файлы с размером и sha256
+class ProjectArchive {
+    // Файлы проекта для архива: [{ path, source, role }]; missing - файлы, которых уже нет на диске
+    static collect(project, rootDir, { takes = 'accepted' } = {}) {
+        const files = [];
+        const missing = [];
+        const add = (dir, filePath, role, optional = false) => {
+            const archivePath = `${dir}/${path.basename(filePath)}`;
+            if (files.some(file => file.path === archivePath)) {
+                return;
+            }
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+                files.push({ path: archivePath, source: filePath, role });
+            } else if (!optional) {
+                missing.push(archivePath);
+            }
+        };
+
+        project.blocks.forEach(block => {
+            block.takes.forEach(take => {
+                if (take.filename === block.acceptedTake || (takes === 'all' && take.status !== 'discarded')) {
+                    add('takes', path.join(rootDir, take.filename), 'take');
+                }
+            });
+        });
+
+        project.outputs.forEach(output => {
+            add('outputs', output.outputFile, output.method === 'export' ? 'export' : 'output');
+            if (output.method !== 'export') {
+                const base = output.outputFile.slice(0, -path.extname(output.outputFile).length);
+                SIDECAR_SUFFIXES.forEach(suffix => add('outputs', `${base}${suffix}`, 'sidecar', true));
+            }
+        });
+
+        return { files, missing };
+    }
+
+    // Пишет архив через временный файл; возвращает { manifest, size }
+    static async create(archiveFile, project, rootDir, options = {}) {
+        const { files, missing } = ProjectArchive.collect(project, rootDir, options);
+        const tmpFile = `${archiveFile}.tmp`;
+        const pack = tar.pack();
+        const output = pipeline(pack, fs.createWriteStream(tmpFile));
+        let manifest;
+
+        try {
+            const projectData = Buffer.from(JSON.stringify(project, null, 2), 'utf8');
+            await ProjectArchive.addEntry(pack, 'project.json', projectData);
+
+            const entries = [{ path: 'project.json', role: 'project', size: projectData.length, sha256: ProjectArchive.sha256(projectData) }];
+            for (const file of files) {
+                entries.push({ path: file.path, role: file.role, ...(await ProjectArchive.addFile(pack, file.path, file.source)) });
+            }
+
+            manifest = {
+                format: FORMAT,
+                version: VERSION,
+                createdAt: new Date().toISOString(),
+                project: { id: project.id, name: project.name, blocksCount: project.blocks.length },
+                takes: options.takes || 'accepted',
+                files: entries,
+                missing
+            };
+            await ProjectArchive.addEntry(pack, 'manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+
+            pack.finalize();
+            await output;
+        } catch (error) {
+            pack.destroy(error);
+            await output.catch(() => {});
+            fs.rmSync(tmpFile, { force: true });
+            throw error;
+        }
+
+        fs.renameSync(tmpFile, archiveFile);
+        return { manifest, size: fs.statSync(archiveFile).size };
+    }
+
+    // Оглавление архива: { manifest, project, entries: Map(path -> { size }) }. Данные файлов только пропускаются
+    static async read(archiveFile) {
+        const entries = new Map();
+        const json = new Map();
+
+        for await (const entry of ProjectArchive.entries(archiveFile)) {
+            const { name, size, type } = entry.header;
+            if (type === 'file') {
+                entries.set(name, { size });
+            }
+            if (type === 'file' && JSON_ENTRIES.includes(name)) {
+                if (size > MAX_JSON_SIZE) {
+                    throw new Error(`Not a project archive: ${name} is too large`);
+                }
+                const chunks = [];
+                for await (const chunk of entry) {
+                    chunks.push(chunk);
+                }
+                json.set(name, Buffer.concat(chunks).toString('utf8'));
+            } else {
+                // Каталоги, ссылки и данные файлов не нужны
+                entry.resume();
+            }
+        }
+
+        const parse = (name) => {
+            if (!json.has(name)) {
+                throw new Error(`Not a project archive: ${name} is missing`);
+            }
+            try {
+                return JSON.parse(json.get(name));
+            } catch {
+                throw new Error(`Not a project archive: ${name} is damaged`);
+            }
+        };
+
+        const manifest = parse('manifest.json');
+        if (!manifest || manifest.format !== FORMAT || !(manifest.version <= VERSION) || !Array.isArray(manifest.files)) {
+            throw new Error(`Unsupported archive format: ${manifest && manifest.format} v${manifest && manifest.version}`);
+        }
+        return { manifest, project: parse('project.json'), entries };
+    }
+
+    // Записи архива по порядку: entry.header и поток данных; следующая читается, когда предыдущая дочитана
+    static entries(archiveFile) {
+        const extract = tar.extract();
+        stream.pipeline(fs.createReadStream(archiveFile), extract, () => {});
+        return extract;
+    }
+
+    // Распаковка в папку вывода. Файл с тем же содержимым уже есть - используем его,
+    // с другим - сохраняем под новым именем. Возвращает проект с путями этой машины.
+    // Архив читается дважды: манифест лежит в конце, а файлы проверяем по нему еще до записи
+    static async extract(archiveFile, rootDir) {
+        const { manifest, project, entries } = await ProjectArchive.read(archiveFile);
+        ProjectArchive.validateProject(project);
+
+        const files = new Map(); // путь в архиве -> { name, size, sha256 }
+        for (const file of manifest.files) {
+            if (!file || file.role === 'project') {
+                continue;
+            }
+            const [dir, name, ...rest] = String(file.path).split('/');
+            if (rest.length > 0 || !['takes', 'outputs'].includes(dir) || !PathGuard.isSafeFileName(name)) {
+                throw new Error(`Unexpected file in archive: ${file.path}`);
+            }
+            const entry = entries.get(file.path);
+            if (!entry || entry.size !== file.size) {
+                throw new Error(`Archive is incomplete: ${file.path}`);
+            }
+            files.set(file.path, { name, size: file.size, sha256: file.sha256 });
+        }
+
+        const names = new Map(); // путь в архиве -> имя файла в папке вывода
+        const written = [];
+        const reused = [];
+
+        try {
+            for await (const entry of ProjectArchive.entries(archiveFile)) {
+                const file = files.get(entry.header.name);
+                if (!file || names.has(entry.header.name)) {
+                    entry.resume();
+                    continue;
+                }
+
+                const target = await ProjectArchive.targetName(rootDir, file.name, file);
+                names.set(entry.header.name, target.name);
+                if (target.exists) {
+                    reused.push(target.name);
+                    entry.resume();
+                    continue;
+                }
+
+                await ProjectArchive.copyOut(entry, PathGuard.resolveInside(rootDir, target.name), file.sha256);
+                written.push(target.name);
+            }
+            if (names.size !== files.size) {
+                throw new Error('Archive changed while importing');
+            }
+        } catch (error) {
+            written.forEach(name => fs.rmSync(path.join(rootDir, name), { force: true }));
+            throw error;
+        }
+
+        return { project: ProjectArchive.rebase(project, rootDir, names), manifest, written, reused };
+    }
+
+    // project.json из чужого архива: проверяем то, на что опираются импорт и хранилище проектов,
+    // до того как что-то записано на диск
+    static validateProject(project) {
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const fail = (what) => {
+            throw new Error(`Invalid project in archive: ${what}`);
+        };
+
+        if (!isObject(project)) fail('not an object');
+        if (!/^[a-z0-9]+$/i.test(String(project.id))) fail(`id ${project.id}`);
+        if (typeof project.name !== 'string' || !project.name) fail('name');
+        if (!Array.isArray(project.blocks)) fail('blocks');
+
+        project.blocks.forEach((block, index) => {
+            if (!isObject(block) || !Number.isInteger(block.index) || !Array.isArray(block.takes)) {
+                fail(`block ${index + 1}`);
+            }
+            block.takes.forEach(take => {
+                if (!isObject(take) || !PathGuard.isSafeFileName(take.filename)) {
+                    fail(`take in block ${index + 1}`);
+                }
+            });
+            if (block.acceptedTake !== null && !block.takes.some(take => take.filename === block.acceptedTake)) {
+                fail(`accepted take of block ${index + 1}`);
+            }
+        });
+
+        if (!Number.isInteger(project.currentIndex) || project.currentIndex < 0 || project.currentIndex > project.blocks.length) {
+            fail('currentIndex');
+        }
+        if (!Array.isArray(project.outputs) || !project.outputs.every(output => isObject(output) && typeof output.outputFile === 'string' && output.outputFile)) {
+            fail('outputs');
+        }
+    }
+
+    // Ссылки проекта на файлы этой машины; дубли, которых нет в архиве, считаются отброшенными
+    static rebase(project, rootDir, names) {
+        project.blocks.forEach(block => {
+            block.takes.forEach(take => {
+                const name = names.get(`takes/${take.filename}`);
+                if (block.acceptedTake === take.filename) {
+                    block.acceptedTake = name || null;
+                }
+                if (name) {
+                    take.filename = name;
+                    take.fullPath = path.join(rootDir, name);
+                    return;
+                }
+                if (take.status !== 'discarded') {
+                    take.status = 'discarded';
+                    take.discardedAt = new Date().toISOString();
+                }
+                take.fullPath = null;
+                take.trashPath = null;
+            });
+        });
+
+        project.outputs = project.outputs
+            .filter(output => names.has(`outputs/${path.basename(output.outputFile)}`))
+            .map(output => ({
+                ...output,
+                outputFile: path.join(rootDir, names.get(`outputs/${path.basename(output.outputFile)}`)),
+                ...(output.source ? { source: names.get(`outputs/${output.source}`) || output.source } : {})
+            }));
+
+        return project;
+    }
+
+    // Свободное имя для файла из архива: "Урок.mp4", "Урок (2).mp4"...; exists - такой же файл уже лежит в папке
+    static async targetName(rootDir, name, file) {
+        const ext = path.extname(name);
+        const base = name.slice(0, name.length - ext.length);
+
+        for (let index = 1; ; index++) {
+            const candidate = index === 1 ? name : `${base} (${index})${ext}`;
+            const filePath = path.join(rootDir, candidate);
+            if (!fs.existsSync(filePath)) {
+                return { name: candidate, exists: false };
+            }
+            if (fs.statSync(filePath).size === file.size && (await ProjectArchive.hashFile(filePath)) === file.sha256) {
+                return { name: candidate, exists: true };
+            }
+        }
+    }
+
+    // Копирует данные записи в файл через .import_tmp и сверяет sha256
+    static async copyOut(entry, targetFile, expectedHash) {
+        const tmpFile = `${targetFile}.import_tmp`;
+        const hash = crypto.createHash('sha256');
+        entry.on('data', chunk => hash.update(chunk));
+
+        try {
+            await pipeline(entry, fs.createWriteStream(tmpFile));
+        } catch (error) {
+            fs.rmSync(tmpFile, { force: true });
+            throw error;
+        }
+
+        if (hash.digest('hex') !== expectedHash) {
+            fs.rmSync(tmpFile, { force: true });
+            throw new Error(`Checksum mismatch: ${path.basename(targetFile)}`);
+        }
+        fs.renameSync(tmpFile, targetFile);
+    }
+
+    // Запись из памяти; длинные и нелатинские имена tar-stream кладет в PAX-заголовок
+    static addEntry(pack, name, data) {
+        return new Promise((resolve, reject) => {
+            pack.entry({ name, size: data.length, mtime: new Date() }, data, error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    // Копирует файл в архив, считая sha256; возвращает { size, sha256 }
+    static addFile(pack, archivePath, source) {
+        const stats = fs.statSync(source);
+        if (stats.size === 0) {
+            return ProjectArchive.addEntry(pack, archivePath, Buffer.alloc(0))
+                .then(() => ({ size: 0, sha256: ProjectArchive.sha256(Buffer.alloc(0)) }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            // Читаем ровно столько, сколько записано в заголовке; файл короче - tar-stream вернет ошибку
+            const input = fs.createReadStream(source, { end: stats.size - 1 });
+            const entry = pack.entry({ name: archivePath, size: stats.size, mtime: stats.mtime }, error => {
+                if (error) {
+                    input.destroy();
+                    reject(new Error(`Failed to archive ${source}: ${error.message}`));
+                } else {
+                    resolve({ size: stats.size, sha256: hash.digest('hex') });
+                }
+            });
+            input.on('data', chunk => hash.update(chunk));
+            input.on('error', error => entry.destroy(error));
+            input.pipe(entry);
+        });
+    }
+
+    static sha256(data) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    static async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+}
+
+ProjectArchive.FORMAT = FORMAT;
+ProjectArchive.EXTENSION = '.vmproject.tar';
+
+module.exports = ProjectArchive;
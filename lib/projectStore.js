@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ProtocolError } = require('./messageValidator');
+
+// Хранилище проектов записи: один JSON-файл на проект в <outputPath>/projects
+class ProjectStore {
+    constructor(rootDir) {
+        this.setRootDir(rootDir);
+    }
+
+    setRootDir(rootDir) {
+        this.dir = path.join(rootDir, 'projects');
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    projectFile(id) {
+        if (!/^[a-z0-9]+$/i.test(String(id))) {
+            throw new Error(`Invalid project id: ${id}`);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    create({ name, scriptText = '', blocks = [] }) {
+        const now = new Date().toISOString();
+        const project = {
+            version: 1,
+            id: this.generateId(),
+            name: name || `Video_${Date.now()}`,
+            scriptText,
+            // Блок - строка текста или { text, directives, section } с директивами OBS и заголовком раздела
+            blocks: blocks.map((block, index) => ({
+                index,
+                text: typeof block === 'string' ? block : block.text,
+                directives: (block && block.directives) || null,
+                section: (block && block.section) || null,
+                takes: [],
+                acceptedTake: null
+            })),
+            currentIndex: 0,
+            outputs: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.save(project);
+        return project;
+    }
+
+    generateId() {
+        return Date.now().toString(36) + crypto.randomBytes(3).toString('hex');
+    }
+
+    // Проект из архива другой машины; id уже занят (повторный импорт) - получает новый
+    importProject(project) {
+        if (fs.existsSync(this.projectFile(project.id))) {
+            project.id = this.generateId();
+        }
+        project.importedAt = new Date().toISOString();
+        return this.save(project);
+    }
+
+    save(project) {
+        project.updatedAt = new Date().toISOString();
+
+        // Пишем через временный файл, чтобы не оставить битый JSON при падении
+        const file = this.projectFile(project.id);
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(project, null, 2), 'utf8');
+        fs.renameSync(tmpFile, file);
+        return project;
+    }
+
+    load(id) {
+        const file = this.projectFile(id);
+        if (!fs.existsSync(file)) {
+            throw new ProtocolError('not_found', `Project not found: ${id}`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    loadAll() {
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                } catch (error) {
+                    console.log(`⚠️ Пропускаем повреждённый файл проекта ${file}:`, error.message);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    list() {
+        return this.loadAll()
+            .map(project => this.summarize(project))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    delete(id) {
+        const file = this.projectFile(id);
+        if (!fs.existsSync(file)) {
+            throw new ProtocolError('not_found', `Project not found: ${id}`);
+        }
+        fs.unlinkSync(file);
+    }
+
+    summarize(project) {
+        return {
+            id: project.id,
+            name: project.name,
+            blocksCount: project.blocks.length,
+            acceptedCount: project.blocks.filter(block => block.acceptedTake).length,
+            currentIndex: project.currentIndex,
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt
+        };
+    }
+
+    getBlock(project, blockIndex) {
+        const block = project.blocks[blockIndex];
+        if (!block) {
+            throw new ProtocolError('not_found', `Block ${blockIndex} does not exist in project ${project.id}`, 'data.blockIndex');
+        }
+        return block;
+    }
+
+    // Все дубли блока сохраняются; выбранный для склейки хранится в acceptedTake
+    addTake(project, blockIndex, take) {
+        const block = this.getBlock(project, blockIndex);
+
+        block.takes.push({
+            number: block.takes.length + 1,
+            filename: take.filename,
+            fullPath: take.fullPath,
+            outputBytes: take.outputBytes || null,
+            outputTimecode: take.outputTimecode || null,
+            scene: take.scene || null,
+            droppedFrames: take.droppedFrames || 0,
+            quality: take.quality || null,
+            // Запись по таймеру и паузы внутри дубля: at - секунда файла, где была пауза
+            timed: Boolean(take.timed),
+            stopReason: take.stopReason || null,
+            pauses: take.pauses || [],
+            pausedDuration: take.pausedDuration || 0,
+            recordedAt: new Date().toISOString(),
+            status: 'pending'
+        });
+
+        return this.save(project);
+    }
+
+    findTake(block, filename) {
+        const take = block.takes.find(t => t.filename === filename && t.status !== 'discarded');
+        if (!take) {
+            throw new ProtocolError('not_found', `Take ${filename} not found in block ${block.index + 1}`);
+        }
+        return take;
+    }
+
+    selectTake(project, blockIndex, filename) {
+        const block = this.getBlock(project, blockIndex);
+        const take = this.findTake(block, filename);
+
+        block.takes.forEach(t => {
+            if (t.status === 'accepted') t.status = 'pending';
+        });
+        take.status = 'accepted';
+        block.acceptedTake = take.filename;
+
+        return this.save(project);
+    }
+
+    // Принятие блока: выбираем дубль (по умолчанию последний) и переходим к следующему блоку
+    acceptTake(project, blockIndex, filename) {
+        const block = this.getBlock(project, blockIndex);
+        if (!filename) {
+            const lastTake = [...block.takes].reverse().find(t => t.status !== 'discarded');
+            if (!lastTake) {
+                throw new ProtocolError('no_take', `No take to accept for block ${blockIndex + 1}`);
+            }
+            filename = lastTake.filename;
+        }
+
+        this.selectTake(project, blockIndex, filename);
+        project.currentIndex = Math.max(project.currentIndex, blockIndex + 1);
+
+        return this.save(project);
+    }
+
+    discardTake(project, blockIndex, filename, trashPath) {
+        const block = this.getBlock(project, blockIndex);
+        const take = this.findTake(block, filename);
+
+        take.status = 'discarded';
+        take.trashPath = trashPath;
+        take.discardedAt = new Date().toISOString();
+        if (block.acceptedTake === filename) {
+            block.acceptedTake = null;
+        }
+
+        return this.save(project);
+    }
+
+    // Результат проверки дубля, пришедший позже самого дубля
+    setTakeQuality(project, blockIndex, filename, quality) {
+        const block = this.getBlock(project, blockIndex);
+        const take = block.takes.find(t => t.filename === filename);
+        if (!take) {
+            throw new ProtocolError('not_found', `Take ${filename} not found in block ${blockIndex + 1}`);
+        }
+
+        take.quality = quality;
+        return this.save(project);
+    }
+
+    // Оценка и причины пересъемки; отброшенные дубли тоже можно подписать - для отчета
+    annotateTake(project, blockIndex, filename, { rating, tags, note }) {
+        const block = this.getBlock(project, blockIndex);
+        const take = block.takes.find(t => t.filename === filename);
+        if (!take) {
+            throw new ProtocolError('not_found', `Take ${filename} not found in block ${blockIndex + 1}`);
+        }
+
+        if (rating !== undefined) take.rating = rating;
+        if (tags !== undefined) take.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        if (note !== undefined) take.note = note.trim() || null;
+        take.annotatedAt = new Date().toISOString();
+
+        return this.save(project);
+    }
+
+    // Выбранные дубли в порядке блоков - вход для склейки
+    getSelectedTakes(project) {
+        return project.blocks
+            .map(block => block.acceptedTake)
+            .filter(Boolean);
+    }
+
+    // Переименование видеофайла: обновляем ссылки во всех проектах
+    renameFile(oldName, newName, newPath) {
+        const changed = [];
+
+        this.loadAll().forEach(project => {
+            let touched = false;
+
+            project.blocks.forEach(block => {
+                block.takes.forEach(take => {
+                    if (take.filename === oldName) {
+                        take.filename = newName;
+                        take.fullPath = newPath;
+                        touched = true;
+                    }
+                });
+                if (block.acceptedTake === oldName) {
+                    block.acceptedTake = newName;
+                    touched = true;
+                }
+            });
+
+            project.outputs.forEach(output => {
+                if (path.basename(output.outputFile) === oldName) {
+                    output.outputFile = newPath;
+                    touched = true;
+                }
+            });
+
+            if (touched) {
+                this.save(project);
+                changed.push(project.id);
+            }
+        });
+
+        return changed;
+    }
+
+    // Файлы корзины удалены очисткой: дубли остаются в истории проекта, но без trashPath
+    forgetTrash(trashPaths) {
+        const changed = [];
+        const purgedAt = new Date().toISOString();
+
+        this.loadAll().forEach(project => {
+            let touched = false;
+
+            project.blocks.forEach(block => {
+                block.takes.forEach(take => {
+                    if (take.trashPath && trashPaths.includes(take.trashPath)) {
+                        take.trashPath = null;
+                        take.purgedAt = purgedAt;
+                        touched = true;
+                    }
+                });
+            });
+
+            if (touched) {
+                this.save(project);
+                changed.push(project.id);
+            }
+        });
+
+        return changed;
+    }
+
+    addOutput(project, output) {
+        project.outputs.push({
+            ...output,
+            createdAt: new Date().toISOString()
+        });
+        return this.save(project);
+    }
+}
+
+module.exports = ProjectStore;
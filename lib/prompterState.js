@@ -0,0 +1,91 @@
+// Настройки суфлера по умолчанию (сохраняются в конфигурации как settings.prompter)
+const DEFAULT_PROMPTER_SETTINGS = {
+    mirror: false,              // отражение по горизонтали (стекло-светоделитель)
+    flip: false,                // отражение по вертикали
+    fontSize: 64,               // px
+    lineHeight: 1.5,
+    margin: 10,                 // поля слева и справа, % ширины экрана
+    scrollSpeed: 40,            // px в секунду
+    autoScrollOnRecord: true    // прокрутка стартует вместе с записью
+};
+
+// Что показывает суфлер: тексты блоков, текущий блок и прокрутка.
+// Индекс blocks.length означает "все блоки записаны"
+class PrompterState {
+    constructor(settings = {}) {
+        this.blocks = [];
+        this.blockIndex = 0;
+        this.title = null;
+        this.scrolling = false;
+        this.isRecording = false;
+        this.isPaused = false;
+        this.countdown = null; // секунды до начала записи по таймеру
+        this.scrollingBeforePause = false;
+        this.settings = { ...DEFAULT_PROMPTER_SETTINGS, ...settings };
+    }
+
+    setBlocks(blocks, blockIndex = 0, title = null) {
+        this.blocks = blocks.slice();
+        this.title = title;
+        this.setBlockIndex(blockIndex);
+    }
+
+    // Блок без проекта (start_recording с текстом от клиента)
+    setBlockText(blockIndex, text) {
+        while (this.blocks.length <= blockIndex) {
+            this.blocks.push('');
+        }
+        this.blocks[blockIndex] = text;
+        this.setBlockIndex(blockIndex);
+    }
+
+    setBlockIndex(blockIndex) {
+        const index = Math.max(0, Math.min(blockIndex, this.blocks.length));
+        if (index !== this.blockIndex) {
+            // Новый блок читается с начала
+            this.scrolling = false;
+        }
+        this.blockIndex = index;
+        return this.blockIndex;
+    }
+
+    move(delta) {
+        return this.setBlockIndex(this.blockIndex + delta);
+    }
+
+    // Пауза записи останавливает прокрутку; после паузы прокрутка продолжается, если шла
+    setPaused(paused) {
+        if (paused && !this.isPaused) {
+            this.scrollingBeforePause = this.scrolling;
+            this.scrolling = false;
+        } else if (!paused && this.isPaused) {
+            this.scrolling = this.scrollingBeforePause;
+        }
+        this.isPaused = paused;
+    }
+
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        return this.settings;
+    }
+
+    toJSON() {
+        return {
+            blockIndex: this.blockIndex,
+            total: this.blocks.length,
+            text: this.blocks[this.blockIndex] || '',
+            nextText: this.blocks[this.blockIndex + 1] || null,
+            finished: this.blocks.length > 0 && this.blockIndex >= this.blocks.length,
+            title: this.title,
+            scrolling: this.scrolling,
+            isRecording: this.isRecording,
+            isPaused: this.isPaused,
+            countdown: this.countdown,
+            settings: this.settings
+        };
+    }
+}
+
+PrompterState.DEFAULT_PROMPTER_SETTINGS = DEFAULT_PROMPTER_SETTINGS;
+
+module.exports = PrompterState;
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+
+// Общий интерфейс источника записи (OBS, FFmpeg). События:
+//   connected                   - можно записывать
+//   disconnected (error)        - связь потеряна
+//   reconnecting { attempt, retryInMs }
+//   record_started { outputPath }
+//   record_stopped { outputPath, outputBytes, outputTimecode }
+//   record_paused { paused }    - пауза и продолжение записи
+//   health (report)             - отчет ObsHealth
+//   scene_changed { sceneName }, input_state { inputName, muted | volumeDb }
+class Recorder extends EventEmitter {
+    constructor(kind) {
+        super();
+        this.kind = kind;
+        this.connected = false;
+        this.recording = false;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async connect() {
+        throw new Error(`${this.kind}: connect is not implemented`);
+    }
+
+    async disconnect() {}
+
+    // options: { outputDir, videoFormat, videoQuality }
+    async start() {
+        throw new Error(`${this.kind}: start is not implemented`);
+    }
+
+    async stop() {
+        throw new Error(`${this.kind}: stop is not implemented`);
+    }
+
+    async pause() {
+        throw new Error(`${this.kind} recorder does not support pause`);
+    }
+
+    async resume() {
+        throw new Error(`${this.kind} recorder does not support pause`);
+    }
+
+    // { active, paused, outputTimecode, outputPath } - outputPath может быть неизвестен (null)
+    async status() {
+        return { active: this.recording, paused: false, outputTimecode: null, outputPath: null };
+    }
+
+    // Сцены, источники звука и прочее для панели клиента
+    async getInfo() {
+        return {};
+    }
+
+    // Директивы блока (сцена, звук) - только там, где есть сцены
+    async applyDirectives(directives) {
+        if (directives) {
+            console.log(`⚠️ ${this.kind}: директивы сцены и звука не поддерживаются, пропускаем`);
+        }
+    }
+
+    async getCurrentScene() {
+        return null;
+    }
+
+    async setScene() {
+        throw new Error(`${this.kind} recorder does not support scenes`);
+    }
+
+    async setInputMute() {
+        throw new Error(`${this.kind} recorder does not support audio inputs`);
+    }
+
+    async setInputVolume() {
+        throw new Error(`${this.kind} recorder does not support audio inputs`);
+    }
+}
+
+module.exports = Recorder;
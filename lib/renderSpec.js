@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const PathGuard = require('./pathGuard');
+
+// Переходы xfade, которые можно выбрать в спецификации рендера
+const TRANSITIONS = [
+    'fade', 'fadeblack', 'fadewhite', 'dissolve',
+    'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+    'slideleft', 'slideright', 'circleopen', 'circleclose',
+    'radial', 'smoothleft', 'smoothright'
+];
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.bmp'];
+
+// Положение надписи или картинки: выражения x/y для drawtext и overlay
+const POSITIONS = {
+    'lower-third': { x: 'W*0.05', y: 'H*0.78' },
+    'top-left': { x: 'W*0.04', y: 'H*0.05' },
+    'top-right': { x: 'W-w-W*0.04', y: 'H*0.05' },
+    'bottom-right': { x: 'W-w-W*0.04', y: 'H-h-H*0.05' },
+    'center': { x: '(W-w)/2', y: '(H-h)/2' }
+};
+
+// Спецификация оформления для merge_videos:
+// {
+//   transition: { type: 'fade', duration: 0.5 },
+//   intro: 'intro.mp4', outro: 'outro.mp4',
+//   overlay: { text: 'Заголовок' | image: 'logo.png', start: 0, duration: 5, position: 'lower-third' }
+// }
+class RenderSpec {
+    // Проверяет спецификацию от клиента; файлы ищутся только в папке вывода
+    static parse(raw, videoDir) {
+        if (!raw || typeof raw !== 'object') {
+            return null;
+        }
+
+        const spec = {
+            transition: null,
+            intro: null,
+            outro: null,
+            overlay: null
+        };
+
+        if (raw.transition && raw.transition.type && raw.transition.type !== 'none') {
+            if (!TRANSITIONS.includes(raw.transition.type)) {
+                throw new Error(`Unknown transition: ${raw.transition.type}`);
+            }
+            const duration = raw.transition.duration === undefined ? 0.5 : Number(raw.transition.duration);
+            if (!(duration > 0 && duration <= 5)) {
+                throw new Error('Transition duration must be between 0 and 5 seconds');
+            }
+            spec.transition = { type: raw.transition.type, duration };
+        }
+
+        if (raw.intro) spec.intro = RenderSpec.resolveFile(raw.intro, videoDir);
+        if (raw.outro) spec.outro = RenderSpec.resolveFile(raw.outro, videoDir);
+
+        if (raw.overlay && (raw.overlay.text || raw.overlay.image)) {
+            const position = raw.overlay.position || 'lower-third';
+            if (!POSITIONS[position]) {
+                throw new Error(`Unknown overlay position: ${position}`);
+            }
+
+            spec.overlay = {
+                text: raw.overlay.text ? String(raw.overlay.text) : null,
+                image: null,
+                start: Math.max(0, Number(raw.overlay.start) || 0),
+                duration: Math.max(0.1, Number(raw.overlay.duration) || 5),
+                position,
+                fontSize: Math.min(200, Math.max(8, parseInt(raw.overlay.fontSize, 10) || 48)),
+                fontColor: /^[a-z]+$|^#[0-9a-f]{6}$/i.test(raw.overlay.fontColor || '') ? raw.overlay.fontColor : 'white',
+                fontFile: raw.overlay.fontFile ? RenderSpec.resolveFile(raw.overlay.fontFile, videoDir) : null
+            };
+
+            if (raw.overlay.image) {
+                const image = RenderSpec.resolveFile(raw.overlay.image, videoDir);
+                if (!IMAGE_EXTENSIONS.includes(path.extname(image).toLowerCase())) {
+                    throw new Error(`Unsupported overlay image: ${raw.overlay.image}`);
+                }
+                spec.overlay.image = image;
+            }
+        }
+
+        const isEmpty = !spec.transition && !spec.intro && !spec.outro && !spec.overlay;
+        return isEmpty ? null : spec;
+    }
+
+    static resolveFile(name, videoDir) {
+        PathGuard.assertFileName(name);
+        const fullPath = PathGuard.resolveInside(videoDir, name);
+        if (!fs.existsSync(fullPath)) {
+            throw new Error(`File not found in output folder: ${name}`);
+        }
+        return fullPath;
+    }
+
+    // Путь для опций фильтров FFmpeg: прямые слэши и экранированное двоеточие диска (C\:/...)
+    static escapeFilterPath(filePath) {
+        return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\''");
+    }
+}
+
+RenderSpec.TRANSITIONS = TRANSITIONS;
+RenderSpec.POSITIONS = POSITIONS;
+
+module.exports = RenderSpec;
@@ -0,0 +1,131 @@
+const { HttpError } = require('./httpHandler');
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// Маршруты REST API: каждый - команда WebSocket-протокола с теми же данными (тело JSON или строка запроса)
+const ROUTES = [
+    { method: 'GET', path: '/api/status', command: 'get_state' },
+    { method: 'GET', path: '/api/videos', command: 'get_video_list', integers: ['page', 'pageSize'] },
+    { method: 'GET', path: '/api/jobs', command: 'list_jobs' },
+    { method: 'POST', path: '/api/recording/start', command: 'start_recording' },
+    { method: 'POST', path: '/api/recording/stop', command: 'stop_recording' },
+    { method: 'POST', path: '/api/recording/pause', command: 'pause_recording' },
+    { method: 'POST', path: '/api/recording/resume', command: 'resume_recording' },
+    { method: 'POST', path: '/api/blocks/accept', command: 'accept_block' },
+    // Склейка идет минутами: сразу 202, результат - событием video_merged (и вебхуком)
+    { method: 'POST', path: '/api/merge', command: 'merge_videos', background: true },
+    { method: 'POST', path: '/api/projects/export', command: 'export_project', background: true },
+    { method: 'POST', path: '/api/storage/cleanup', command: 'cleanup_storage' }
+];
+
+// HTTP-статусы для кодов ошибок протокола и команд; ошибки без кода (сбой FFmpeg, OBS) - 500
+const STATUS_BY_CODE = {
+    invalid_json: 400,
+    invalid_message: 400,
+    validation_failed: 400,
+    unauthorized: 401,
+    forbidden: 403,
+    unknown_type: 404,
+    not_found: 404,
+    recording_in_progress: 409,
+    not_recording: 409,
+    recorder_disconnected: 409,
+    no_active_project: 409,
+    no_take: 409,
+    disk_full: 507
+};
+
+// REST API для скриптов и Stream Deck поверх тех же команд, что и WebSocket:
+//   GET  /api/status, /api/videos?page=&pageSize=&type=, /api/jobs
+//   POST /api/recording/start { blockIndex?, timed? }, /api/recording/stop, /api/recording/pause, /api/recording/resume,
+//        /api/blocks/accept { blockIndex?, filename? },
+//        /api/merge { projectName, ... } - как merge_videos,
+//        /api/projects/export { projectId?, takes? } - архив проекта (событие project_exported),
+//        /api/storage/cleanup { dryRun? } - отчет очистки
+// Ответ - данные ответа команды или { ok: true }; ошибка - { error, code, field }
+class RestApi {
+    // options: { execute(command, data, { background }) -> Promise<data|null>, isOriginAllowed(origin) -> boolean }
+    constructor({ execute, isOriginAllowed }) {
+        this.execute = execute;
+        this.isOriginAllowed = isOriginAllowed;
+    }
+
+    async handle(req, res, url) {
+        const route = ROUTES.find(item => item.path === url.pathname);
+        if (!route) {
+            throw new HttpError(404, 'Not found');
+        }
+        if (req.method !== route.method && !(route.method === 'GET' && req.method === 'HEAD')) {
+            res.setHeader('Allow', route.method);
+            throw new HttpError(405, 'Method not allowed');
+        }
+        // Страница с чужого сайта не должна управлять записью через браузер оператора
+        if (!this.isOriginAllowed(req.headers.origin)) {
+            throw new HttpError(403, 'Origin not allowed');
+        }
+
+        const data = route.method === 'GET' ? RestApi.queryData(url, route) : await RestApi.readBody(req);
+        try {
+            const result = await this.execute(route.command, data, { background: Boolean(route.background) });
+            if (route.background) {
+                return RestApi.sendJson(res, 202, { accepted: true, command: route.command });
+            }
+            return RestApi.sendJson(res, 200, result || { ok: true });
+        } catch (error) {
+            const status = STATUS_BY_CODE[error.code] || 500;
+            return RestApi.sendJson(res, status, {
+                error: error.message,
+                code: error.code || 'command_failed',
+                field: error.field || null
+            });
+        }
+    }
+
+    // Параметры строки запроса - строки; перечисленные в route.integers - числа
+    static queryData(url, route) {
+        const data = {};
+        url.searchParams.forEach((value, key) => {
+            if (key === 'token') return;
+            data[key] = (route.integers || []).includes(key) && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+        });
+        return data;
+    }
+
+    // Браузер не отправит application/json на чужой адрес без preflight - заодно защита от CSRF
+    static async readBody(req) {
+        const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const length = parseInt(req.headers['content-length'] || '0', 10);
+        if (type !== 'application/json' && (type !== '' || length > 0)) {
+            throw new HttpError(415, 'Content-Type must be application/json');
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw new HttpError(413, 'Request body too large');
+            }
+            chunks.push(chunk);
+        }
+
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        if (!text) {
+            return {};
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new HttpError(400, 'Body is not valid JSON');
+        }
+    }
+
+    static sendJson(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+}
+
+RestApi.ROUTES = ROUTES;
+
+module.exports = RestApi;
@@ -0,0 +1,284 @@
+const BlockDirectives = require('./blockDirectives');
+
+// Разбивка сценария на блоки по умолчанию (сохраняются в конфигурации как settings.script).
+// targetSeconds > 0 - размер блока по времени чтения вместо minWords/targetWords/maxWords
+const DEFAULT_SPLIT_SETTINGS = {
+    minWords: 15,
+    targetWords: 30,
+    maxWords: 45,
+    targetSeconds: 0,
+    wordsPerMinute: 150
+};
+
+const FORMATS = ['auto', 'plain', 'markdown', 'srt'];
+
+// Заметки для диктора: ((улыбнуться)) - видны на суфлере, но не читаются и не попадают в субтитры
+const NOTE = /\(\(\s*([^()]*?)\s*\)\)/g;
+
+// Ручной разрыв блока: строка из ---, *** или ___
+const BREAK_LINE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const SRT_TIMING = /^\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}/;
+const MARKDOWN_HEADING = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+
+// Сокращения, после которых точка не заканчивает предложение (сравниваются без точки, в нижнем регистре).
+// Для "т.е.", "и т.д." проверяется последняя часть
+const ABBREVIATIONS = new Set([
+    'т', 'е', 'д', 'п', 'г', 'гг', 'в', 'вв', 'др', 'пр', 'им', 'ул', 'пл', 'кв', 'стр', 'см', 'рис', 'табл',
+    'тыс', 'млн', 'млрд', 'трлн', 'руб', 'коп', 'долл', 'напр', 'англ', 'проф', 'акад', 'доц', 'св', 'ок', 'прим',
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'vs', 'etc', 'e', 'i', 'g', 'no', 'inc', 'ltd', 'jr', 'sr', 'approx'
+]);
+
+// Конец предложения: знак препинания, за которым могут идти закрывающие кавычки или скобки
+const SENTENCE_END = /[.!?…]+["»”’)\]]*$/;
+// Следующее предложение начинается с заглавной буквы, цифры, кавычки или тире
+const SENTENCE_START = /^[«"„“'(\[—–-]*[A-ZА-ЯЁ0-9]/;
+
+// Сценарий -> блоки для записи: ручные разрывы, деление на предложения и блоки заданного размера,
+// директивы OBS ([scene: ...]) и заметки ((...)).
+// Блок: { text, directives, section, notes, words, duration }; text - для суфлера (с заметками)
+class ScriptParser {
+    static detectFormat(text) {
+        const lines = String(text || '').split(/\r?\n/);
+        if (lines.some(line => SRT_TIMING.test(line))) {
+            return 'srt';
+        }
+        if (lines.some(line => MARKDOWN_HEADING.test(line)) || /\*\*[^*\n]+\*\*|\[[^\]\n]+\]\([^)\n]+\)/.test(text)) {
+            return 'markdown';
+        }
+        return 'plain';
+    }
+
+    // Пределы блока в словах; при targetSeconds считаются из темпа речи
+    static splitLimits(settings = {}) {
+        const options = { ...DEFAULT_SPLIT_SETTINGS, ...settings };
+
+        if (options.targetSeconds > 0) {
+            const targetWords = Math.max(1, Math.round(options.targetSeconds * options.wordsPerMinute / 60));
+            return {
+                minWords: Math.max(1, Math.round(targetWords / 2)),
+                targetWords,
+                maxWords: Math.max(targetWords, Math.round(targetWords * 1.5))
+            };
+        }
+
+        if (options.minWords > options.targetWords || options.targetWords > options.maxWords) {
+            throw new Error('Block size limits must satisfy minWords <= targetWords <= maxWords');
+        }
+        return { minWords: options.minWords, targetWords: options.targetWords, maxWords: options.maxWords };
+    }
+
+    // options: { format, minWords, targetWords, maxWords, targetSeconds, wordsPerMinute }
+    static parse(text, options = {}) {
+        const { format: requestedFormat = 'auto', ...split } = options;
+        if (!FORMATS.includes(requestedFormat)) {
+            throw new Error(`Unknown script format: ${requestedFormat}`);
+        }
+
+        const format = requestedFormat === 'auto' ? ScriptParser.detectFormat(text) : requestedFormat;
+        const limits = ScriptParser.splitLimits(split);
+        const wordsPerMinute = split.wordsPerMinute || DEFAULT_SPLIT_SETTINGS.wordsPerMinute;
+        const warnings = [];
+
+        const sources = ScriptParser.splitSections(ScriptParser.toLines(text, format), limits, warnings);
+        const blocks = sources.map((source, index) => {
+            const parsed = BlockDirectives.parse(source.text);
+            parsed.warnings.forEach(warning => warnings.push(`блок ${index + 1}: ${warning}`));
+
+            const words = ScriptParser.countWords(ScriptParser.spokenText(parsed.text));
+            if (words > limits.maxWords) {
+                warnings.push(`блок ${index + 1}: ${words} слов при максимуме ${limits.maxWords}`);
+            }
+
+            return {
+                text: parsed.text,
+                directives: parsed.directives,
+                section: source.section,
+                notes: ScriptParser.notes(parsed.text),
+                words,
+                duration: ScriptParser.estimateDuration(words, wordsPerMinute)
+            };
+        });
+
+        return {
+            format,
+            limits,
+            blocks,
+            totalWords: blocks.reduce((sum, block) => sum + block.words, 0),
+            totalDuration: Math.round(blocks.reduce((sum, block) => sum + block.duration, 0) * 10) / 10,
+            warnings
+        };
+    }
+
+    // Текст в строки без разметки; null - ручной разрыв блока, { heading } - заголовок раздела
+    static toLines(text, format) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+        if (format === 'srt') {
+            // Номера и тайм-коды реплик отбрасываем; пустые строки между репликами - не разрывы
+            return lines
+                .filter(line => line.trim() && !SRT_TIMING.test(line) && !/^\s*\d+\s*$/.test(line))
+                .map(line => line.replace(/<[^>]+>|\{\\[^}]*\}/g, '').trim());
+        }
+
+        return lines.map(line => {
+            if (!line.trim() || BREAK_LINE.test(line)) {
+                return null;
+            }
+            if (format !== 'markdown' || BlockDirectives.isDirectiveLine(line)) {
+                return line;
+            }
+
+            const heading = MARKDOWN_HEADING.exec(line);
+            if (heading) {
+                return { heading: ScriptParser.stripMarkdown(heading[1]) };
+            }
+            return ScriptParser.stripMarkdown(line.replace(/^\s*(>\s*)+/, '').replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+        });
+    }
+
+    static stripMarkdown(line) {
+        return line
+            .replace(/<!--.*?-->/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^\p{L}\p{N}*])[*_]([^*_\s][^*_]*?)[*_](?=[^\p{L}\p{N}*]|$)/gu, '$1$2');
+    }
+
+    // Разделы между ручными разрывами делятся на блоки; директивы переходят к первому блоку после них
+    static splitSections(lines, limits, warnings = []) {
+        const blocks = [];
+        let directives = [];
+        let prose = [];
+        let section = null;
+
+        const flush = () => {
+            const sentences = ScriptParser.splitSentences(prose.join(' '));
+            const sectionBlocks = ScriptParser.groupSentences(sentences, limits);
+            prose = [];
+
+            sectionBlocks.forEach(text => {
+                blocks.push({ text: directives.length > 0 ? `${directives.join('\n')}\n${text}` : text, section });
+                directives = [];
+            });
+        };
+
+        lines.forEach(line => {
+            if (line === null) {
+                flush();
+            } else if (typeof line === 'object') {
+                flush();
+                section = line.heading || null;
+            } else if (BlockDirectives.isDirectiveLine(line)) {
+                flush();
+                directives.push(line.trim());
+            } else if (line.trim()) {
+                prose.push(line.trim());
+            }
+        });
+        flush();
+
+        if (directives.length > 0) {
+            warnings.push(`директивы без текста после них пропущены: ${directives.join(' ')}`);
+        }
+        return blocks;
+    }
+
+    // Деление на предложения по словам: точка в "3.14", "т.е.", "А. С. Пушкин" или "Ну... ладно" не конец предложения
+    static splitSentences(text) {
+        const words = String(text || '').split(/\s+/).filter(Boolean);
+        const sentences = [];
+        let current = [];
+
+        words.forEach((word, index) => {
+            current.push(word);
+            const next = words[index + 1];
+            if (!next || (ScriptParser.endsSentence(word, current.length === 1) && SENTENCE_START.test(next))) {
+                sentences.push(current.join(' '));
+                current = [];
+            }
+        });
+
+        return sentences;
+    }
+
+    static endsSentence(word, isFirstWord = false) {
+        if (!SENTENCE_END.test(word)) {
+            return false;
+        }
+
+        const bare = word.replace(/["»”’)\]]+$/, '');
+        if (/[!?…]$/.test(bare) || /\.\.$/.test(bare)) {
+            return true;
+        }
+
+        // "1." в начале пункта, инициалы "А." и сокращения "т.д."
+        const parts = bare.slice(0, -1).split('.');
+        const last = parts[parts.length - 1].replace(/^[«"„“'(\[]+/, '');
+        if ((isFirstWord && /^\d+$/.test(last)) || /^[A-ZА-ЯЁ]$/.test(last)) {
+            return false;
+        }
+        return !ABBREVIATIONS.has(last.toLowerCase());
+    }
+
+    // Предложения в блоки: копим до targetWords, не превышая maxWords, если блок уже не меньше minWords
+    static groupSentences(sentences, { minWords, targetWords, maxWords }) {
+        const blocks = [];
+        let current = [];
+        let currentWords = 0;
+
+        sentences.forEach((sentence, index) => {
+            const words = ScriptParser.countWords(ScriptParser.spokenText(sentence));
+
+            if (currentWords > 0 && currentWords + words > maxWords && currentWords >= minWords) {
+                blocks.push(current.join(' '));
+                current = [];
+                currentWords = 0;
+            }
+
+            current.push(sentence);
+            currentWords += words;
+
+            if (currentWords >= targetWords && index < sentences.length - 1) {
+                blocks.push(current.join(' '));
+                current = [];
+                currentWords = 0;
+            }
+        });
+
+        if (current.length > 0) {
+            blocks.push(current.join(' '));
+        }
+        return blocks;
+    }
+
+    // Текст без заметок: то, что произносится (субтитры, подсчет слов)
+    static spokenText(text) {
+        return String(text || '')
+            .replace(NOTE, ' ')
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .trim();
+    }
+
+    static notes(text) {
+        return [...String(text || '').matchAll(NOTE)].map(match => match[1]).filter(Boolean);
+    }
+
+    static countWords(text) {
+        return String(text || '').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    }
+
+    // Секунды чтения с точностью до десятых
+    static estimateDuration(words, wordsPerMinute = DEFAULT_SPLIT_SETTINGS.wordsPerMinute) {
+        return Math.round(words / wordsPerMinute * 600) / 10;
+    }
+}
+
+ScriptParser.DEFAULT_SPLIT_SETTINGS = DEFAULT_SPLIT_SETTINGS;
+ScriptParser.FORMATS = FORMATS;
+ScriptParser.NOTE = NOTE;
+
+module.exports = ScriptParser;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageValidator = require('./messageValidator');
+const AudioProcessor = require('./audioProcessor');
+const FFmpegRecorder = require('./ffmpegRecorder');
+const PrompterState = require('./prompterState');
+const ScriptParser = require('./scriptParser');
+const ExportPresets = require('./exportPresets');
+const TakeChecker = require('./takeChecker');
+const TakeTimer = require('./takeTimer');
+const StorageManager = require('./storageManager');
+
+// Метасимволы оболочки и управляющие символы: папка вывода попадает в командные строки FFmpeg и ОС
+const OUTPUT_PATH_FORBIDDEN = /["`$;|&<>*?\x00-\x1f\x7f]/;
+
+// Переменные окружения и соответствующие ключи настроек
+const ENV_VARS = {
+    PORT: 'port',
+    VIDEO_MASTER_OBS_ADDRESS: 'obsAddress',
+    VIDEO_MASTER_OBS_PORT: 'obsPort',
+    VIDEO_MASTER_OBS_PASSWORD: 'obsPassword',
+    VIDEO_MASTER_FORMAT: 'videoFormat',
+    VIDEO_MASTER_QUALITY: 'videoQuality',
+    VIDEO_MASTER_OUTPUT_PATH: 'outputPath',
+    VIDEO_MASTER_RECORDER: 'recorder'
+};
+
+// Вложенные настройки, которые обновляются по отдельным полям
+const MERGED_KEYS = ['audioProcessing', 'capture', 'prompter', 'script', 'takeChecks', 'timedRecording', 'storage'];
+
+// Настройки сервера: значения по умолчанию <- JSON-файл конфигурации <- переменные окружения.
+// update_settings сохраняет изменения в файл; переменные окружения при следующем запуске снова важнее
+class ServerConfig {
+    constructor(configFile = ServerConfig.defaultConfigFile()) {
+        this.configFile = configFile;
+        this.fileSettings = {};
+        this.envKeys = [];
+    }
+
+    static defaultConfigFile() {
+        return process.env.VIDEO_MASTER_CONFIG || path.join(os.homedir(), '.video-master', 'config.json');
+    }
+
+    static defaults() {
+        return {
+            port: 3001,
+            obsAddress: 'localhost',
+            obsPort: 4455,
+            obsPassword: '',
+            videoFormat: 'mp4',
+            videoQuality: 'high',
+            outputPath: path.join(os.homedir(), 'Videos', 'VideoMaster'),
+            audioProcessing: { ...AudioProcessor.DEFAULT_AUDIO_SETTINGS },
+            recorder: 'obs',
+            capture: { ...FFmpegRecorder.DEFAULT_CAPTURE },
+            prompter: { ...PrompterState.DEFAULT_PROMPTER_SETTINGS },
+            script: { ...ScriptParser.DEFAULT_SPLIT_SETTINGS },
+            exportPresets: [],
+            takeChecks: { ...TakeChecker.DEFAULT_TAKE_CHECKS },
+            timedRecording: { ...TakeTimer.DEFAULT_TIMED_RECORDING },
+            storage: { ...StorageManager.DEFAULT_STORAGE },
+            webhooks: []
+        };
+    }
+
+    load(env = process.env) {
+        const settings = ServerConfig.defaults();
+
+        this.fileSettings = this.readFile();
+        ServerConfig.applyValues(settings, this.fileSettings, this.configFile);
+        this.envKeys = ServerConfig.applyValues(settings, ServerConfig.readEnv(env), 'environment');
+
+        return settings;
+    }
+
+    // Применяет проверенные значения; неверные пропускаются, чтобы сервер все равно запустился
+    static applyValues(settings, values, source) {
+        const applied = [];
+
+        Object.entries(values).forEach(([key, value]) => {
+            try {
+                ServerConfig.validate({ [key]: value });
+                ServerConfig.merge(settings, { [key]: value });
+                applied.push(key);
+            } catch (error) {
+                console.log(`⚠️ Настройка ${key} из ${source} пропущена: ${error.message}`);
+            }
+        });
+
+        return applied;
+    }
+
+    static validate(values) {
+        MessageValidator.checkObject(values, MessageValidator.SETTINGS, 'settings');
+        if (values.outputPath !== undefined && !path.isAbsolute(values.outputPath)) {
+            throw new MessageValidator.ProtocolError('validation_failed', 'settings.outputPath must be an absolute path', 'settings.outputPath');
+        }
+        if (values.outputPath !== undefined && OUTPUT_PATH_FORBIDDEN.test(values.outputPath)) {
+            throw new MessageValidator.ProtocolError('validation_failed', 'settings.outputPath contains forbidden characters', 'settings.outputPath');
+        }
+        if (values.exportPresets !== undefined) {
+            try {
+                ExportPresets.validate(values.exportPresets);
+            } catch (error) {
+                throw new MessageValidator.ProtocolError('validation_failed', error.message, 'settings.exportPresets');
+            }
+        }
+        return values;
+    }
+
+    static merge(settings, changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            settings[key] = MERGED_KEYS.includes(key) ? { ...settings[key], ...value } : value;
+        });
+        return settings;
+    }
+
+    static readEnv(env) {
+        const values = {};
+
+        Object.entries(ENV_VARS).forEach(([name, key]) => {
+            const raw = env[name];
+            if (raw === undefined || raw === '') return;
+
+            const rule = MessageValidator.SETTINGS[key];
+            values[key] = rule.type === 'integer' && /^\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+        });
+
+        return values;
+    }
+
+    readFile() {
+        if (!fs.existsSync(this.configFile)) {
+            return {};
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('expected a JSON object');
+            }
+            return data;
+        } catch (error) {
+            console.log(`⚠️ Не удалось прочитать конфигурацию ${this.configFile}:`, error.message);
+            return {};
+        }
+    }
+
+    // Сохраняет измененные ключи в файл конфигурации (через временный файл, как проекты)
+    save(changes) {
+        ServerConfig.merge(this.fileSettings, changes);
+
+        fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+        const tmpFile = `${this.configFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.fileSettings, null, 2), 'utf8');
+        fs.renameSync(tmpFile, this.configFile);
+    }
+}
+
+ServerConfig.ENV_VARS = ENV_VARS;
+
+module.exports = ServerConfig;
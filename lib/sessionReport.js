@@ -0,0 +1,178 @@
+const Subtitles = require('./subtitles');
+
+const FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
+
+const CSV_COLUMNS = [
+    'block', 'section', 'text', 'takes', 'discarded', 'chosen_take', 'chosen_duration_s',
+    'recorded_duration_s', 'first_take_at', 'last_take_at', 'time_spent_s', 'rating', 'notes'
+];
+
+const round = (value) => value === null || value === undefined ? null : Math.round(value * 10) / 10;
+
+// Отчет о съемке проекта: по каждому блоку - дубли, выбранный дубль, длительности, время записи и заметки.
+// durations: Map имя файла -> секунды (если у дубля нет outputTimecode от OBS)
+class SessionReport {
+    static build(project, durations = new Map()) {
+        const blocks = project.blocks.map(block => SessionReport.buildBlock(block, durations));
+        const recordedBlocks = blocks.filter(block => block.takes.length > 0);
+        const takes = blocks.reduce((sum, block) => sum + block.takes.length, 0);
+        const ratings = blocks.flatMap(block => block.takes.map(take => take.rating)).filter(Boolean);
+        const starts = recordedBlocks.map(block => Date.parse(block.firstTakeAt)).filter(Number.isFinite);
+        const ends = recordedBlocks.map(block => Date.parse(block.lastTakeAt)).filter(Number.isFinite);
+
+        return {
+            project: { id: project.id, name: project.name, createdAt: project.createdAt },
+            generatedAt: new Date().toISOString(),
+            totals: {
+                blocks: blocks.length,
+                recordedBlocks: recordedBlocks.length,
+                acceptedBlocks: blocks.filter(block => block.chosenTake).length,
+                takes,
+                discardedTakes: blocks.reduce((sum, block) => sum + block.discarded, 0),
+                // Доля дублей сверх первого в каждом записанном блоке
+                retakeRatio: takes > 0 ? Math.round((takes - recordedBlocks.length) / takes * 100) / 100 : 0,
+                takesPerBlock: recordedBlocks.length > 0 ? Math.round(takes / recordedBlocks.length * 100) / 100 : 0,
+                recordedDuration: round(blocks.reduce((sum, block) => sum + block.recordedDuration, 0)),
+                finalDuration: round(blocks.reduce((sum, block) => sum + (block.chosenDuration || 0), 0)),
+                sessionDuration: starts.length > 0 ? round((Math.max(...ends) - Math.min(...starts)) / 1000) : null,
+                averageRating: ratings.length > 0 ? round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) : null
+            },
+            blocks
+        };
+    }
+
+    static buildBlock(block, durations) {
+        const takes = block.takes.map(take => {
+            const duration = Subtitles.parseTimecode(take.outputTimecode) || durations.get(take.filename) || null;
+            const recordedAt = Date.parse(take.recordedAt);
+            return {
+                number: take.number,
+                filename: take.filename,
+                status: take.status,
+                duration: round(duration),
+                // recordedAt - момент остановки записи; начало - на длительность дубля раньше
+                startedAt: Number.isFinite(recordedAt) && duration ? new Date(recordedAt - duration * 1000).toISOString() : take.recordedAt,
+                recordedAt: take.recordedAt,
+                scene: take.scene || null,
+                droppedFrames: take.droppedFrames || 0,
+                rating: take.rating || null,
+                tags: take.tags || [],
+                note: take.note || null
+            };
+        });
+
+        const chosen = takes.find(take => take.filename === block.acceptedTake) || null;
+        const first = takes[0];
+        const last = takes[takes.length - 1];
+        const firstStart = first ? Date.parse(first.startedAt) : NaN;
+        const lastEnd = last ? Date.parse(last.recordedAt) : NaN;
+
+        return {
+            index: block.index,
+            section: block.section || null,
+            text: block.text,
+            takes,
+            discarded: takes.filter(take => take.status === 'discarded').length,
+            chosenTake: chosen ? chosen.filename : null,
+            chosenDuration: chosen ? chosen.duration : null,
+            recordedDuration: round(takes.reduce((sum, take) => sum + (take.duration || 0), 0)),
+            firstTakeAt: first ? first.startedAt : null,
+            lastTakeAt: last ? last.recordedAt : null,
+            // От начала первого дубля до конца последнего: сколько съемки ушло на блок
+            timeSpent: Number.isFinite(firstStart) && Number.isFinite(lastEnd) ? round((lastEnd - firstStart) / 1000) : null,
+            rating: chosen ? chosen.rating : null
+        };
+    }
+
+    static format(report, format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(report, null, 2);
+            case 'csv':
+                return SessionReport.toCSV(report);
+            case 'markdown':
+                return SessionReport.toMarkdown(report);
+            default:
+                throw new Error(`Unknown report format: ${format}`);
+        }
+    }
+
+    // "Дубль 1: запнулся, шум - комментарий; Дубль 2: ★4"
+    static describeNotes(block) {
+        return block.takes
+            .filter(take => take.rating || take.tags.length > 0 || take.note)
+            .map(take => {
+                const parts = [
+                    take.rating ? `★${take.rating}` : null,
+                    take.tags.length > 0 ? take.tags.join(', ') : null,
+                    take.note
+                ].filter(Boolean);
+                return `Дубль ${take.number}: ${parts.join(' - ')}`;
+            })
+            .join('; ');
+    }
+
+    static csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // BOM - чтобы Excel открыл кириллицу в UTF-8
+    static toCSV(report) {
+        const rows = report.blocks.map(block => [
+            block.index + 1,
+            block.section,
+            block.text,
+            block.takes.length,
+            block.discarded,
+            block.chosenTake,
+            block.chosenDuration,
+            block.recordedDuration,
+            block.firstTakeAt,
+            block.lastTakeAt,
+            block.timeSpent,
+            block.rating,
+            SessionReport.describeNotes(block)
+        ]);
+
+        return '﻿' + [CSV_COLUMNS, ...rows]
+            .map(row => row.map(SessionReport.csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    static toMarkdown(report) {
+        const totals = report.totals;
+        const seconds = (value) => value === null ? '—' : `${value} с`;
+        const cell = (value) => String(value === null || value === undefined ? '—' : value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+        const lines = [
+            `# Отчет о съемке: ${report.project.name}`,
+            '',
+            `Создан: ${report.generatedAt}`,
+            '',
+            `- Блоков: ${totals.blocks} (записано ${totals.recordedBlocks}, принято ${totals.acceptedBlocks})`,
+            `- Дублей: ${totals.takes} (отброшено ${totals.discardedTakes}), в среднем ${totals.takesPerBlock} на блок, доля пересъемок ${Math.round(totals.retakeRatio * 100)}%`,
+            `- Записано: ${seconds(totals.recordedDuration)}, в итоговом видео: ${seconds(totals.finalDuration)}`,
+            `- Длительность съемки: ${seconds(totals.sessionDuration)}`,
+            `- Средняя оценка: ${totals.averageRating === null ? '—' : totals.averageRating}`,
+            '',
+            '| # | Текст | Дублей | Выбран | Длительность | Время на блок | Заметки |',
+            '|---|---|---|---|---|---|---|'
+        ];
+
+        report.blocks.forEach(block => {
+            const text = block.text.length > 80 ? `${block.text.slice(0, 80)}…` : block.text;
+            lines.push(`| ${block.index + 1} | ${cell(text)} | ${block.takes.length} | ${cell(block.chosenTake)} | ${seconds(block.chosenDuration)} | ${seconds(block.timeSpent)} | ${cell(SessionReport.describeNotes(block) || null)} |`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+SessionReport.FORMATS = FORMATS;
+
+module.exports = SessionReport;
@@ -0,0 +1,42 @@
+// Роли подключений:
+//   operator - ведет запись: запуск и остановка, выбор дублей, проекты, склейка, настройки
+//   talent   - диктор за суфлером: может листать и прокручивать суфлер
+//   viewer   - только смотрит (второй монитор, режиссер, заказчик)
+// Новое подключение - зритель. Оператор один: роль получает первый, кто запросил ее при подключении
+// (?role=operator), пока другого оператора нет. join может только понизить роль, но не повысить
+const ROLES = ['operator', 'talent', 'viewer'];
+const DEFAULT_ROLE = 'viewer';
+
+// Чем больше, тем больше прав
+const RANKS = { viewer: 0, talent: 1, operator: 2 };
+
+// Запросы, которые ничего не меняют, - для всех ролей
+const READ_COMMANDS = [
+    'auth', 'join', 'get_state', 'get_settings', 'get_video_list', 'list_jobs', 'get_prompter_state',
+    'list_projects', 'open_project', 'list_takes', 'parse_script', 'export_report'
+];
+
+// Что разрешено кроме оператора; оператору разрешено все
+const ALLOWED_COMMANDS = {
+    talent: [...READ_COMMANDS, 'prompter_control'],
+    viewer: READ_COMMANDS
+};
+
+class SessionRoles {
+    static isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    static canJoin(currentRole, role) {
+        return RANKS[role] <= RANKS[currentRole];
+    }
+
+    static canSend(role, type) {
+        return role === 'operator' || (ALLOWED_COMMANDS[role] || []).includes(type);
+    }
+}
+
+SessionRoles.ROLES = ROLES;
+SessionRoles.DEFAULT_ROLE = DEFAULT_ROLE;
+
+module.exports = SessionRoles;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+// Место на диске и хранение файлов по умолчанию (settings.storage)
+const DEFAULT_STORAGE = {
+    minFreeMB: 1024,        // МБ, меньше - запись не начинается
+    warnFreeMB: 5120,       // МБ, меньше - предупреждение перед записью
+    trashDays: 30,          // дней в корзине до удаления; 0 - корзину не чистим
+    unusedTakeDays: 14,     // дней до переноса в корзину невыбранных дублей принятых блоков; 0 - не переносим
+    tempHours: 24,          // часов до удаления забытых временных файлов склейки
+    autoCleanup: false      // очистка при запуске сервера и раз в сутки
+};
+
+// Временные файлы склейки в папке вывода, которые остаются после падения сервера
+const TEMP_FILE_PATTERNS = [
+    /^filelist.*\.txt$/,                // списки concat старых версий
+    /\.(subs|chapters)_tmp\.[^.]+$/,    // applySubtitles, applyChapters
+    /\.ffmetadata_\d+\.txt$/,
+    /^\.title_\d+\.txt$/,               // текст титра mergeRendered
+    /\.(import_tmp|tar\.tmp)$/          // недописанные архивы и файлы импорта
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// Место на диске перед записью и очистка папки вывода: корзина, невыбранные дубли, временные файлы
+class StorageManager {
+    constructor(rootDir, projectStore, videoLibrary) {
+        this.rootDir = rootDir;
+        this.projectStore = projectStore;
+        this.videoLibrary = videoLibrary;
+    }
+
+    setRootDir(rootDir) {
+        this.rootDir = rootDir;
+    }
+
+    // { path, freeMB, totalMB, level: ok | low | critical | unknown }
+    static checkSpace(dir, settings = {}) {
+        const limits = { ...DEFAULT_STORAGE, ...settings };
+        try {
+            const stats = fs.statfsSync(dir);
+            const freeMB = Math.floor(stats.bavail * stats.bsize / MB);
+            const totalMB = Math.floor(stats.blocks * stats.bsize / MB);
+            return { path: dir, freeMB, totalMB, level: StorageManager.level(freeMB, limits) };
+        } catch (error) {
+            // Не смогли узнать место - запись не блокируем
+            console.log(`⚠️ Не удалось узнать свободное место в ${dir}:`, error.message);
+            return { path: dir, freeMB: null, totalMB: null, level: 'unknown' };
+        }
+    }
+
+    static level(freeMB, settings) {
+        if (freeMB < settings.minFreeMB) return 'critical';
+        if (freeMB < settings.warnFreeMB) return 'low';
+        return 'ok';
+    }
+
+    // Очистка по настройкам хранения; dryRun - только список того, что было бы удалено или перенесено.
+    // Отчет: { trash, takes, temp } - файлы и байты, freedBytes - сколько места освободится сразу
+    cleanup(settings = {}, { dryRun = false, now = Date.now() } = {}) {
+        const policy = { ...DEFAULT_STORAGE, ...settings };
+        const report = {
+            dryRun,
+            trash: { files: [], bytes: 0 },
+            takes: { files: [], bytes: 0 },
+            temp: { files: [], bytes: 0 },
+            freedBytes: 0,
+            projectIds: [],
+            errors: []
+        };
+
+        const remove = (section, filePath, name = path.relative(this.rootDir, filePath)) => {
+            const size = fs.statSync(filePath).size;
+            if (!dryRun) {
+                try {
+                    fs.rmSync(filePath, { force: true });
+                } catch (error) {
+                    report.errors.push(`${name}: ${error.message}`);
+                    return;
+                }
+            }
+            report[section].files.push(name);
+            report[section].bytes += size;
+        };
+
+        // Невыбранные дубли блоков, у которых уже есть принятый дубль, - в корзину, как при discard_take.
+        // До чистки корзины: только что перенесенные дубли в ней еще не старые
+        if (policy.unusedTakeDays > 0) {
+            this.projectStore.loadAll().forEach(project => {
+                let touched = false;
+                project.blocks.forEach(block => {
+                    if (!block.acceptedTake) return;
+                    block.takes
+                        .filter(take => take.status === 'pending' && now - Date.parse(take.recordedAt) >= policy.unusedTakeDays * DAY_MS)
+                        .forEach(take => {
+                            const filePath = path.join(this.rootDir, take.filename);
+                            if (!fs.existsSync(filePath)) return;
+
+                            const size = fs.statSync(filePath).size;
+                            if (!dryRun) {
+                                try {
+                                    const trashPath = this.videoLibrary.moveToTrash(take.filename);
+                                    this.projectStore.discardTake(project, block.index, take.filename, trashPath);
+                                    touched = true;
+                                } catch (error) {
+                                    report.errors.push(`${take.filename}: ${error.message}`);
+                                    return;
+                                }
+                            }
+                            report.takes.files.push({ projectId: project.id, blockIndex: block.index, filename: take.filename });
+                            report.takes.bytes += size;
+                        });
+                });
+                if (touched && !report.projectIds.includes(project.id)) {
+                    report.projectIds.push(project.id);
+                }
+            });
+        }
+
+        // Корзина: возраст считаем с момента отбрасывания дубля, для прочих файлов - по ctime (перенос его обновляет)
+        if (policy.trashDays > 0) {
+            const discardedAt = new Map();
+            this.projectStore.loadAll().forEach(project => project.blocks.forEach(block => block.takes.forEach(take => {
+                if (take.trashPath && take.discardedAt) discardedAt.set(take.trashPath, Date.parse(take.discardedAt));
+            })));
+
+            const purged = [];
+            StorageManager.listFiles(path.join(this.rootDir, 'trash')).forEach(({ filePath, stats }) => {
+                const since = discardedAt.get(filePath) || Math.max(stats.mtimeMs, stats.ctimeMs);
+                if (now - since >= policy.trashDays * DAY_MS) {
+                    remove('trash', filePath);
+                    purged.push(filePath);
+                }
+            });
+            if (!dryRun && purged.length > 0) {
+                report.projectIds.push(...this.projectStore.forgetTrash(purged));
+            }
+        }
+
+        // Временные файлы: только старые, чтобы не задеть идущую склейку
+        const isStale = (stats) => now - stats.mtimeMs >= policy.tempHours * HOUR_MS;
+        StorageManager.listFiles(this.rootDir)
+            .filter(({ filePath, stats }) => TEMP_FILE_PATTERNS.some(pattern => pattern.test(path.basename(filePath))) && isStale(stats))
+            .forEach(({ filePath }) => remove('temp', filePath));
+        StorageManager.listFiles(path.join(this.rootDir, '.processed'))
+            .filter(({ stats }) => isStale(stats))
+            .forEach(({ filePath }) => remove('temp', filePath));
+        StorageManager.listFiles(path.join(this.rootDir, 'projects'))
+            .filter(({ filePath, stats }) => filePath.endsWith('.tmp') && isStale(stats))
+            .forEach(({ filePath }) => remove('temp', filePath));
+
+        report.freedBytes = report.trash.bytes + report.temp.bytes;
+        report.projectIds = [...new Set(report.projectIds)];
+        return report;
+    }
+
+    // Файлы папки (без подкаталогов); нет папки - пустой список
+    static listFiles(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        return fs.readdirSync(dir)
+            .map(name => {
+                const filePath = path.join(dir, name);
+                const stats = fs.statSync(filePath);
+                return stats.isFile() ? { filePath, stats } : null;
+            })
+            .filter(Boolean);
+    }
+}
+
+StorageManager.DEFAULT_STORAGE = DEFAULT_STORAGE;
+
+module.exports = StorageManager;
@@ -0,0 +1,121 @@
+// Субтитры из текста блоков: разбивка на строки и распределение по длительности блока
+const MAX_LINE_LENGTH = 42;
+const MAX_LINES = 2;
+
+// Короткие реплики не показываем быстрее этого времени (если блок позволяет)
+const MIN_CUE_DURATION = 1.2;
+
+class Subtitles {
+    // Разбивает текст блока на строки не длиннее maxLineLength, предпочитая перенос после конца предложения
+    static splitLines(text, maxLineLength = MAX_LINE_LENGTH) {
+        const words = String(text || '').split(/\s+/).filter(Boolean);
+        const lines = [];
+        let current = '';
+
+        words.forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && candidate.length > maxLineLength) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+
+            if (/[.!?…]$/.test(current) && current.length >= maxLineLength / 2) {
+                lines.push(current);
+                current = '';
+            }
+        });
+
+        if (current) {
+            lines.push(current);
+        }
+        return lines;
+    }
+
+    // Реплики по maxLines строк; новая реплика начинается после конца предложения
+    static splitCues(text, options = {}) {
+        const maxLines = options.maxLines || MAX_LINES;
+        const lines = Subtitles.splitLines(text, options.maxLineLength);
+        const cues = [];
+        let current = [];
+
+        lines.forEach(line => {
+            current.push(line);
+            if (current.length >= maxLines || /[.!?…]$/.test(line)) {
+                cues.push(current.join('\n'));
+                current = [];
+            }
+        });
+
+        if (current.length > 0) {
+            cues.push(current.join('\n'));
+        }
+        return cues;
+    }
+
+    // segments: [{ text, start, duration }] в секундах от начала итогового видео
+    static buildCues(segments, options = {}) {
+        const cues = [];
+
+        segments.forEach((original, segmentIndex) => {
+            // При переходах блоки перекрываются - реплики блока заканчиваются к началу следующего
+            const next = segments[segmentIndex + 1];
+            const segment = next
+                ? { ...original, duration: Math.min(original.duration, next.start - original.start) }
+                : original;
+
+            const texts = Subtitles.splitCues(segment.text, options);
+            if (texts.length === 0 || !(segment.duration > 0)) return;
+
+            // Время реплики пропорционально количеству символов
+            const totalChars = texts.reduce((sum, text) => sum + text.length, 0);
+            const minDuration = Math.min(MIN_CUE_DURATION, segment.duration / texts.length);
+            let weights = texts.map(text => Math.max(minDuration, segment.duration * text.length / totalChars));
+            const scale = segment.duration / weights.reduce((sum, weight) => sum + weight, 0);
+            weights = weights.map(weight => weight * scale);
+
+            let start = segment.start;
+            texts.forEach((text, index) => {
+                const end = index === texts.length - 1 ? segment.start + segment.duration : start + weights[index];
+                cues.push({ start, end, text });
+                start = end;
+            });
+        });
+
+        return cues;
+    }
+
+    static formatTime(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const ms = totalMs % 1000;
+        const totalSeconds = Math.floor(totalMs / 1000);
+        const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${separator}${pad(ms, 3)}`;
+    }
+
+    static toSRT(cues) {
+        return cues.map((cue, index) => [
+            index + 1,
+            `${Subtitles.formatTime(cue.start, ',')} --> ${Subtitles.formatTime(cue.end, ',')}`,
+            cue.text
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    static toVTT(cues) {
+        return 'WEBVTT\n\n' + cues.map(cue => [
+            `${Subtitles.formatTime(cue.start, '.')} --> ${Subtitles.formatTime(cue.end, '.')}`,
+            cue.text
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    // "00:01:02.345" (outputTimecode из OBS) -> 62.345
+    static parseTimecode(timecode) {
+        const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(String(timecode || '').trim());
+        if (!match) return null;
+        return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    }
+}
+
+module.exports = Subtitles;
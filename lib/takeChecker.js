@@ -0,0 +1,155 @@
+const path = require('path');
+const AudioProcessor = require('./audioProcessor');
+const ScriptParser = require('./scriptParser');
+
+// Настройки проверки дублей по умолчанию (settings.takeChecks)
+const DEFAULT_TAKE_CHECKS = {
+    enabled: true,
+    maxWait: 15,              // с, сколько recording_stopped ждет результата; потом - отдельным take_checked
+    minBlack: 1,              // с, черный кадр короче не считается
+    minFreeze: 2,             // с, застывшее видео короче не считается
+    silenceThreshold: -50,    // dB, всё тише - тишина
+    maxSilenceRatio: 0.6,     // доля тишины в дубле, выше - предупреждение
+    clipSamples: 10,          // сэмплов на 0 dBFS, больше - клиппинг
+    durationTolerance: 0.5    // допустимое отклонение длительности от оценки по числу слов
+};
+
+// Цифровая тишина: громкость ниже этой - звука нет совсем (микрофон выключен или заглушен)
+const MUTED_VOLUME = -80;
+
+// Проверка записанного дубля одним проходом FFmpeg: черный кадр (blackdetect), застывшее видео (freezedetect),
+// тишина (silencedetect), пики и клиппинг (volumedetect) и длительность относительно текста блока
+class TakeChecker {
+    constructor(jobQueue, mediaProbe) {
+        this.jobQueue = jobQueue;
+        this.mediaProbe = mediaProbe;
+    }
+
+    static resolveOptions(settings = {}) {
+        return { ...DEFAULT_TAKE_CHECKS, ...settings };
+    }
+
+    // context: { text, wordsPerMinute, droppedFrames }
+    async check(filePath, options, context = {}) {
+        const media = await this.mediaProbe.probe(filePath);
+        const filters = [];
+        if (media.hasVideo) {
+            // Анализ на уменьшенном кадре: результат тот же, декодирование дешевле
+            filters.push('-vf', `scale=160:-2,blackdetect=d=${options.minBlack}:pix_th=0.10,freezedetect=n=-60dB:d=${options.minFreeze}`);
+        }
+        if (media.hasAudio) {
+            filters.push('-af', `silencedetect=noise=${options.silenceThreshold}dB:d=0.5,volumedetect`);
+        }
+
+        const { promise } = this.jobQueue.enqueue({
+            type: 'check',
+            label: `Проверка дубля ${path.basename(filePath)}`,
+            args: ['-i', filePath, ...filters, '-f', 'null', '-'],
+            totalDuration: media.duration,
+            captureStderr: true,
+            meta: { method: 'take_check' }
+        });
+
+        const result = await promise;
+        return TakeChecker.buildReport(TakeChecker.parse(result.stderr, media.duration), media, options, context);
+    }
+
+    static parse(stderr, duration) {
+        const text = String(stderr);
+        const black = [...text.matchAll(/black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)\s+black_duration:\s*([\d.]+)/g)]
+            .map(match => ({ start: parseFloat(match[1]), end: parseFloat(match[2]), duration: parseFloat(match[3]) }));
+
+        // Застывшее до конца дубля видео не получает freeze_end
+        const freezes = [];
+        text.split(/\r?\n/).forEach(line => {
+            const start = /freeze_start:\s*([\d.]+)/.exec(line);
+            const end = /freeze_end:\s*([\d.]+)/.exec(line);
+            if (start) {
+                freezes.push({ start: parseFloat(start[1]), end: null });
+            } else if (end && freezes.length > 0) {
+                freezes[freezes.length - 1].end = parseFloat(end[1]);
+            }
+        });
+
+        const volume = (name) => {
+            const match = new RegExp(`${name}:\\s*(-?[\\d.]+|-inf) dB`).exec(text);
+            return match ? (match[1] === '-inf' ? -Infinity : parseFloat(match[1])) : null;
+        };
+        const clipped = /histogram_0db:\s*(\d+)/.exec(text);
+
+        return {
+            black,
+            freezes: freezes.map(freeze => {
+                const end = freeze.end !== null ? freeze.end : duration;
+                return { start: freeze.start, end, duration: end - freeze.start };
+            }),
+            silences: AudioProcessor.parseSilences(text).map(silence => ({ ...silence, end: silence.end !== null ? silence.end : duration })),
+            meanVolume: volume('mean_volume'),
+            maxVolume: volume('max_volume'),
+            clippedSamples: clipped ? parseInt(clipped[1], 10) : 0
+        };
+    }
+
+    static buildReport(measured, media, options, context = {}) {
+        const duration = media.duration || 0;
+        const round = (value) => Math.round(value * 10) / 10;
+        const warnings = [];
+
+        const blackTotal = measured.black.reduce((sum, part) => sum + part.duration, 0);
+        if (duration && blackTotal >= duration * 0.9) {
+            warnings.push('черный кадр почти весь дубль - проверьте камеру и сцену');
+        } else if (blackTotal > 0) {
+            warnings.push(`черный кадр ${round(blackTotal)} с (с ${round(measured.black[0].start)} с)`);
+        }
+
+        measured.freezes.forEach(freeze => {
+            warnings.push(`видео застыло на ${round(freeze.duration)} с (с ${round(freeze.start)} с)`);
+        });
+
+        const silenceTotal = measured.silences.reduce((sum, silence) => sum + (silence.end - silence.start), 0);
+        const silenceRatio = duration ? Math.min(1, silenceTotal / duration) : 0;
+        if (!media.hasAudio) {
+            warnings.push('нет звуковой дорожки');
+        } else if (measured.meanVolume !== null && measured.meanVolume < MUTED_VOLUME) {
+            warnings.push('звука нет - микрофон выключен или заглушен');
+        } else if (silenceRatio > options.maxSilenceRatio) {
+            warnings.push(`тишина ${Math.round(silenceRatio * 100)}% дубля - проверьте микрофон`);
+        }
+
+        if (measured.clippedSamples >= options.clipSamples && measured.maxVolume !== null && measured.maxVolume >= -0.1) {
+            warnings.push(`клиппинг: ${measured.clippedSamples} сэмплов на 0 dBFS - уменьшите усиление`);
+        }
+
+        // Оценка по тексту: слишком короткий дубль - пропущен текст или запись оборвалась
+        const words = ScriptParser.countWords(ScriptParser.spokenText(context.text || ''));
+        const expectedDuration = words > 0 ? ScriptParser.estimateDuration(words, context.wordsPerMinute) : null;
+        if (expectedDuration && duration) {
+            if (expectedDuration >= 5 && duration < expectedDuration * (1 - options.durationTolerance)) {
+                warnings.push(`дубль ${round(duration)} с при ~${expectedDuration} с по тексту - возможно, пропущен текст`);
+            } else if (duration > expectedDuration * (1 + options.durationTolerance * 2) + 5) {
+                warnings.push(`дубль ${round(duration)} с при ~${expectedDuration} с по тексту - длинные паузы или повторы`);
+            }
+        }
+
+        if (context.droppedFrames > 0) {
+            warnings.push(`пропущено кадров при записи: ${context.droppedFrames}`);
+        }
+
+        return {
+            duration: media.duration,
+            expectedDuration,
+            black: measured.black,
+            freezes: measured.freezes,
+            silenceRatio: Math.round(silenceRatio * 100) / 100,
+            meanVolume: Number.isFinite(measured.meanVolume) ? measured.meanVolume : null,
+            maxVolume: Number.isFinite(measured.maxVolume) ? measured.maxVolume : null,
+            clippedSamples: measured.clippedSamples,
+            warnings,
+            checkedAt: new Date().toISOString()
+        };
+    }
+}
+
+TakeChecker.DEFAULT_TAKE_CHECKS = DEFAULT_TAKE_CHECKS;
+
+module.exports = TakeChecker;
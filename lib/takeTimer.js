@@ -0,0 +1,67 @@
+const ScriptParser = require('./scriptParser');
+
+// Запись по таймеру по умолчанию (settings.timedRecording)
+const DEFAULT_TIMED_RECORDING = {
+    countdown: 3,       // с, обратный отсчет перед StartRecord
+    margin: 3,          // с, запас к оценке длительности блока по числу слов
+    minDuration: 5      // с, автостоп не раньше
+};
+
+// Автостоп дубля при записи по таймеру. Считает только время записи: на паузе таймер стоит
+class TakeTimer {
+    constructor(duration, onExpire) {
+        this.duration = duration;
+        this.onExpire = onExpire;
+        this.remainingMs = duration * 1000;
+        this.startedAt = null;
+        this.timer = null;
+    }
+
+    // Длительность дубля по тексту блока: оценка по числу слов плюс запас, но не меньше minDuration
+    static estimate(text, options = {}, wordsPerMinute) {
+        const settings = { ...DEFAULT_TIMED_RECORDING, ...options };
+        const words = ScriptParser.countWords(ScriptParser.spokenText(text || ''));
+        const estimated = words > 0 ? ScriptParser.estimateDuration(words, wordsPerMinute) : 0;
+        return Math.max(settings.minDuration, Math.round((estimated + settings.margin) * 10) / 10);
+    }
+
+    start() {
+        if (this.timer || this.remainingMs <= 0) {
+            return;
+        }
+        this.startedAt = Date.now();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.remainingMs = 0;
+            this.onExpire();
+        }, this.remainingMs);
+    }
+
+    pause() {
+        if (!this.timer) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remainingMs = Math.max(0, this.remainingMs - (Date.now() - this.startedAt));
+    }
+
+    resume() {
+        this.start();
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Секунды до автостопа
+    remaining() {
+        const remainingMs = this.timer ? this.remainingMs - (Date.now() - this.startedAt) : this.remainingMs;
+        return Math.max(0, Math.round(remainingMs / 100) / 10);
+    }
+}
+
+TakeTimer.DEFAULT_TIMED_RECORDING = DEFAULT_TIMED_RECORDING;
+
+module.exports = TakeTimer;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Кэш превью в папке вывода; имя с точкой не попадает в библиотеку и недоступно через /videos
+const CACHE_DIR_NAME = '.thumbnails';
+const THUMBNAIL_WIDTH = 320;
+
+// Превью видео (JPEG) через FFmpeg; пересоздается, если видео новее превью
+class Thumbnailer {
+    constructor(ffmpegPath) {
+        this.ffmpegPath = ffmpegPath;
+        this.pending = new Map(); // путь превью -> Promise, чтобы не запускать FFmpeg дважды
+    }
+
+    static cachePath(rootDir, videoName) {
+        return path.join(rootDir, CACHE_DIR_NAME, `${videoName}.jpg`);
+    }
+
+    async get(rootDir, videoName) {
+        const videoPath = path.join(rootDir, videoName);
+        const thumbnailPath = Thumbnailer.cachePath(rootDir, videoName);
+
+        if (fs.existsSync(thumbnailPath) && fs.statSync(thumbnailPath).mtimeMs >= fs.statSync(videoPath).mtimeMs) {
+            return thumbnailPath;
+        }
+        if (!this.pending.has(thumbnailPath)) {
+            const promise = this.generate(videoPath, thumbnailPath)
+                .finally(() => this.pending.delete(thumbnailPath));
+            this.pending.set(thumbnailPath, promise);
+        }
+        return this.pending.get(thumbnailPath);
+    }
+
+    async generate(videoPath, thumbnailPath) {
+        if (!this.ffmpegPath) {
+            throw new Error('FFmpeg not found');
+        }
+
+        fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+        fs.rmSync(thumbnailPath, { force: true });
+
+        // Кадр на 1-й секунде; у совсем коротких дублей - первый кадр
+        let lastError = null;
+        for (const seek of ['1', '0']) {
+            try {
+                await this.extractFrame(videoPath, thumbnailPath, seek);
+                if (fs.existsSync(thumbnailPath) && fs.statSync(thumbnailPath).size > 0) {
+                    return thumbnailPath;
+                }
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError || new Error(`No video frame in ${path.basename(videoPath)}`);
+    }
+
+    extractFrame(videoPath, thumbnailPath, seek) {
+        const args = [
+            '-y', '-loglevel', 'error',
+            '-ss', seek, '-i', videoPath,
+            '-frames:v', '1', '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+            thumbnailPath
+        ];
+
+        return new Promise((resolve, reject) => {
+            execFile(this.ffmpegPath, args, { timeout: 20000 }, (error) => {
+                if (error) {
+                    reject(new Error(`Thumbnail failed for ${path.basename(videoPath)}: ${error.message}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Превью удаленного или переименованного видео больше не нужно
+    remove(rootDir, videoName) {
+        fs.rmSync(Thumbnailer.cachePath(rootDir, videoName), { force: true });
+    }
+}
+
+Thumbnailer.CACHE_DIR_NAME = CACHE_DIR_NAME;
+
+module.exports = Thumbnailer;
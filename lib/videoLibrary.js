@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const PathGuard = require('./pathGuard');
+const { ProtocolError } = require('./messageValidator');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.mov', '.flv', '.webm', '.ts', '.m4v'];
+
+// Имена файлов OBS по умолчанию: "2024-05-01 14-03-22.mp4"
+const OBS_FILENAME_PATTERN = /^\d{4}-\d{2}-\d{2}[ _]\d{2}-\d{2}-\d{2}/;
+
+// Библиотека видео: сканирует папку вывода и дополняет файлы данными ffprobe и проектов
+class VideoLibrary {
+    constructor(rootDir, mediaProbe, projectStore) {
+        this.rootDir = rootDir;
+        this.mediaProbe = mediaProbe;
+        this.projectStore = projectStore;
+
+        // Кэш ffprobe по имени файла, сбрасывается при изменении размера или mtime
+        this.probeCache = new Map();
+    }
+
+    setRootDir(rootDir) {
+        this.rootDir = rootDir;
+        this.probeCache.clear();
+    }
+
+    // Разрешаем только имена файлов внутри папки вывода, без подкаталогов
+    resolve(name) {
+        PathGuard.assertFileName(name, 'video name');
+        return PathGuard.resolveInside(this.rootDir, name);
+    }
+
+    // Самый свежий видеофайл в папке (по времени изменения) или null
+    findLatestFile() {
+        let latest = null;
+
+        fs.readdirSync(this.rootDir)
+            .filter(name => VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .forEach(name => {
+                const stats = fs.statSync(path.join(this.rootDir, name));
+                if (stats.isFile() && (!latest || stats.mtimeMs > latest.mtimeMs)) {
+                    latest = { name, mtimeMs: stats.mtimeMs };
+                }
+            });
+
+        return latest ? latest.name : null;
+    }
+
+    async list({ page = 1, pageSize = 20, projectId = null, type = null } = {}) {
+        page = Math.max(1, parseInt(page, 10) || 1);
+        pageSize = Math.min(100, Math.max(1, parseInt(pageSize, 10) || 20));
+
+        const owners = this.collectOwners();
+
+        let videos = fs.readdirSync(this.rootDir)
+            .filter(name => VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .map(name => {
+                const fullPath = path.join(this.rootDir, name);
+                const stats = fs.statSync(fullPath);
+                if (!stats.isFile()) return null;
+
+                const owner = owners.get(name);
+                return {
+                    name,
+                    fullPath,
+                    type: owner ? owner.kind : (OBS_FILENAME_PATTERN.test(name) ? 'recording' : 'merged'),
+                    projectId: owner ? owner.projectId : null,
+                    projectName: owner ? owner.projectName : null,
+                    blockIndex: owner && owner.blockIndex !== undefined ? owner.blockIndex : null,
+                    size: stats.size,
+                    mtime: stats.mtime.toISOString()
+                };
+            })
+            .filter(Boolean);
+
+        if (projectId) {
+            videos = videos.filter(video => video.projectId === projectId);
+        }
+        if (type) {
+            videos = videos.filter(video => video.type === type);
+        }
+
+        videos.sort((a, b) => b.mtime.localeCompare(a.mtime));
+
+        const total = videos.length;
+        const pageVideos = videos.slice((page - 1) * pageSize, page * pageSize);
+
+        // ffprobe запускаем только для файлов текущей страницы
+        for (const video of pageVideos) {
+            Object.assign(video, await this.getMediaInfo(video));
+        }
+
+        return {
+            videos: pageVideos,
+            total,
+            page,
+            pageSize,
+            pages: Math.ceil(total / pageSize)
+        };
+    }
+
+    async getMediaInfo(video) {
+        const cacheKey = `${video.size}:${video.mtime}`;
+        const cached = this.probeCache.get(video.name);
+        if (cached && cached.key === cacheKey) {
+            return cached.info;
+        }
+
+        let info;
+        try {
+            const media = await this.mediaProbe.probe(video.fullPath);
+            info = {
+                duration: media.duration,
+                resolution: media.resolution,
+                fps: media.fps,
+                videoCodec: media.videoCodec,
+                audioCodec: media.audioCodec
+            };
+        } catch (error) {
+            console.log(`⚠️ Не удалось получить данные о видео ${video.name}:`, error.message);
+            info = { duration: null, resolution: null, fps: null, videoCodec: null, audioCodec: null };
+        }
+
+        this.probeCache.set(video.name, { key: cacheKey, info });
+        return info;
+    }
+
+    // Карта "имя файла -> проект", чтобы отличать дубли от склеенных видео
+    collectOwners() {
+        const owners = new Map();
+
+        this.projectStore.loadAll().forEach(project => {
+            project.blocks.forEach(block => {
+                block.takes.forEach(take => {
+                    owners.set(take.filename, {
+                        kind: 'recording',
+                        projectId: project.id,
+                        projectName: project.name,
+                        blockIndex: block.index
+                    });
+                });
+            });
+            project.outputs.forEach(output => {
+                owners.set(path.basename(output.outputFile), {
+                    kind: 'merged',
+                    projectId: project.id,
+                    projectName: project.name
+                });
+            });
+        });
+
+        return owners;
+    }
+
+    delete(name) {
+        const fullPath = this.resolve(name);
+        if (!fs.existsSync(fullPath)) {
+            throw new ProtocolError('not_found', `Video not found: ${name}`);
+        }
+
+        fs.unlinkSync(fullPath);
+        this.probeCache.delete(name);
+    }
+
+    // Отброшенные дубли не удаляются, а переносятся в подпапку trash
+    moveToTrash(name) {
+        const fullPath = this.resolve(name);
+        if (!fs.existsSync(fullPath)) {
+            throw new ProtocolError('not_found', `Video not found: ${name}`);
+        }
+
+        const trashDir = path.join(this.rootDir, 'trash');
+        if (!fs.existsSync(trashDir)) {
+            fs.mkdirSync(trashDir, { recursive: true });
+        }
+
+        let trashPath = path.join(trashDir, name);
+        if (fs.existsSync(trashPath)) {
+            trashPath = path.join(trashDir, `${Date.now()}_${name}`);
+        }
+
+        fs.renameSync(fullPath, trashPath);
+        this.probeCache.delete(name);
+        return trashPath;
+    }
+
+    rename(name, newName) {
+        const fullPath = this.resolve(name);
+        if (!fs.existsSync(fullPath)) {
+            throw new ProtocolError('not_found', `Video not found: ${name}`);
+        }
+
+        if (typeof newName !== 'string' || !newName.trim()) {
+            throw new Error('New video name is required');
+        }
+        newName = newName.trim();
+
+        // Расширение сохраняем, если новое имя указано без него
+        if (!path.extname(newName)) {
+            newName = `${newName}${path.extname(name)}`;
+        }
+        const newPath = this.resolve(newName);
+        if (!VIDEO_EXTENSIONS.includes(path.extname(newName).toLowerCase())) {
+            throw new Error(`Unsupported video extension: ${path.extname(newName)}`);
+        }
+        if (fs.existsSync(newPath)) {
+            throw new Error(`Video already exists: ${newName}`);
+        }
+
+        fs.renameSync(fullPath, newPath);
+        this.probeCache.delete(name);
+        const projectIds = this.projectStore.renameFile(name, newName, newPath);
+
+        return { name: newName, fullPath: newPath, projectIds };
+    }
+}
+
+VideoLibrary.VIDEO_EXTENSIONS = VIDEO_EXTENSIONS;
+
+module.exports = VideoLibrary;
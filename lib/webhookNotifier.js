@@ -0,0 +1,121 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// События, на которые можно подписать вебхук (по умолчанию - на все)
+const EVENTS = [
+    'recording_started', 'recording_stopped', 'take_checked', 'video_merged', 'video_exported',
+    'project_exported', 'disk_space', 'error'
+];
+
+const DEFAULT_RETRIES = 3;
+const RETRY_DELAY_MS = 2000;    // пауза перед первым повтором, дальше удваивается: 2, 4, 8 с
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Исходящие вебхуки (settings.webhooks): POST с JSON { id, event, timestamp, data } на url каждого
+// подписанного хука. С секретом тело подписывается HMAC-SHA256: X-VideoMaster-Signature: sha256=<hex>.
+// Сетевая ошибка, 5xx, 408 и 429 - повтор с удвоением паузы; остальные 4xx - ошибка настройки, не повторяем
+class WebhookNotifier {
+    // getHooks() - текущий список хуков, чтобы изменения настроек действовали сразу
+    constructor(getHooks) {
+        this.getHooks = getHooks;
+        this.retryDelay = RETRY_DELAY_MS;
+        this.timers = new Set();
+    }
+
+    // Возвращает доставки (для тестов); ошибки доставки только логируются
+    notify(event, data) {
+        if (!EVENTS.includes(event)) {
+            return [];
+        }
+
+        const hooks = (this.getHooks() || []).filter(hook =>
+            hook.enabled !== false && (!hook.events || hook.events.length === 0 || hook.events.includes(event)));
+
+        return hooks.map(hook => {
+            const payload = {
+                id: crypto.randomBytes(8).toString('hex'),
+                event,
+                timestamp: new Date().toISOString(),
+                data: data === undefined ? null : data
+            };
+            return this.deliver(hook, payload, JSON.stringify(payload));
+        });
+    }
+
+    deliver(hook, payload, body, attempt = 1) {
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'VideoMaster-Webhook',
+            'X-VideoMaster-Event': payload.event,
+            'X-VideoMaster-Delivery': payload.id,
+            'X-VideoMaster-Attempt': String(attempt)
+        };
+        if (hook.secret) {
+            headers['X-VideoMaster-Signature'] = `sha256=${WebhookNotifier.sign(hook.secret, body)}`;
+        }
+
+        return WebhookNotifier.post(hook.url, body, headers)
+            .then(status => {
+                console.log(`🪝 Вебхук ${payload.event} -> ${hook.url}: ${status}`);
+                return { delivered: true, attempts: attempt };
+            })
+            .catch(error => {
+                const retries = hook.retries !== undefined ? hook.retries : DEFAULT_RETRIES;
+                if (!error.retryable || attempt > retries) {
+                    console.error(`❌ Вебхук ${payload.event} -> ${hook.url} не доставлен (попыток: ${attempt}):`, error.message);
+                    return { delivered: false, attempts: attempt, error: error.message };
+                }
+
+                const delay = this.retryDelay * 2 ** (attempt - 1);
+                console.log(`⚠️ Вебхук ${payload.event} -> ${hook.url}: ${error.message}, повтор через ${delay} мс`);
+                return new Promise(resolve => {
+                    const timer = setTimeout(() => {
+                        this.timers.delete(timer);
+                        resolve(this.deliver(hook, payload, body, attempt + 1));
+                    }, delay);
+                    this.timers.add(timer);
+                });
+            });
+    }
+
+    // Остановка сервера: отложенные повторы больше не отправляются
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    static sign(secret, body) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    // Резолвится кодом 2xx; иначе ошибка с retryable
+    static post(url, body, headers) {
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const transport = target.protocol === 'https:' ? https : http;
+            const req = transport.request(target, { method: 'POST', headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res.statusCode);
+                    return;
+                }
+                const error = new Error(`HTTP ${res.statusCode}`);
+                error.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+                reject(error);
+            });
+
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', (error) => {
+                error.retryable = true;
+                reject(error);
+            });
+            req.end(body);
+        });
+    }
+}
+
+WebhookNotifier.EVENTS = EVENTS;
+
+module.exports = WebhookNotifier;
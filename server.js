@@ -1,43 +1,185 @@
+const http = require('http');
 const WebSocket = require('ws');
-const OBSWebSocket = require('obs-websocket-js').default;
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { exec, spawn } = require('child_process');
+const crypto = require('crypto');
+const { exec, execFile, spawn } = require('child_process');
+const ProjectStore = require('./lib/projectStore');
+const MediaProbe = require('./lib/mediaProbe');
+const VideoLibrary = require('./lib/videoLibrary');
+const FFmpegJobQueue = require('./lib/ffmpegJobQueue');
+const MergePlanner = require('./lib/mergePlanner');
+const RenderSpec = require('./lib/renderSpec');
+const Subtitles = require('./lib/subtitles');
+const AudioProcessor = require('./lib/audioProcessor');
+const MessageValidator = require('./lib/messageValidator');
+const PathGuard = require('./lib/pathGuard');
+const ServerConfig = require('./lib/serverConfig');
+const OutputFormats = require('./lib/outputFormats');
+const BlockDirectives = require('./lib/blockDirectives');
+const ScriptParser = require('./lib/scriptParser');
+const ObsRecorder = require('./lib/obsRecorder');
+const FFmpegRecorder = require('./lib/ffmpegRecorder');
+const PrompterState = require('./lib/prompterState');
+const HttpHandler = require('./lib/httpHandler');
+const Thumbnailer = require('./lib/thumbnailer');
+const SessionRoles = require('./lib/sessionRoles');
+const SessionReport = require('./lib/sessionReport');
+const ExportPresets = require('./lib/exportPresets');
+const Chapters = require('./lib/chapters');
+const TakeChecker = require('./lib/takeChecker');
+const TakeTimer = require('./lib/takeTimer');
+const RestApi = require('./lib/restApi');
+const WebhookNotifier = require('./lib/webhookNotifier');
+const StorageManager = require('./lib/storageManager');
+const ProjectArchive = require('./lib/projectArchive');
 
+const { ProtocolError } = MessageValidator;
+
+// Сколько ждать сообщения auth от нового клиента, прежде чем закрыть соединение
+const AUTH_TIMEOUT_MS = 15000;
+
+// Длительность тестовой записи (test_recording)
+const TEST_RECORDING_SECONDS = 5;
+
+// Автоочистка папки вывода (settings.storage.autoCleanup): при запуске и раз в сутки
+const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// От имени этой сессии выполняются команды REST API: у владельца токена права оператора
+const API_SESSION = { id: 'api', role: 'operator', name: 'REST API', connectedAt: null };
+
+// options (для тестов и встраивания): { configFile, settings, ffmpegPath, authToken }
 class VideoMasterServer {
-    constructor() {
-        this.port = 3001;
-        this.obsPort = 4455;
-        this.obsAddress = 'localhost';
-        this.obsPassword = '';
+    constructor(options = {}) {
+        // Settings: defaults <- config file <- environment variables <- options.settings
+        this.config = new ServerConfig(options.configFile);
+        this.settings = ServerConfig.merge(this.config.load(), options.settings || {});
+        this.port = this.settings.port;
+        this.ensureOutputPath(this.settings.outputPath);
         
-        // WebSocket servers
+        // HTTP (страницы, видео, превью) и WebSocket на одном порту
+        this.httpServer = null;
         this.wss = null;
-        this.clients = new Set();
+        this.clients = new Set(); // Только авторизованные клиенты; роль и имя - в ws.session
+        this.stateVersion = 0; // Номер последнего разосланного события
+        
+        // Access control (токен и список разрешенных Origin)
+        this.authToken = options.authToken !== undefined ? options.authToken : process.env.VIDEO_MASTER_TOKEN || '';
+        this.allowedOrigins = (process.env.VIDEO_MASTER_ALLOWED_ORIGINS || '')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
         
-        // OBS connection
-        this.obs = new OBSWebSocket();
+        // Recorder backend (OBS или FFmpeg), создается в setupRecorder
+        this.recorder = null;
         this.obsConnected = false;
         
         // Recording state
         this.isRecording = false;
+        this.isStartingRecording = false; // start_recording отправлен, ждем подтверждения от recorder
+        this.recordingStartedBy = null; // id сессии оператора, запустившего запись
         this.currentBlockIndex = 0;
         this.recordingFiles = [];
         this.projectPath = '';
         this.currentRecordingFile = null;
         this.lastRecordingPath = null; // Полный путь к последней записи
+        this.currentBlockText = '';
+        this.currentScene = null; // Сцена OBS, на которой идет текущая запись
+        this.takeDroppedFrames = 0; // Пропущенные кадры за текущий дубль (по GetStats)
+        this.takeTexts = new Map(); // Текст блока для каждого записанного файла (для субтитров)
         
-        // Settings
-        this.settings = {
-            videoFormat: 'mp4',
-            videoQuality: 'high',
-            outputPath: this.getDefaultOutputPath()
-        };
+        // Запись по таймеру и пауза внутри дубля
+        this.countdown = null; // { blockIndex, remaining, timer, finish } - идет обратный отсчет
+        this.nextTakeDuration = null; // автостоп для дубля, который сейчас запускается
+        this.isTestRecording = false; // идет test_recording: файл не становится дублем
+        this.takeTimer = null; // TakeTimer текущего дубля
+        this.stopReason = null; // 'auto', если дубль остановил таймер
+        this.takeStartedAt = null;
+        this.recordingPaused = false;
+        this.takePauses = []; // [{ at, duration, startedAt }] - at: секунда дубля, на которой поставлена пауза
+        
+        // Суфлер на отдельном экране (prompter.html) повторяет текущий блок
+        this.prompter = new PrompterState(this.settings.prompter);
+        
+        // Projects (persisted under outputPath/projects)
+        this.projectStore = new ProjectStore(this.settings.outputPath);
+        this.activeProject = null;
         
         // FFmpeg path detection
-        this.ffmpegPath = this.findFFmpegPath();
+        this.ffmpegPath = options.ffmpegPath || this.findFFmpegPath();
+        this.mediaProbe = new MediaProbe(this.ffmpegPath);
+        this.videoLibrary = new VideoLibrary(this.settings.outputPath, this.mediaProbe, this.projectStore);
+        this.jobQueue = new FFmpegJobQueue(this.ffmpegPath);
+        this.mergePlanner = new MergePlanner(this.mediaProbe);
+        this.audioProcessor = new AudioProcessor(this.jobQueue);
+        this.takeChecker = new TakeChecker(this.jobQueue, this.mediaProbe);
+        this.thumbnailer = new Thumbnailer(this.ffmpegPath);
+        
+        // Место на диске и очистка папки вывода по settings.storage
+        this.storage = new StorageManager(this.settings.outputPath, this.projectStore, this.videoLibrary);
+        this.cleanupTimer = null;
         
+        // Автоматизация: REST API с теми же командами и исходящие вебхуки о событиях
+        this.webhooks = new WebhookNotifier(() => this.settings.webhooks);
+        this.restApi = new RestApi({
+            execute: (command, data, options) => this.executeApiCommand(command, data, options),
+            isOriginAllowed: (origin) => this.isOriginAllowed(origin)
+        });
+        this.httpHandler = new HttpHandler({
+            publicDir: __dirname,
+            videoLibrary: this.videoLibrary,
+            thumbnailer: this.thumbnailer,
+            authorize: (req, url) => this.isHttpAuthorized(req, url),
+            api: this.restApi
+        });
+    }
+
+    // Запускает WebSocket-сервер; порт 0 - любой свободный (this.port обновится)
+    start() {
         this.initializeServer();
+        
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, () => {
+                this.port = this.httpServer.address().port;
+                console.log(`🚀 Video Master Server running on port ${this.port}`);
+                console.log(`🌐 UI: http://localhost:${this.port}/ (суфлер: /prompter.html)`);
+                this.scheduleCleanup();
+                resolve(this);
+            });
+        });
+    }
+
+    async stop() {
+        if (this.recorder) {
+            try {
+                await this.recorder.disconnect();
+            } catch (error) {
+                console.error('❌ Error disconnecting recorder:', error);
+            }
+            this.recorder.removeAllListeners();
+        }
+        
+        this.webhooks.stop();
+        clearInterval(this.cleanupTimer);
+        this.cancelCountdown();
+        if (this.takeTimer) {
+            this.takeTimer.cancel();
+        }
+        this.clients.forEach(client => client.terminate());
+        
+        if (this.wss) {
+            await new Promise(resolve => this.wss.close(() => resolve()));
+            this.wss = null;
+        }
+        
+        if (this.httpServer) {
+            // Открытые потоки видео не должны держать закрытие
+            this.httpServer.closeAllConnections();
+            await new Promise(resolve => this.httpServer.close(() => resolve()));
+            this.httpServer = null;
+        }
     }
 
     findFFmpegPath() {
@@ -67,263 +209,1635 @@ class VideoMasterServer {
     initializeServer() {
         console.log('🎬 Initializing Video Master Server...');
         console.log('📁 Output directory:', this.settings.outputPath);
+        console.log('⚙️ Config file:', this.config.configFile);
+        console.log(`🎞️ Output format: ${this.settings.videoFormat}, quality: ${this.settings.videoQuality}`);
         console.log('🔧 FFmpeg path:', this.ffmpegPath || 'NOT FOUND');
+        console.log('🔧 FFprobe path:', this.mediaProbe.ffprobePath || 'NOT FOUND');
+        
+        if (!this.authToken) {
+            console.log('⚠️ VIDEO_MASTER_TOKEN не задан - сервер принимает команды без авторизации');
+        }
         
-        // Create WebSocket server
-        this.wss = new WebSocket.Server({ port: this.port });
+        // Create HTTP server; WebSocket работает поверх него (upgrade)
+        this.httpServer = http.createServer((req, res) => this.httpHandler.handle(req, res));
+        this.wss = new WebSocket.Server({
+            server: this.httpServer,
+            maxPayload: 2 * 1024 * 1024,
+            verifyClient: (info) => {
+                const allowed = this.isOriginAllowed(info.origin);
+                if (!allowed) {
+                    console.log('🚫 Отклонено подключение с Origin:', info.origin);
+                }
+                return allowed;
+            }
+        });
         
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
             console.log('📡 Client connected');
-            this.clients.add(ws);
             
-            ws.on('message', (message) => {
-                this.handleClientMessage(ws, JSON.parse(message));
+            // Токен можно передать в строке подключения (?token=...) или сообщением auth;
+            // роль и имя - ?role=talent&name=...; роль назначается после авторизации (claimRole)
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            ws.isAuthenticated = !this.authToken || this.checkToken(query.get('token'));
+            ws.requestedRole = query.get('role');
+            ws.session = {
+                id: crypto.randomBytes(4).toString('hex'),
+                role: SessionRoles.DEFAULT_ROLE,
+                name: (query.get('name') || '').slice(0, 64) || null,
+                connectedAt: new Date().toISOString()
+            };
+            
+            if (ws.isAuthenticated) {
+                this.clients.add(ws);
+            } else {
+                ws.authTimer = setTimeout(() => {
+                    console.log('🚫 Клиент не прошел авторизацию вовремя');
+                    ws.close(4001, 'Authentication timeout');
+                }, AUTH_TIMEOUT_MS);
+            }
+            
+            this.sendToClient(ws, {
+                type: 'hello',
+                data: { authRequired: !ws.isAuthenticated }
+            });
+            if (ws.isAuthenticated) {
+                this.onClientReady(ws);
+            }
+            
+            ws.on('message', (raw) => {
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                } catch (error) {
+                    this.sendError(ws, new ProtocolError('invalid_json', 'Message is not valid JSON'));
+                    return;
+                }
+                this.handleClientMessage(ws, message);
             });
             
             ws.on('close', () => {
                 console.log('📡 Client disconnected');
-                this.clients.delete(ws);
+                clearTimeout(ws.authTimer);
+                if (this.clients.delete(ws)) {
+                    this.broadcastSessions();
+                }
             });
             
             ws.on('error', (error) => {
                 console.error('WebSocket error:', error);
-                this.clients.delete(ws);
+                if (this.clients.delete(ws)) {
+                    this.broadcastSessions();
+                }
             });
         });
         
-        // Setup OBS event handlers
-        this.setupOBSHandlers();
+        // Setup recorder event handlers
+        this.setupRecorder();
+        this.setupJobQueueHandlers();
         
-        console.log(`🚀 Video Master Server running on port ${this.port}`);
         console.log('📋 Available commands:');
-        console.log('   - connect_obs: Connect to OBS Studio');
+        console.log('   - connect_obs: Connect to OBS Studio (or check the FFmpeg recorder)');
         console.log('   - start_recording: Start recording a block');
-        console.log('   - stop_recording: Stop recording');
+        console.log('   - stop_recording: Stop recording (or cancel the countdown)');
+        console.log('   - pause_recording / resume_recording: Pause within a take');
         console.log('   - test_recording: Test 5-second recording');
         console.log('   - merge_videos: Combine all block videos');
+        console.log('   - export_video: Render a video with export presets (YouTube, Shorts, square, proxy)');
+        console.log('   - join / get_state: Session role (operator, talent, viewer) and state snapshot');
+        console.log('   - create_project / list_projects / open_project / resume_project / delete_project');
+        console.log('   - accept_block: Accept the last take of a block');
+        console.log('   - list_takes / select_take / discard_take: Manage takes per block');
+        console.log('   - annotate_take / export_report: Take ratings, retake reasons and session report');
+        console.log('   - list_jobs / cancel_job: FFmpeg job queue');
+        console.log('   - get_video_list / delete_video / rename_video: Video library');
+        console.log('   - get_settings / update_settings: Output format, quality and paths');
+        console.log('   - set_scene / set_input_mute / set_input_volume: OBS scene and audio control');
+        console.log('   - get_prompter_state / prompter_control / prompter_settings: Remote teleprompter');
+        console.log('🌐 REST API: GET /api/status, /api/videos, /api/jobs; POST /api/recording/start, /api/recording/stop, /api/blocks/accept, /api/merge');
     }
 
-    setupOBSHandlers() {
-        this.obs.on('ConnectionOpened', () => {
-            console.log('✅ Connected to OBS Studio');
+    // Источник записи из настроек: OBS (по connect_obs) или FFmpeg (готов сразу)
+    setupRecorder() {
+        if (this.recorder) {
+            this.recorder.removeAllListeners();
+            this.recorder.disconnect().catch(() => {});
+        }
+        
+        this.recorder = this.settings.recorder === 'ffmpeg'
+            ? new FFmpegRecorder(this.ffmpegPath, this.settings.capture)
+            : new ObsRecorder();
+        this.obsConnected = false;
+        console.log('🎥 Recorder backend:', this.recorder.kind);
+        
+        // connected - сессия готова к запросам: обновляем сцены и сверяем состояние записи
+        this.recorder.on('connected', () => {
             this.obsConnected = true;
             this.broadcastOBSStatus();
+            this.refreshOBSSettings().catch(() => {});
+            this.resyncRecordState();
         });
         
-        this.obs.on('ConnectionClosed', () => {
-            console.log('❌ Disconnected from OBS Studio');
+        this.recorder.on('disconnected', (error) => {
             this.obsConnected = false;
-            this.broadcastOBSStatus();
+            this.isStartingRecording = false;
+            this.broadcastOBSStatus(error ? error.message : null);
+        });
+        
+        this.recorder.on('reconnecting', ({ attempt, retryInMs }) => {
+            this.broadcastOBSStatus(null, { reconnecting: true, attempt, retryInMs });
+        });
+        
+        this.recorder.on('record_started', ({ outputPath }) => {
+            this.handleRecordingStarted(outputPath);
+        });
+        
+        this.recorder.on('record_stopped', (data) => {
+            this.handleRecordingStopped(data);
+        });
+        
+        this.recorder.on('record_paused', ({ paused }) => {
+            this.handleRecordingPaused(paused);
         });
         
-        this.obs.on('RecordStateChanged', (data) => {
-            console.log('📹 Recording state changed:', {
-                outputActive: data.outputActive,
-                outputPath: data.outputPath,
-                outputBytes: data.outputBytes,
-                outputTimecode: data.outputTimecode
+        this.recorder.on('health', (report) => {
+            if (this.isRecording) {
+                this.takeDroppedFrames += report.newOutputSkipped + report.newRenderSkipped;
+            }
+            this.broadcastToClients({
+                type: 'obs_health',
+                data: report
             });
-            
-            if (data.outputActive) {
-                // Recording started
-                this.currentRecordingFile = path.basename(data.outputPath);
-                this.lastRecordingPath = data.outputPath;
-                this.isRecording = true;
-                
-                console.log('🎬 ===== ЗАПИСЬ НАЧАТА =====');
-                console.log('   📁 Файл:', this.currentRecordingFile);
-                console.log('   📂 Полный путь:', this.lastRecordingPath);
-                console.log('   🎯 Блок:', this.currentBlockIndex + 1);
-                console.log('================================');
-                
-                this.broadcastToClients({
-                    type: 'recording_started',
-                    data: { 
-                        filename: this.currentRecordingFile,
-                        fullPath: this.lastRecordingPath,
-                        blockIndex: this.currentBlockIndex
-                    }
-                });
-            } else {
-                // Recording stopped
-                this.isRecording = false;
-                const finalFile = this.currentRecordingFile;
-                const finalPath = this.lastRecordingPath;
-                
-                console.log('⏹️ ===== ЗАПИСЬ ОСТАНОВЛЕНА =====');
-                console.log('   📁 Файл:', finalFile);
-                console.log('   📂 Полный путь:', finalPath);
-                console.log('   🎯 Блок:', this.currentBlockIndex + 1);
-                console.log('   📊 Размер:', data.outputBytes ? `${(data.outputBytes / 1024 / 1024).toFixed(2)} MB` : 'неизвестен');
-                console.log('   ⏱️ Длительность:', data.outputTimecode || 'неизвестна');
-                
-                // Проверяем, что файл действительно создан
-                if (finalPath && require('fs').existsSync(finalPath)) {
-                    const stats = require('fs').statSync(finalPath);
-                    console.log('   ✅ Файл подтвержден, размер:', (stats.size / 1024 / 1024).toFixed(2), 'MB');
-                } else {
-                    console.log('   ❌ ВНИМАНИЕ: Файл не найден!');
+        });
+        
+        this.recorder.on('scene_changed', (data) => {
+            this.broadcastToClients({
+                type: 'obs_scene_changed',
+                data
+            });
+        });
+        
+        this.recorder.on('input_state', (data) => {
+            this.broadcastToClients({
+                type: 'obs_input_state',
+                data
+            });
+        });
+        
+        // FFmpeg не требует отдельного подключения
+        if (this.recorder.kind === 'ffmpeg') {
+            this.recorder.connect().catch(error => {
+                console.error('❌ FFmpeg recorder unavailable:', error.message);
+                this.broadcastOBSStatus(error.message);
+            });
+        }
+    }
+
+    handleRecordingStarted(outputPath) {
+        this.currentRecordingFile = outputPath ? path.basename(outputPath) : null;
+        this.lastRecordingPath = outputPath || null;
+        this.isRecording = true;
+        this.isStartingRecording = false;
+        this.takeDroppedFrames = 0;
+        this.takeStartedAt = Date.now();
+        this.recordingPaused = false;
+        this.takePauses = [];
+        this.stopReason = null;
+        
+        // Автостоп записи по таймеру (или тестовой записи)
+        if (this.takeTimer) {
+            this.takeTimer.cancel();
+        }
+        this.takeTimer = this.nextTakeDuration ? new TakeTimer(this.nextTakeDuration, () => this.autoStopRecording()) : null;
+        this.nextTakeDuration = null;
+        if (this.takeTimer) {
+            this.takeTimer.start();
+        }
+        
+        this.prompter.isRecording = true;
+        this.prompter.setPaused(false);
+        this.prompter.scrolling = this.prompter.settings.autoScrollOnRecord || this.prompter.scrolling;
+        this.broadcastPrompterState();
+        
+        console.log('🎬 ===== ЗАПИСЬ НАЧАТА =====');
+        console.log('   📁 Файл:', this.currentRecordingFile);
+        console.log('   📂 Полный путь:', this.lastRecordingPath);
+        console.log('   🎯 Блок:', this.currentBlockIndex + 1);
+        if (this.takeTimer) {
+            console.log(`   ⏱️ Автостоп через ${this.takeTimer.duration} с`);
+        }
+        console.log('================================');
+        
+        this.broadcastToClients({
+            type: 'recording_started',
+            data: { 
+                filename: this.currentRecordingFile,
+                fullPath: this.lastRecordingPath,
+                blockIndex: this.currentBlockIndex,
+                scene: this.currentScene,
+                startedBy: this.recordingStartedBy,
+                timed: Boolean(this.takeTimer),
+                autoStopIn: this.takeTimer ? this.takeTimer.duration : null,
+                test: this.isTestRecording
+            }
+        });
+    }
+
+    // Дубль сохраняется в проект сразу, а проверяется до recording_stopped, чтобы оператор увидел
+    // предупреждения до "Далее"; принять дубль можно и пока идет проверка
+    async handleRecordingStopped(data = {}) {
+        this.isRecording = false;
+        this.isStartingRecording = false;
+        this.prompter.isRecording = false;
+        this.prompter.setPaused(false);
+        this.prompter.scrolling = false;
+        this.broadcastPrompterState();
+        
+        const timed = Boolean(this.takeTimer);
+        if (this.takeTimer) {
+            this.takeTimer.cancel();
+            this.takeTimer = null;
+        }
+        const pauses = this.getTakePauses();
+        const stopReason = this.stopReason || 'manual';
+        const isTest = this.isTestRecording;
+        this.recordingPaused = false;
+        this.stopReason = null;
+        this.isTestRecording = false;
+        
+        const finalPath = data.outputPath || this.lastRecordingPath;
+        const finalFile = finalPath ? path.basename(finalPath) : this.currentRecordingFile;
+        const fileExists = finalPath ? fs.existsSync(finalPath) : false;
+        
+        console.log('⏹️ ===== ЗАПИСЬ ОСТАНОВЛЕНА =====');
+        console.log('   📁 Файл:', finalFile);
+        console.log('   📂 Полный путь:', finalPath);
+        console.log('   🎯 Блок:', this.currentBlockIndex + 1);
+        console.log('   📊 Размер:', data.outputBytes ? `${(data.outputBytes / 1024 / 1024).toFixed(2)} MB` : 'неизвестен');
+        console.log('   ⏱️ Длительность:', data.outputTimecode || 'неизвестна');
+        
+        // Проверяем, что файл действительно создан
+        if (fileExists) {
+            const stats = fs.statSync(finalPath);
+            console.log('   ✅ Файл подтвержден, размер:', (stats.size / 1024 / 1024).toFixed(2), 'MB');
+        } else {
+            console.log('   ❌ ВНИМАНИЕ: Файл не найден!');
+        }
+        if (this.takeDroppedFrames > 0) {
+            console.log(`   ⚠️ Пропущено кадров за дубль: ${this.takeDroppedFrames}`);
+        }
+        if (pauses.length > 0) {
+            console.log(`   ⏸️ Пауз: ${pauses.length}`);
+        }
+        if (stopReason === 'auto') {
+            console.log('   ⏱️ Остановлено таймером');
+        }
+        console.log('====================================');
+        
+        // Тестовая запись - не дубль: в проект и список дублей не попадает
+        if (isTest) {
+            this.broadcastToClients({
+                type: 'test_recording_finished',
+                data: {
+                    filename: finalFile,
+                    fullPath: finalPath,
+                    outputBytes: data.outputBytes,
+                    outputTimecode: data.outputTimecode,
+                    fileExists
+                }
+            });
+            return;
+        }
+        
+        // Снимок дубля: пока идет проверка, оператор может начать следующую запись
+        const take = {
+            filename: finalFile,
+            fullPath: finalPath,
+            blockIndex: this.currentBlockIndex,
+            outputBytes: data.outputBytes,
+            outputTimecode: data.outputTimecode,
+            scene: this.currentScene,
+            droppedFrames: this.takeDroppedFrames,
+            pauses,
+            pausedDuration: Math.round(pauses.reduce((sum, pause) => sum + pause.duration, 0) * 10) / 10,
+            timed,
+            stopReason
+        };
+        const blockText = this.currentBlockText;
+        if (finalFile) {
+            this.takeTexts.set(finalFile, blockText);
+        }
+        // Проект запоминаем вместе с дублем: за время проверки оператор может открыть другой
+        const projectId = this.activeProject ? this.activeProject.id : null;
+        
+        this.saveTakeToProject(take, projectId);
+        take.quality = fileExists ? await this.checkTake(take, blockText, projectId) : null;
+        if (take.quality) {
+            this.saveTakeQuality(take, take.quality, projectId);
+        }
+        
+        this.broadcastToClients({
+            type: 'recording_stopped',
+            data: { 
+                filename: take.filename,
+                fullPath: take.fullPath,
+                blockIndex: take.blockIndex,
+                outputBytes: take.outputBytes,
+                outputTimecode: take.outputTimecode,
+                scene: take.scene,
+                droppedFrames: take.droppedFrames,
+                pauses: take.pauses,
+                pausedDuration: take.pausedDuration,
+                timed: take.timed,
+                stopReason: take.stopReason,
+                fileExists,
+                quality: take.quality
+            }
+        });
+        
+        // НЕ очищаем currentRecordingFile - оставляем для принятия решения
+        // this.currentRecordingFile = null;
+    }
+
+    // Пауза и продолжение (record_paused от источника записи): таймер автостопа и суфлер стоят
+    handleRecordingPaused(paused) {
+        if (!this.isRecording || paused === this.recordingPaused) {
+            return;
+        }
+        
+        this.recordingPaused = paused;
+        const now = Date.now();
+        if (paused) {
+            const recorded = now - this.takeStartedAt - this.getTakePauses().reduce((sum, pause) => sum + pause.duration * 1000, 0);
+            this.takePauses.push({ at: Math.round(recorded / 100) / 10, startedAt: now, duration: null });
+            if (this.takeTimer) this.takeTimer.pause();
+        } else {
+            const pause = this.takePauses[this.takePauses.length - 1];
+            pause.duration = Math.round((now - pause.startedAt) / 100) / 10;
+            if (this.takeTimer) this.takeTimer.resume();
+        }
+        console.log(paused ? '⏸️ Запись на паузе' : '▶️ Запись продолжается');
+        
+        this.prompter.setPaused(paused);
+        this.broadcastPrompterState();
+        
+        const pauses = this.getTakePauses();
+        this.broadcastToClients({
+            type: 'recording_paused',
+            data: {
+                paused,
+                filename: this.currentRecordingFile,
+                blockIndex: this.currentBlockIndex,
+                pauses,
+                autoStopIn: this.takeTimer ? this.takeTimer.remaining() : null
+            }
+        });
+    }
+
+    // Паузы текущего дубля; незакрытая пауза считается до текущего момента
+    getTakePauses() {
+        return this.takePauses.map(pause => ({
+            at: pause.at,
+            duration: pause.duration !== null ? pause.duration : Math.round((Date.now() - pause.startedAt) / 100) / 10
+        }));
+    }
+
+    autoStopRecording() {
+        console.log(`⏱️ Время блока ${this.currentBlockIndex + 1} вышло - останавливаем запись`);
+        this.stopReason = 'auto';
+        this.stopRecording().catch(error => {
+            console.error('❌ Автостоп не удался:', error.message);
+        });
+    }
+
+    // Обратный отсчет перед записью: каждую секунду recording_countdown и суфлер с цифрой.
+    // true - отсчет закончился, false - отменен (stop_recording)
+    runCountdown(blockIndex, seconds) {
+        return new Promise(resolve => {
+            const tick = (remaining) => {
+                this.prompter.countdown = remaining > 0 ? remaining : null;
+                this.broadcastPrompterState();
+                if (remaining === 0) {
+                    this.countdown = null;
+                    resolve(true);
+                    return;
                 }
-                console.log('====================================');
                 
+                this.countdown.remaining = remaining;
                 this.broadcastToClients({
-                    type: 'recording_stopped',
-                    data: { 
-                        filename: finalFile,
-                        fullPath: finalPath,
-                        blockIndex: this.currentBlockIndex,
-                        outputBytes: data.outputBytes,
-                        outputTimecode: data.outputTimecode,
-                        fileExists: finalPath ? require('fs').existsSync(finalPath) : false
-                    }
+                    type: 'recording_countdown',
+                    data: { blockIndex, remaining, total: seconds, cancelled: false }
                 });
-                
-                // НЕ очищаем currentRecordingFile - оставляем для принятия решения
-                // this.currentRecordingFile = null;
-            }
+                this.countdown.timer = setTimeout(() => tick(remaining - 1), 1000);
+            };
+            
+            this.countdown = { blockIndex, remaining: seconds, timer: null, finish: resolve };
+            tick(seconds);
         });
+    }
+
+    cancelCountdown() {
+        if (!this.countdown) {
+            return false;
+        }
         
-        this.obs.on('ConnectionError', (error) => {
-            console.error('❌ OBS connection error:', error);
-            this.obsConnected = false;
-            this.broadcastOBSStatus(error.message);
+        const { blockIndex, timer, finish } = this.countdown;
+        clearTimeout(timer);
+        this.countdown = null;
+        this.prompter.countdown = null;
+        this.broadcastPrompterState();
+        this.broadcastToClients({
+            type: 'recording_countdown',
+            data: { blockIndex, remaining: 0, total: 0, cancelled: true }
         });
+        finish(false);
+        return true;
     }
 
-    async handleClientMessage(ws, message) {
+    // Проверка дубля (TakeChecker). Если она дольше takeChecks.maxWait - например, стоит в очереди
+    // за склейкой, - дубль уходит с quality.pending, а результат приходит позже событием take_checked
+    async checkTake(take, blockText, projectId) {
+        const options = TakeChecker.resolveOptions(this.settings.takeChecks);
+        if (!options.enabled || !this.ffmpegPath) {
+            return null;
+        }
+        
+        const check = this.takeChecker.check(take.fullPath, options, {
+            text: blockText,
+            wordsPerMinute: this.settings.script.wordsPerMinute,
+            droppedFrames: take.droppedFrames
+        }).then(quality => {
+            console.log(`🔍 Проверка ${take.filename}: ${quality.warnings.length > 0 ? quality.warnings.join('; ') : 'без замечаний'}`);
+            return quality;
+        }).catch(error => {
+            console.error(`⚠️ Не удалось проверить дубль ${take.filename}:`, error.message);
+            return null;
+        });
+        
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve('timeout'), options.maxWait * 1000);
+        });
+        const result = await Promise.race([check, timeout]);
+        clearTimeout(timer);
+        if (result !== 'timeout') {
+            return result;
+        }
+        
+        check.then(quality => {
+            if (!quality) return;
+            this.saveTakeQuality(take, quality, projectId);
+            this.broadcastToClients({
+                type: 'take_checked',
+                data: { filename: take.filename, blockIndex: take.blockIndex, quality }
+            });
+        });
+        return { pending: true, warnings: [] };
+    }
+
+    saveTakeQuality(take, quality, projectId) {
+        if (!projectId || !take.filename) {
+            return;
+        }
+        
+        try {
+            this.projectStore.setTakeQuality(this.getTakeProject(projectId), take.blockIndex, take.filename, quality);
+            this.broadcastTakeProject(projectId);
+        } catch (error) {
+            console.log('⚠️ Результат проверки не сохранен в проект:', error.message);
+        }
+    }
+
+    // Сверка с источником записи после (пере)подключения: запись могла начаться или закончиться, пока связи не было
+    async resyncRecordState() {
         try {
-            console.log('📨 Received message:', message.type, message.data);
-            
-            switch (message.type) {
-                case 'connect_obs':
-                    await this.connectToOBS(message.data);
-                    break;
-                    
-                case 'start_recording':
-                    await this.startRecording(message.data);
-                    break;
-                    
-                case 'stop_recording':
-                    await this.stopRecording();
-                    break;
-                    
-                case 'test_recording':
-                    await this.testRecording();
-                    break;
-                    
-                case 'refresh_settings':
-                    await this.refreshOBSSettings();
-                    break;
-                    
-                case 'merge_videos':
-                    await this.mergeVideos(message.data);
-                    break;
-                    
-                case 'open_video_folder':
-                    this.openVideoFolder();
-                    break;
-                    
-                default:
-                    console.log('❓ Unknown message type:', message.type);
+            const status = await this.recorder.status();
+            
+            if (status.active && !this.isRecording) {
+                // OBS путь не сообщает - берем самый свежий файл в папке записи
+                const latest = status.outputPath ? path.basename(status.outputPath) : this.videoLibrary.findLatestFile();
+                console.log('🔄 Запись уже идет, продолжаем отслеживать:', latest || 'файл неизвестен');
+                this.handleRecordingStarted(latest ? path.join(this.settings.outputPath, latest) : null);
+            } else if (!status.active && this.isRecording) {
+                console.log('🔄 Запись завершилась, пока не было связи');
+                this.handleRecordingStopped({ outputPath: this.lastRecordingPath });
             }
+            
+            this.broadcastToClients({
+                type: 'record_status',
+                data: {
+                    isRecording: this.isRecording,
+                    paused: status.paused,
+                    outputTimecode: status.outputTimecode,
+                    filename: this.isRecording ? this.currentRecordingFile : null,
+                    blockIndex: this.currentBlockIndex
+                }
+            });
         } catch (error) {
-            console.error('❌ Error handling message:', error);
-            this.sendToClient(ws, {
-                type: 'error',
-                message: error.message
+            console.log('⚠️ Не удалось получить состояние записи:', error.message);
+        }
+    }
+
+    setupJobQueueHandlers() {
+        this.jobQueue.on('update', (job) => {
+            console.log(`📋 [${job.id}] ${job.label}: ${job.status}${job.error ? ` (${job.error})` : ''}`);
+            this.broadcastToClients({
+                type: 'job_update',
+                data: job
+            });
+        });
+        
+        this.jobQueue.on('progress', (job) => {
+            if (job.type !== 'merge' && job.type !== 'export') return;
+            
+            this.broadcastToClients({
+                type: 'merge_progress',
+                data: {
+                    jobId: job.id,
+                    type: job.type,
+                    label: job.label,
+                    percent: job.percent,
+                    eta: job.eta,
+                    outTime: job.outTime,
+                    totalDuration: job.totalDuration,
+                    speed: job.speed
+                }
             });
+        });
+    }
+
+    isOriginAllowed(origin) {
+        // Не-браузерные клиенты Origin не присылают - их защищает токен
+        if (!origin) {
+            return true;
+        }
+        // Origin: null присылает и страница с диска, и песочница (iframe sandbox) любого сайта -
+        // пускаем только если он явно указан в VIDEO_MASTER_ALLOWED_ORIGINS
+        if (origin === 'null') {
+            return this.allowedOrigins.includes('null');
+        }
+        if (this.allowedOrigins.length > 0) {
+            return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+        }
+        
+        // По умолчанию - только localhost
+        try {
+            return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    checkToken(token) {
+        if (!this.authToken || typeof token !== 'string') {
+            return false;
+        }
+        const expected = crypto.createHash('sha256').update(this.authToken).digest();
+        const actual = crypto.createHash('sha256').update(token).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Видео и превью: токен в строке запроса (?token=, для <video src>) или в заголовке Authorization
+    isHttpAuthorized(req, url) {
+        if (!this.authToken) {
+            return true;
+        }
+        
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+        return this.checkToken(url.searchParams.get('token')) || this.checkToken(bearer);
+    }
+
+    authenticate(ws, token) {
+        if (ws.isAuthenticated) {
+            this.sendToClient(ws, { type: 'auth_ok' });
+            return;
+        }
+        
+        if (!this.checkToken(token)) {
+            console.log('🚫 Неверный токен авторизации');
+            this.sendError(ws, new ProtocolError('auth_failed', 'Invalid token'), 'auth');
+            ws.close(4003, 'Invalid token');
+            return;
+        }
+        
+        clearTimeout(ws.authTimer);
+        ws.isAuthenticated = true;
+        this.clients.add(ws);
+        console.log('🔑 Клиент авторизован');
+        this.sendToClient(ws, { type: 'auth_ok' });
+        this.onClientReady(ws);
+    }
+
+    // Новый клиент получает полный снимок состояния, остальные - обновленный список сессий
+    onClientReady(ws) {
+        ws.session.role = this.claimRole(ws, ws.requestedRole);
+        console.log(`👤 Сессия ${ws.session.id}: ${ws.session.role}${ws.session.name ? ` (${ws.session.name})` : ''}`);
+        this.sendToClient(ws, { type: 'obs_status', data: this.getOBSStatus() });
+        this.sendToClient(ws, { type: 'state', data: this.getStateSnapshot(ws.session) });
+        this.broadcastSessions();
+    }
+
+    // Роль, запрошенная при подключении: оператор - только если другого оператора сейчас нет,
+    // иначе две вкладки снова могли бы перебивать друг другу запись
+    claimRole(ws, role) {
+        if (!SessionRoles.isRole(role)) {
+            return SessionRoles.DEFAULT_ROLE;
+        }
+        if (role === 'operator' && this.hasOtherOperator(ws)) {
+            console.log(`🚫 Сессия ${ws.session.id}: оператор уже подключен, роль - ${SessionRoles.DEFAULT_ROLE}`);
+            return SessionRoles.DEFAULT_ROLE;
+        }
+        return role;
+    }
+
+    hasOtherOperator(ws) {
+        return [...this.clients].some(client => client !== ws && client.session.role === 'operator');
+    }
+
+    // Повысить роль нельзя, кроме передачи студии: оператора нет - его место может занять любая сессия
+    joinSession(ws, { role, name }) {
+        const handover = role === 'operator' && !this.hasOtherOperator(ws);
+        if (!handover && !SessionRoles.canJoin(ws.session.role, role)) {
+            throw new ProtocolError('forbidden', `Role ${ws.session.role} cannot switch to ${role}`, 'data.role');
+        }
+        ws.session.role = role;
+        if (name !== undefined) {
+            ws.session.name = name || null;
         }
+        
+        console.log(`👤 Сессия ${ws.session.id} теперь ${role}`);
+        this.sendToClient(ws, { type: 'joined', data: { session: ws.session } });
+        this.broadcastSessions();
+    }
+
+    getSessions() {
+        return [...this.clients].map(client => client.session);
+    }
+
+    broadcastSessions() {
+        this.broadcastToClients({
+            type: 'sessions',
+            data: { sessions: this.getSessions() }
+        });
+    }
+
+    // Все, что нужно клиенту, чтобы показать текущее состояние; дальше он следит за событиями с version > snapshot.version
+    getStateSnapshot(session) {
+        return {
+            version: this.stateVersion,
+            session,
+            sessions: this.getSessions(),
+            recorder: this.getOBSStatus(),
+            recording: {
+                isRecording: this.isRecording,
+                blockIndex: this.currentBlockIndex,
+                filename: this.isRecording ? this.currentRecordingFile : null,
+                startedBy: this.isRecording ? this.recordingStartedBy : null,
+                paused: this.isRecording && this.recordingPaused,
+                pauses: this.isRecording ? this.getTakePauses() : [],
+                countdown: this.countdown ? this.countdown.remaining : null,
+                autoStopIn: this.isRecording && this.takeTimer ? this.takeTimer.remaining() : null
+            },
+            project: this.activeProject,
+            prompter: this.prompter.toJSON(),
+            settings: this.getPublicSettings(),
+            jobs: this.jobQueue.list(),
+            storage: StorageManager.checkSpace(this.settings.outputPath, this.settings.storage)
+        };
     }
 
-    async connectToOBS(data) {
+    async handleClientMessage(ws, message) {
         try {
-            this.obsAddress = data.address.replace('ws://', '').replace('wss://', '');
-            this.obsPassword = data.password;
-            
-            const [host, port] = this.obsAddress.split(':');
+            message.data = MessageValidator.validate(message);
             
-            console.log(`🔗 Connecting to OBS at ${host}:${port || 4455}...`);
+            if (message.type === 'auth') {
+                this.authenticate(ws, message.data.token);
+                return;
+            }
+            if (!ws.isAuthenticated) {
+                throw new ProtocolError('unauthorized', 'Authentication required');
+            }
+            if (!SessionRoles.canSend(ws.session.role, message.type)) {
+                throw new ProtocolError('forbidden', `Role ${ws.session.role} is not allowed to send ${message.type}`, 'type');
+            }
             
-            await this.obs.connect(`ws://${host}:${port || 4455}`, this.obsPassword);
+            console.log('📨 Received message:', message.type, message.type === 'connect_obs' ? { address: message.data.address } : message.data);
             
+            if (message.type === 'join') {
+                this.joinSession(ws, message.data);
+                return;
+            }
+            await this.executeCommand(message.type, message.data, ws.session, (type, data) => this.sendToClient(ws, { type, data }));
         } catch (error) {
-            console.error('❌ Failed to connect to OBS:', error);
-            this.obsConnected = false;
-            this.broadcastOBSStatus(error.message);
+            if (error instanceof ProtocolError) {
+                console.log(`🚫 Отклонено сообщение ${message && message.type}: ${error.message}`);
+            } else {
+                console.error('❌ Error handling message:', error);
+                this.notifyCommandError(error, message.type, 'websocket');
+            }
+            this.sendError(ws, error, message && message.type);
+        }
+    }
+
+    // Команды протокола; ответ команды (если есть) уходит через reply(type, data) - клиенту WebSocket или в ответ REST API
+    async executeCommand(type, data, session, reply) {
+        switch (type) {
+            case 'get_state':
+                reply('state', this.getStateSnapshot(session));
+                break;
+                
+            case 'connect_obs':
+                await this.connectRecorder(data);
+                break;
+                
+            case 'start_recording':
+                await this.startRecording(data, session);
+                break;
+                
+            case 'stop_recording':
+                await this.stopRecording();
+                break;
+                
+            case 'pause_recording':
+                await this.pauseRecording();
+                break;
+                
+            case 'resume_recording':
+                await this.resumeRecording();
+                break;
+                
+            case 'test_recording':
+                await this.testRecording();
+                break;
+                
+            case 'refresh_settings':
+                await this.refreshOBSSettings();
+                break;
+                
+            case 'merge_videos':
+                await this.mergeVideos(data);
+                break;
+                
+            case 'export_video':
+                await this.exportVideo(data);
+                break;
+                
+            case 'open_video_folder':
+                this.openVideoFolder();
+                break;
+                
+            case 'get_video_list':
+                reply('video_list', await this.videoLibrary.list(data || {}));
+                break;
+                
+            case 'delete_video':
+                this.deleteVideo(data.name);
+                break;
+                
+            case 'rename_video':
+                this.renameVideo(data.name, data.newName);
+                break;
+                
+            case 'set_scene':
+                await this.setScene(data.sceneName);
+                break;
+                
+            case 'set_input_mute':
+                await this.setInputMute(data.inputName, data.muted);
+                break;
+                
+            case 'set_input_volume':
+                await this.setInputVolume(data.inputName, data.volumeDb);
+                break;
+                
+            case 'get_settings':
+                reply('settings', this.getPublicSettings());
+                break;
+                
+            case 'update_settings':
+                this.updateSettings(data);
+                break;
+                
+            case 'list_jobs':
+                reply('job_list', { jobs: this.jobQueue.list() });
+                break;
+                
+            case 'cancel_job':
+                this.jobQueue.cancel(data.jobId);
+                break;
+                
+            case 'get_prompter_state':
+                reply('prompter_state', this.prompter.toJSON());
+                break;
+                
+            case 'prompter_control':
+                this.controlPrompter(data);
+                break;
+                
+            case 'prompter_settings':
+                this.updatePrompterSettings(data);
+                break;
+                
+            case 'parse_script':
+                reply('script_parsed', this.parseScript(data));
+                break;
+                
+            case 'create_project':
+                this.createProject(data);
+                break;
+                
+            case 'list_projects':
+                reply('project_list', { projects: this.projectStore.list() });
+                break;
+                
+            case 'open_project':
+                reply('project_opened', { project: this.projectStore.load(data.projectId) });
+                break;
+                
+            case 'resume_project':
+                this.resumeProject(data.projectId);
+                break;
+                
+            case 'delete_project':
+                this.deleteProject(data.projectId);
+                break;
+                
+            case 'accept_block':
+                this.acceptBlock(data);
+                break;
+                
+            case 'list_takes':
+                reply('take_list', await this.listTakes(data || {}));
+                break;
+                
+            case 'select_take':
+                this.selectTake(data);
+                break;
+                
+            case 'discard_take':
+                this.discardTake(data);
+                break;
+                
+            case 'annotate_take':
+                this.annotateTake(data);
+                break;
+                
+            case 'export_report':
+                reply('report', await this.exportReport(data));
+                break;
+                
+            case 'export_project':
+                await this.exportProject(data);
+                break;
+                
+            case 'import_project':
+                await this.importProject(data);
+                break;
+                
+            case 'cleanup_storage':
+                reply('cleanup_report', this.cleanupStorage(data));
+                break;
+                
+            default:
+                throw new ProtocolError('unknown_type', `Unknown message type: ${type}`, 'type');
+        }
+    }
+
+    // Команда REST API от имени оператора; возвращает данные ответа команды (или null).
+    // background: проверяем данные и отвечаем сразу, команда выполняется дальше - результат событием и вебхуком
+    async executeApiCommand(type, data, { background = false } = {}) {
+        const message = { type, data: this.withApiDefaults(type, data) };
+        message.data = MessageValidator.validate(message);
+        console.log('🌐 REST API:', type, message.data);
+        
+        let result = null;
+        const run = this.executeCommand(type, message.data, API_SESSION, (replyType, replyData) => {
+            result = replyData;
+        }).catch(error => {
+            if (!(error instanceof ProtocolError)) {
+                console.error(`❌ REST API ${type}:`, error.message);
+                this.notifyCommandError(error, type, 'api');
+            }
+            throw error;
+        });
+        
+        if (background) {
+            run.catch(() => {});
+            return null;
+        }
+        await run;
+        return result;
+    }
+
+    // Кнопке Stream Deck номер блока не известен: без blockIndex - текущий блок проекта (для записи)
+    // или только что записанный (для принятия)
+    withApiDefaults(type, data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || data.blockIndex !== undefined) {
+            return data;
+        }
+        if (type === 'start_recording') {
+            return { ...data, blockIndex: this.activeProject ? this.activeProject.currentIndex : this.currentBlockIndex };
+        }
+        if (type === 'accept_block') {
+            return { ...data, blockIndex: this.currentBlockIndex };
+        }
+        return data;
+    }
+
+    // Ошибки выполнения команд (не ошибки протокола) - вебхуку error
+    notifyCommandError(error, requestType, source) {
+        this.webhooks.notify('error', {
+            code: error.code || 'command_failed',
+            message: error.message,
+            requestType: requestType || null,
+            source
+        });
+    }
+
+    // Ошибка для клиента: code - машиночитаемый тип (validation_failed, unauthorized, command_failed...)
+    sendError(ws, error, requestType = null) {
+        this.sendToClient(ws, {
+            type: 'error',
+            code: error.code || 'command_failed',
+            message: error.message,
+            field: error.field || null,
+            requestType
+        });
+    }
+
+    // Разбивка сценария с настройками сервера; data.split переопределяет их для одного запроса
+    parseScript(data) {
+        return ScriptParser.parse(data.text, {
+            ...this.settings.script,
+            ...data.split,
+            format: data.format || 'auto'
+        });
+    }
+
+    createProject(data) {
+        const { name, scriptText } = data;
+        let parsedBlocks;
+        
+        if (data.blocks) {
+            // Блоки, разбитые клиентом: строки [scene: ...], [mute: ...] превращаются в директивы и убираются из текста
+            parsedBlocks = data.blocks.map((text, index) => {
+                const parsed = BlockDirectives.parse(text);
+                parsed.warnings.forEach(warning => console.log(`⚠️ Блок ${index + 1}: ${warning}`));
+                return parsed;
+            });
+        } else {
+            const script = this.parseScript({ ...data, text: scriptText || '' });
+            script.warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+            parsedBlocks = script.blocks;
+        }
+        
+        if (parsedBlocks.length === 0) {
+            throw new Error('Project must contain at least one block');
+        }
+        
+        this.activeProject = this.projectStore.create({ name, scriptText, blocks: parsedBlocks });
+        this.currentBlockIndex = 0;
+        
+        console.log(`📂 Создан проект "${this.activeProject.name}" (${this.activeProject.id}), блоков: ${parsedBlocks.length}`);
+        this.broadcastProjectState({ created: true });
+        this.syncPrompterWithProject();
+    }
+
+    resumeProject(projectId) {
+        this.activeProject = this.projectStore.load(projectId);
+        this.currentBlockIndex = Math.min(this.activeProject.currentIndex, this.activeProject.blocks.length - 1);
+        
+        console.log(`📂 Продолжаем проект "${this.activeProject.name}" с блока ${this.activeProject.currentIndex + 1}`);
+        this.broadcastProjectState({ resumed: true });
+        this.syncPrompterWithProject();
+    }
+
+    deleteProject(projectId) {
+        this.projectStore.delete(projectId);
+        
+        if (this.activeProject && this.activeProject.id === projectId) {
+            this.activeProject = null;
+        }
+        
+        console.log(`🗑️ Проект удален: ${projectId}`);
+        this.broadcastToClients({
+            type: 'project_deleted',
+            data: { projectId }
+        });
+    }
+
+    acceptBlock(data) {
+        if (!this.activeProject) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        this.projectStore.acceptTake(this.activeProject, data.blockIndex, data.filename);
+        console.log(`✅ Блок ${data.blockIndex + 1} принят в проекте "${this.activeProject.name}"`);
+        this.broadcastProjectState();
+        
+        // Суфлер переходит к следующему блоку вместе с оператором
+        this.prompter.setBlockIndex(this.activeProject.currentIndex);
+        this.broadcastPrompterState();
+    }
+
+    async listTakes(data) {
+        if (!this.activeProject) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        const blocks = data.blockIndex !== undefined
+            ? [this.projectStore.getBlock(this.activeProject, data.blockIndex)]
+            : this.activeProject.blocks;
+        
+        const result = [];
+        for (const block of blocks) {
+            const takes = [];
+            for (const take of block.takes) {
+                const exists = take.status !== 'discarded' && fs.existsSync(take.fullPath);
+                let media = {};
+                if (exists) {
+                    const stats = fs.statSync(take.fullPath);
+                    media = await this.videoLibrary.getMediaInfo({
+                        name: take.filename,
+                        fullPath: take.fullPath,
+                        size: stats.size,
+                        mtime: stats.mtime.toISOString()
+                    });
+                }
+                takes.push({ ...take, exists, ...media });
+            }
+            
+            result.push({
+                blockIndex: block.index,
+                text: block.text,
+                acceptedTake: block.acceptedTake,
+                takes
+            });
+        }
+        
+        return { projectId: this.activeProject.id, blocks: result };
+    }
+
+    selectTake(data) {
+        if (!this.activeProject) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        this.projectStore.selectTake(this.activeProject, data.blockIndex, data.filename);
+        console.log(`🎯 Блок ${data.blockIndex + 1}: выбран дубль ${data.filename}`);
+        this.broadcastProjectState();
+    }
+
+    discardTake(data) {
+        if (!this.activeProject) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        const block = this.projectStore.getBlock(this.activeProject, data.blockIndex);
+        this.projectStore.findTake(block, data.filename);
+        
+        let trashPath = null;
+        if (fs.existsSync(path.join(this.settings.outputPath, data.filename))) {
+            trashPath = this.videoLibrary.moveToTrash(data.filename);
+            this.thumbnailer.remove(this.settings.outputPath, data.filename);
+        }
+        
+        this.projectStore.discardTake(this.activeProject, data.blockIndex, data.filename, trashPath);
+        console.log(`🗑️ Блок ${data.blockIndex + 1}: дубль ${data.filename} перенесен в корзину`);
+        this.broadcastProjectState();
+    }
+
+    annotateTake(data) {
+        if (!this.activeProject) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        this.projectStore.annotateTake(this.activeProject, data.blockIndex, data.filename, {
+            rating: data.rating,
+            tags: data.tags,
+            note: data.note
+        });
+        console.log(`📝 Блок ${data.blockIndex + 1}: заметка к дублю ${data.filename}`);
+        this.broadcastProjectState();
+    }
+
+    // Отчет о съемке; длительность дубля - из OBS (outputTimecode), иначе из файла
+    async exportReport(data) {
+        const project = data.projectId ? this.projectStore.load(data.projectId) : this.activeProject;
+        if (!project) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        const durations = new Map();
+        for (const block of project.blocks) {
+            for (const take of block.takes) {
+                if (take.outputTimecode || take.status === 'discarded' || !fs.existsSync(take.fullPath)) {
+                    continue;
+                }
+                const stats = fs.statSync(take.fullPath);
+                const media = await this.videoLibrary.getMediaInfo({
+                    name: take.filename,
+                    fullPath: take.fullPath,
+                    size: stats.size,
+                    mtime: stats.mtime.toISOString()
+                });
+                if (media.duration) {
+                    durations.set(take.filename, media.duration);
+                }
+            }
+        }
+        
+        const format = data.format || 'json';
+        const report = SessionReport.build(project, durations);
+        return {
+            projectId: project.id,
+            format,
+            mimeType: SessionReport.FORMATS[format].mimeType,
+            filename: `${project.name}_report.${SessionReport.FORMATS[format].extension}`,
+            totals: report.totals,
+            content: SessionReport.format(report, format)
+        };
+    }
+
+    // Архив проекта для переноса на другую машину: выбранные дубли, склейки, субтитры и манифест
+    async exportProject(data) {
+        const project = data.projectId ? this.projectStore.load(data.projectId) : this.activeProject;
+        if (!project) {
+            throw new ProtocolError('no_active_project', 'No active project');
+        }
+        
+        const outputPath = this.settings.outputPath;
+        const baseName = PathGuard.isSafeProjectName(project.name) ? project.name : project.id;
+        const archiveFile = PathGuard.resolveInside(outputPath, `${baseName}${ProjectArchive.EXTENSION}`);
+        
+        // Архив - копия всех файлов проекта: места должно хватить и на него, и на следующую запись
+        const { files } = ProjectArchive.collect(project, outputPath, { takes: data.takes });
+        this.checkDiskSpace(files.reduce((sum, file) => sum + fs.statSync(file.source).size, 0));
+        
+        console.log(`📦 Архив проекта ${project.name}: ${files.length} файлов...`);
+        const { manifest, size } = await ProjectArchive.create(archiveFile, project, outputPath, { takes: data.takes });
+        console.log(`✅ Архив создан: ${archiveFile} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+        manifest.missing.forEach(file => console.log(`   ⚠️ Нет на диске: ${file}`));
+        
+        this.broadcastToClients({
+            type: 'project_exported',
+            data: {
+                projectId: project.id,
+                archive: path.basename(archiveFile),
+                fullPath: archiveFile,
+                size,
+                filesCount: manifest.files.length,
+                missing: manifest.missing
+            }
+        });
+    }
+
+    // Импорт архива из папки вывода: файлы распаковываются рядом с дублями, проект - в хранилище
+    async importProject(data) {
+        const archiveFile = PathGuard.resolveInside(this.settings.outputPath, data.archive);
+        if (!fs.existsSync(archiveFile)) {
+            throw new ProtocolError('not_found', `Archive not found: ${data.archive}`, 'data.archive');
+        }
+        this.checkDiskSpace(fs.statSync(archiveFile).size);
+        
+        const result = await ProjectArchive.extract(archiveFile, this.settings.outputPath);
+        const project = this.projectStore.importProject(result.project);
+        console.log(`📥 Проект ${project.name} импортирован: файлов ${result.written.length}, уже были ${result.reused.length}`);
+        
+        this.broadcastToClients({
+            type: 'project_imported',
+            data: {
+                project: this.projectStore.summarize(project),
+                archive: data.archive,
+                written: result.written,
+                reused: result.reused
+            }
+        });
+    }
+
+    // Место для записи (и для requiredBytes новых файлов): меньше storage.warnFreeMB - предупреждение,
+    // меньше storage.minFreeMB - отказ, чтобы запись не оборвалась посреди дубля
+    checkDiskSpace(requiredBytes = 0) {
+        const settings = this.settings.storage;
+        const space = StorageManager.checkSpace(this.settings.outputPath, settings);
+        if (space.level === 'unknown') {
+            return space;
+        }
+        
+        const requiredMB = Math.ceil(requiredBytes / 1024 / 1024);
+        const level = StorageManager.level(space.freeMB - requiredMB, settings);
+        if (level !== 'ok') {
+            console.log(`⚠️ Мало места в ${space.path}: свободно ${space.freeMB} MB${requiredMB ? `, нужно ${requiredMB} MB` : ''}`);
+            this.broadcastToClients({
+                type: 'disk_space',
+                data: { ...space, level, requiredMB, minFreeMB: settings.minFreeMB, warnFreeMB: settings.warnFreeMB }
+            });
+        }
+        if (level === 'critical') {
+            throw new ProtocolError('disk_full',
+                `Not enough disk space: ${space.freeMB} MB free in ${space.path}, ${requiredMB + settings.minFreeMB} MB required`);
+        }
+        return { ...space, level };
+    }
+
+    // Очистка папки вывода по settings.storage; проекты с перенесенными в корзину дублями перечитываются
+    cleanupStorage({ dryRun = false } = {}) {
+        const report = this.storage.cleanup(this.settings.storage, { dryRun });
+        if (dryRun) {
+            return report;
+        }
+        
+        report.takes.files.forEach(take => this.thumbnailer.remove(this.settings.outputPath, take.filename));
+        console.log(`🧹 Очистка: удалено ${report.trash.files.length + report.temp.files.length} файлов ` +
+            `(${(report.freedBytes / 1024 / 1024).toFixed(2)} MB), в корзину - ${report.takes.files.length} невыбранных дублей`);
+        report.errors.forEach(error => console.log(`   ⚠️ ${error}`));
+        
+        if (this.activeProject && report.projectIds.includes(this.activeProject.id)) {
+            this.activeProject = this.projectStore.load(this.activeProject.id);
+            this.broadcastProjectState();
+        }
+        return report;
+    }
+
+    // Автоочистка при запуске и раз в сутки; во время записи откладывается до следующего раза
+    scheduleCleanup() {
+        const run = () => {
+            if (!this.settings.storage.autoCleanup || this.isRecording) {
+                return;
+            }
+            try {
+                this.cleanupStorage();
+            } catch (error) {
+                console.error('❌ Автоочистка не удалась:', error.message);
+            }
+        };
+        
+        run();
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+    }
+
+    saveTakeToProject(take, projectId) {
+        if (!projectId || !take.filename) {
+            return;
+        }
+        
+        try {
+            this.projectStore.addTake(this.getTakeProject(projectId), take.blockIndex, take);
+            this.broadcastTakeProject(projectId);
+        } catch (error) {
+            console.error('❌ Не удалось сохранить дубль в проект:', error.message);
+        }
+    }
+
+    // Проект, в который записывался дубль: активный или, если оператор уже открыл другой, - с диска
+    getTakeProject(projectId) {
+        if (this.activeProject && this.activeProject.id === projectId) {
+            return this.activeProject;
+        }
+        return this.projectStore.load(projectId);
+    }
+
+    broadcastTakeProject(projectId) {
+        if (this.activeProject && this.activeProject.id === projectId) {
+            this.broadcastProjectState();
+        }
+    }
+
+    saveOutputToProject(output) {
+        if (!this.activeProject) {
+            return;
+        }
+        
+        try {
+            this.projectStore.addOutput(this.activeProject, output);
+            this.broadcastProjectState();
+        } catch (error) {
+            console.error('❌ Не удалось сохранить результат склейки в проект:', error.message);
+        }
+    }
+
+    deleteVideo(name) {
+        this.videoLibrary.delete(name);
+        this.thumbnailer.remove(this.settings.outputPath, name);
+        console.log('🗑️ Видео удалено:', name);
+        
+        this.broadcastToClients({
+            type: 'video_deleted',
+            data: { name }
+        });
+    }
+
+    renameVideo(name, newName) {
+        const result = this.videoLibrary.rename(name, newName);
+        this.thumbnailer.remove(this.settings.outputPath, name);
+        console.log(`✏️ Видео переименовано: ${name} -> ${result.name}`);
+        
+        // Ссылки в активном проекте обновлены на диске, перечитываем его
+        if (this.activeProject && result.projectIds.includes(this.activeProject.id)) {
+            this.activeProject = this.projectStore.load(this.activeProject.id);
+            this.broadcastProjectState();
+        }
+        
+        this.broadcastToClients({
+            type: 'video_renamed',
+            data: { name, newName: result.name, fullPath: result.fullPath }
+        });
+    }
+
+    // Тексты блоков проекта (без директив) и текущий блок - на суфлер
+    syncPrompterWithProject() {
+        const project = this.activeProject;
+        this.prompter.setBlocks(project.blocks.map(block => block.text), project.currentIndex, project.name);
+        this.broadcastPrompterState();
+    }
+
+    // next/previous/goto - смена блока, play/pause/toggle - автопрокрутка,
+    // scroll (amount строк, отрицательное - назад) и restart - разовые команды экрану суфлера
+    controlPrompter({ action, blockIndex, amount }) {
+        switch (action) {
+            case 'next':
+                this.prompter.move(1);
+                break;
+            case 'previous':
+                this.prompter.move(-1);
+                break;
+            case 'goto':
+                if (blockIndex === undefined) {
+                    throw new ProtocolError('validation_failed', 'data.blockIndex is required for goto', 'data.blockIndex');
+                }
+                this.prompter.setBlockIndex(blockIndex);
+                break;
+            case 'play':
+            case 'pause':
+            case 'toggle':
+                this.prompter.scrolling = action === 'toggle' ? !this.prompter.scrolling : action === 'play';
+                break;
+            case 'scroll':
+            case 'restart':
+                this.broadcastToClients({
+                    type: 'prompter_command',
+                    data: { action, amount: amount || 0 }
+                });
+                return;
+        }
+        
+        console.log(`📜 Суфлер: ${action} (блок ${this.prompter.blockIndex + 1}, прокрутка ${this.prompter.scrolling ? 'идет' : 'стоит'})`);
+        this.broadcastPrompterState();
+    }
+
+    // Вид суфлера сохраняется в конфигурации, но без рассылки settings - меняется часто (ползунки)
+    updatePrompterSettings(changes) {
+        this.config.save({ prompter: changes });
+        ServerConfig.merge(this.settings, { prompter: changes });
+        this.prompter.updateSettings(this.settings.prompter);
+        this.broadcastPrompterState();
+    }
+
+    broadcastPrompterState() {
+        this.broadcastToClients({
+            type: 'prompter_state',
+            data: this.prompter.toJSON()
+        });
+    }
+
+    broadcastProjectState(extra = {}) {
+        this.broadcastToClients({
+            type: 'project_state',
+            data: {
+                project: this.activeProject,
+                ...extra
+            }
+        });
+    }
+
+    // Настройки для клиента: пароль OBS и секреты вебхуков не отправляем
+    getPublicSettings(extra = {}) {
+        const { obsPassword, ...settings } = this.settings;
+        return {
+            ...settings,
+            obsPasswordSet: Boolean(obsPassword),
+            webhooks: (settings.webhooks || []).map(({ secret, ...hook }) => ({ ...hook, secretSet: Boolean(secret) })),
+            configFile: this.config.configFile,
+            envKeys: this.config.envKeys,
+            formats: Object.keys(OutputFormats.FORMATS),
+            qualityPresets: Object.keys(OutputFormats.QUALITY_PRESETS),
+            exportPresetList: Object.values(ExportPresets.resolve(this.settings.exportPresets)),
+            ...extra
+        };
+    }
+
+    updateSettings(changes) {
+        ServerConfig.validate(changes);
+        if (changes.webhooks) {
+            changes = { ...changes, webhooks: this.keepWebhookSecrets(changes.webhooks) };
+        }
+        if (changes.script) {
+            ScriptParser.splitLimits({ ...this.settings.script, ...changes.script });
+        }
+        
+        const outputPathChanged = changes.outputPath !== undefined && changes.outputPath !== this.settings.outputPath;
+        if (outputPathChanged) {
+            if (this.isRecording) {
+                throw new Error('Cannot change output folder while recording');
+            }
+            this.ensureOutputPath(changes.outputPath);
+        }
+        
+        // Смена источника записи или параметров захвата FFmpeg пересоздает recorder
+        const nextRecorder = changes.recorder || this.settings.recorder;
+        const recorderChanged = nextRecorder !== this.settings.recorder ||
+            (changes.capture !== undefined && nextRecorder === 'ffmpeg');
+        if (recorderChanged && this.isRecording) {
+            throw new Error('Cannot change recorder while recording');
+        }
+        
+        this.config.save(changes);
+        ServerConfig.merge(this.settings, changes);
+        console.log('⚙️ Настройки обновлены:', Object.keys(changes).join(', '));
+        
+        if (outputPathChanged) {
+            // Проекты хранятся в папке вывода - активный проект остается в старой папке
+            this.projectStore.setRootDir(this.settings.outputPath);
+            this.videoLibrary.setRootDir(this.settings.outputPath);
+            this.storage.setRootDir(this.settings.outputPath);
+            this.activeProject = null;
+            console.log('📁 Новая папка вывода:', this.settings.outputPath);
+        }
+        
+        if (recorderChanged) {
+            this.setupRecorder();
+            this.broadcastOBSStatus();
+        }
+        
+        if (changes.prompter) {
+            this.prompter.updateSettings(this.settings.prompter);
+            this.broadcastPrompterState();
+        }
+        
+        this.broadcastToClients({
+            type: 'settings',
+            data: this.getPublicSettings({
+                updated: Object.keys(changes),
+                restartRequired: this.settings.port !== this.port
+            })
+        });
+    }
+
+    // Клиенты видят вебхуки без секретов (getPublicSettings) и присылают их обратно так же:
+    // вебхук без secret сохраняет секрет прежнего вебхука с тем же url
+    keepWebhookSecrets(webhooks) {
+        return webhooks.map(({ secretSet, ...hook }) => {
+            if (hook.secret !== undefined) {
+                return hook;
+            }
+            const previous = (this.settings.webhooks || []).find(existing => existing.url === hook.url);
+            return previous && previous.secret ? { ...hook, secret: previous.secret } : hook;
+        });
+    }
+
+    // connect_obs: подключение к OBS; для FFmpeg - повторная проверка готовности
+    async connectRecorder(data) {
+        try {
+            if (this.recorder.kind !== 'obs') {
+                await this.recorder.connect();
+                return;
+            }
+            
+            // Адрес и пароль из настроек, если клиент их не передал
+            await this.recorder.connect({
+                address: data.address || this.settings.obsAddress,
+                password: data.password !== undefined ? data.password : this.settings.obsPassword,
+                defaultPort: this.settings.obsPort
+            });
+            
+        } catch (error) {
+            console.error(`❌ Failed to connect to ${this.recorder.kind}:`, error.message);
+            this.obsConnected = false;
+            this.broadcastOBSStatus(error.message);
+        }
+    }
+
+    // Сцены и источники звука для панели управления клиента
+    async refreshOBSSettings() {
+        if (!this.obsConnected) {
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
+        }
+        
+        try {
+            const info = await this.recorder.getInfo();
+            this.broadcastOBSStatus(null, info);
+        } catch (error) {
+            console.error('❌ Error refreshing recorder settings:', error);
+            throw error;
         }
     }
 
-    async refreshOBSSettings() {
+    async setScene(sceneName) {
         if (!this.obsConnected) {
-            throw new Error('OBS not connected');
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
         }
         
-        try {
-            // Get scenes
-            const scenesResponse = await this.obs.call('GetSceneList');
-            const scenes = scenesResponse.scenes.map(scene => scene.sceneName);
-            const currentScene = scenesResponse.currentProgramSceneName;
-            
-            // Get audio sources
-            const inputsResponse = await this.obs.call('GetInputList');
-            const audioSources = inputsResponse.inputs
-                .filter(input => input.inputKind.includes('audio'))
-                .map(input => input.inputName);
-            
-            // Get recording settings
-            const recordResponse = await this.obs.call('GetRecordDirectory');
-            const recordingPath = recordResponse.recordDirectory;
-            
-            this.broadcastOBSStatus(null, {
-                scenes,
-                currentScene,
-                audioSources,
-                recordingPath
-            });
-            
-        } catch (error) {
-            console.error('❌ Error refreshing OBS settings:', error);
-            throw error;
+        await this.recorder.setScene(sceneName);
+    }
+
+    async setInputMute(inputName, muted) {
+        if (!this.obsConnected) {
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
+        }
+        
+        await this.recorder.setInputMute(inputName, muted);
+    }
+
+    async setInputVolume(inputName, volumeDb) {
+        if (!this.obsConnected) {
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
         }
+        
+        await this.recorder.setInputVolume(inputName, volumeDb);
     }
 
-    async startRecording(data) {
+    async startRecording(data, session = null) {
         if (!this.obsConnected) {
-            throw new Error('OBS not connected');
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
         }
+        // Два оператора не должны перебивать друг другу блок: пока идет запись, новая не начинается
+        if (this.isRecording || this.isStartingRecording) {
+            throw new ProtocolError('recording_in_progress', `Recording of block ${this.currentBlockIndex + 1} is already in progress`);
+        }
+        this.checkDiskSpace();
         
+        this.isStartingRecording = true;
         try {
             this.currentBlockIndex = data.blockIndex;
+            this.recordingStartedBy = session ? session.id : null;
+            
+            // Директивы из проекта; без проекта - из текста блока, присланного клиентом
+            const parsed = BlockDirectives.parse(data.blockText);
+            const projectBlock = this.activeProject && this.activeProject.blocks[data.blockIndex];
+            const directives = projectBlock ? projectBlock.directives : parsed.directives;
+            this.currentBlockText = projectBlock ? projectBlock.text : parsed.text;
             
             console.log(`🎬 Starting recording for block ${this.currentBlockIndex + 1}:`);
-            console.log('   Block text:', data.blockText?.substring(0, 100) + '...');
+            console.log('   Block text:', this.currentBlockText.substring(0, 100) + '...');
             
-            // Set recording directory
-            await this.obs.call('SetRecordDirectory', {
-                recordDirectory: this.settings.outputPath
-            });
+            // Суфлер показывает блок, который сейчас пишется
+            if (projectBlock) {
+                this.prompter.setBlockIndex(data.blockIndex);
+            } else {
+                this.prompter.setBlockText(data.blockIndex, this.currentBlockText);
+            }
+            this.broadcastPrompterState();
+            
+            // Сцену и звук переключаем до начала записи, чтобы дубль сразу писался с нужными источниками
+            await this.recorder.applyDirectives(directives);
+            this.currentScene = await this.recorder.getCurrentScene();
+            console.log('   Scene:', this.currentScene || 'unknown');
+            
+            // Запись по таймеру: отсчет, чтобы диктор успел убрать руку с клавиши, и автостоп
+            // по оценке длительности блока. Сцена уже переключена - во время отсчета виден нужный кадр
+            const timedSettings = this.settings.timedRecording;
+            const countdown = data.countdown !== undefined ? data.countdown : (data.timed ? timedSettings.countdown : 0);
+            if (countdown > 0) {
+                console.log(`   ⏱️ Обратный отсчет: ${countdown} с`);
+                if (!(await this.runCountdown(data.blockIndex, countdown))) {
+                    this.isStartingRecording = false;
+                    console.log('⏹️ Отсчет отменен, запись не начата');
+                    return;
+                }
+            }
+            this.nextTakeDuration = data.timed
+                ? data.duration || TakeTimer.estimate(this.currentBlockText, timedSettings, this.settings.script.wordsPerMinute)
+                : null;
             
-            // Start recording
-            await this.obs.call('StartRecord');
+            await this.recorder.start(this.getRecordOptions());
             
             console.log(`✅ Recording command sent for block ${this.currentBlockIndex + 1}`);
             
         } catch (error) {
+            this.isStartingRecording = false;
+            this.nextTakeDuration = null;
             console.error('❌ Error starting recording:', error);
             throw error;
         }
     }
 
     async stopRecording() {
+        // Остановка во время отсчета отменяет запись, не начав ее
+        if (this.cancelCountdown()) {
+            console.log('⏹️ Обратный отсчет отменен');
+            return;
+        }
         if (!this.obsConnected) {
-            console.log('⚠️ OBS not connected, cannot stop recording');
+            console.log('⚠️ Recorder not connected, cannot stop recording');
             return;
         }
         
         try {
             console.log(`⏹️ Stopping recording for block ${this.currentBlockIndex + 1}...`);
             
-            await this.obs.call('StopRecord');
+            await this.recorder.stop();
             
             console.log(`✅ Stop recording command sent for block ${this.currentBlockIndex + 1}`);
             
@@ -335,31 +1849,74 @@ class VideoMasterServer {
 
     async testRecording() {
         if (!this.obsConnected) {
-            throw new Error('OBS not connected');
+            throw new ProtocolError('recorder_disconnected', 'Recorder not connected');
+        }
+        if (this.isRecording || this.isStartingRecording) {
+            throw new ProtocolError('recording_in_progress', `Recording of block ${this.currentBlockIndex + 1} is already in progress`);
         }
         
         try {
-            console.log('🧪 Starting test recording for 5 seconds...');
+            console.log(`🧪 Starting test recording for ${TEST_RECORDING_SECONDS} seconds...`);
             
-            await this.obs.call('StartRecord');
-            
-            setTimeout(async () => {
-                try {
-                    await this.obs.call('StopRecord');
-                    console.log('✅ Test recording completed');
-                } catch (error) {
-                    console.error('❌ Error stopping test recording:', error);
-                }
-            }, 5000);
+            // Остановит тот же таймер, что и запись по таймеру; файл не сохраняется как дубль блока
+            this.nextTakeDuration = TEST_RECORDING_SECONDS;
+            this.isTestRecording = true;
+            await this.recorder.start(this.getRecordOptions());
             
         } catch (error) {
+            this.nextTakeDuration = null;
+            this.isTestRecording = false;
             console.error('❌ Error starting test recording:', error);
             throw error;
         }
     }
 
+    async pauseRecording() {
+        if (!this.isRecording) {
+            throw new ProtocolError('not_recording', 'Recording is not in progress');
+        }
+        if (this.recordingPaused) {
+            return;
+        }
+        
+        console.log(`⏸️ Пауза записи блока ${this.currentBlockIndex + 1}...`);
+        await this.recorder.pause();
+    }
+
+    async resumeRecording() {
+        if (!this.isRecording) {
+            throw new ProtocolError('not_recording', 'Recording is not in progress');
+        }
+        if (!this.recordingPaused) {
+            return;
+        }
+        
+        console.log(`▶️ Продолжаем запись блока ${this.currentBlockIndex + 1}...`);
+        await this.recorder.resume();
+    }
+
+    getRecordOptions() {
+        return {
+            outputDir: this.settings.outputPath,
+            videoFormat: this.settings.videoFormat,
+            videoQuality: this.settings.videoQuality
+        };
+    }
+
     async mergeVideos(data) {
-        const { blocks, projectName } = data;
+        const { projectName } = data;
+        
+        // Для активного проекта склеиваем только принятые дубли, иначе - файлы, присланные клиентом.
+        // Блок без дубля - ошибка: видео без части сценария никто не ждет
+        if (this.activeProject) {
+            const missing = this.activeProject.blocks
+                .map((block, index) => (block.acceptedTake ? null : index + 1))
+                .filter(index => index !== null);
+            if (missing.length > 0) {
+                throw new ProtocolError('no_take', `No accepted take for blocks ${missing.join(', ')}`, 'blocks');
+            }
+        }
+        const blocks = this.activeProject ? this.projectStore.getSelectedTakes(this.activeProject) : (data.blocks || []);
         
         console.log('🔧 ===== НАЧАЛО СКЛЕЙКИ =====');
         console.log('📋 Блоки для склейки:', blocks);
@@ -370,10 +1927,18 @@ class VideoMasterServer {
             throw new Error('FFmpeg not found. Please install FFmpeg or place ffmpeg.exe in the project folder.');
         }
         
+        // Неизвестный пресет - ошибка до склейки, а не после нее
+        const exportPresets = this.findExportPresets(data.exports || [], 'data.exports');
+        
         // Filter out empty blocks and check if files exist
         const videoDir = this.settings.outputPath;
+        const render = RenderSpec.parse(data.render, videoDir);
+        if (render) {
+            console.log('🎨 Оформление:', JSON.stringify(render));
+        }
+        
         const validBlocks = blocks.filter(block => {
-            if (!block || block.includes('[отклонен]')) {
+            if (!PathGuard.isSafeFileName(block) || block.includes('[отклонен]')) {
                 console.log(`❌ Пропускаем недействительный блок: ${block}`);
                 return false;
             }
@@ -406,184 +1971,624 @@ class VideoMasterServer {
         
         console.log(`✅ Найдено ${validBlocks.length} действительных блоков для склейки`);
         
+        if (!PathGuard.isSafeProjectName(projectName)) {
+            throw new Error(`Invalid project name: ${projectName}`);
+        }
+        const outputFile = PathGuard.resolveInside(videoDir, `${projectName}.${this.settings.videoFormat}`);
+        // ffmpeg -y перезаписал бы дубль, а очистка после ошибки удалила бы его.
+        // Регистр не учитываем: на Windows и macOS это один и тот же файл
+        const overwritten = validBlocks.find(block => path.resolve(videoDir, block).toLowerCase() === outputFile.toLowerCase());
+        if (overwritten) {
+            throw new ProtocolError('validation_failed', `Output file ${path.basename(outputFile)} would overwrite take ${overwritten}`, 'data.projectName');
+        }
+        console.log('🎯 Финальный файл:', outputFile);
+        
+        let method;
+        let analysis = null;
+        let transitionDuration = 0;
+        let subtitles = null;
+        let chapters = null;
+        let audioReports = [];
+        
+        // Обработка звука создает временные копии дублей; склеиваем их вместо оригиналов.
+        // processedFiles пополняется по ходу обработки, чтобы удалить копии и после ошибки на середине
+        const audioOptions = AudioProcessor.resolveOptions(this.settings.audioProcessing, data.audioProcessing);
+        const processedFiles = [];
+        let mergeInputs = validBlocks;
+        
         try {
-            const outputFile = path.join(videoDir, `${projectName}.mp4`);
-            console.log('🎯 Финальный файл:', outputFile);
-            
-            if (validBlocks.length === 1) {
-                // Single file, just copy
-                const inputFile = path.join(videoDir, validBlocks[0]);
-                console.log('📋 Обнаружен единственный файл, копируем вместо склейки...');
-                fs.copyFileSync(inputFile, outputFile);
-                console.log('✅ Единственный видеофайл скопирован успешно');
-            } else {
-                // Multiple files, merge with FFmpeg
-                console.log(`🔧 Склейка ${validBlocks.length} файлов с помощью FFmpeg...`);
-                await this.mergeWithFFmpeg(validBlocks, outputFile);
+            try {
+                if (AudioProcessor.isEnabled(audioOptions)) {
+                    ({ mergeInputs, audioReports } = await this.processTakesAudio(validBlocks, audioOptions, processedFiles));
+                }
+                
+                if (render) {
+                    // Оформление требует перекодирования, поэтому всегда рендерим целиком
+                    const files = [render.intro, ...mergeInputs.map(block => path.join(videoDir, block)), render.outro].filter(Boolean);
+                    analysis = await this.mergePlanner.analyze(files, this.settings.videoFormat);
+                    const plan = await this.mergeRendered(outputFile, analysis, render);
+                    transitionDuration = plan.transitionDuration;
+                    method = 'render';
+                } else if (mergeInputs.length === 1 && path.extname(mergeInputs[0]).toLowerCase() === path.extname(outputFile)) {
+                    // Single file, just copy
+                    const inputFile = path.join(videoDir, mergeInputs[0]);
+                    console.log('📋 Обнаружен единственный файл, копируем вместо склейки...');
+                    fs.copyFileSync(inputFile, outputFile);
+                    method = 'copy';
+                    console.log('✅ Единственный видеофайл скопирован успешно');
+                } else {
+                    analysis = await this.mergePlanner.analyze(mergeInputs.map(block => path.join(videoDir, block)), this.settings.videoFormat);
+                    method = await this.mergeAnalyzed(mergeInputs, outputFile, analysis);
+                }
+            } catch (error) {
+                if (error.cancelled) {
+                    console.log('🛑 Склейка отменена пользователем');
+                    return;
+                }
+                
+                console.error('❌ Ошибка склейки видео:', error);
+                throw new Error(`Склейка не удалась: ${error.message}`);
             }
             
             // Check if output file was created successfully
-            if (fs.existsSync(outputFile)) {
-                const stats = fs.statSync(outputFile);
-                console.log('🎉 ===== СКЛЕЙКА ЗАВЕРШЕНА =====');
-                console.log(`✅ Финальное видео создано: ${outputFile}`);
-                console.log(`📊 Размер: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-                console.log(`🧩 Блоков склеено: ${validBlocks.length}`);
-                console.log('===============================');
-                
-                this.broadcastToClients({
-                    type: 'video_merged',
-                    data: { 
-                        outputFile,
-                        fileSize: stats.size,
-                        blocksCount: validBlocks.length,
-                        outputPath: this.settings.outputPath
-                    }
-                });
-                
-                // Автоматически открываем папку
-                this.openVideoFolder();
-                
-            } else {
+            if (!fs.existsSync(outputFile)) {
                 throw new Error('Выходной файл не был создан');
             }
             
+            // Субтитры и главы - необязательные шаги: при ошибке оставляем видео без них
+            let timeline = null;
+            try {
+                timeline = await this.buildBlockTimeline(validBlocks, mergeInputs, analysis, render, transitionDuration);
+            } catch (error) {
+                console.error('⚠️ Временная шкала блоков не построена:', error.message);
+            }
+            
+            try {
+                subtitles = await this.writeSubtitles(outputFile, timeline, data.subtitles);
+            } catch (error) {
+                console.error('⚠️ Субтитры не созданы:', error.message);
+            }
+            
+            try {
+                chapters = await this.writeChapters(outputFile, timeline, data.chapters);
+            } catch (error) {
+                console.error('⚠️ Главы не созданы:', error.message);
+            }
+        } finally {
+            this.cleanupProcessedTakes(processedFiles);
+        }
+        
+        const stats = fs.statSync(outputFile);
+        console.log('🎉 ===== СКЛЕЙКА ЗАВЕРШЕНА =====');
+        console.log(`✅ Финальное видео создано: ${outputFile}`);
+        console.log(`📊 Размер: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+        console.log(`🧩 Блоков склеено: ${validBlocks.length}`);
+        console.log(`🔧 Метод: ${method}`);
+        console.log('===============================');
+        
+        this.broadcastToClients({
+            type: 'video_merged',
+            data: { 
+                outputFile,
+                fileSize: stats.size,
+                blocksCount: validBlocks.length,
+                method,
+                normalizeReasons: analysis ? analysis.reasons : [],
+                subtitles,
+                chapters,
+                audioReports,
+                outputPath: this.settings.outputPath
+            }
+        });
+        
+        this.saveOutputToProject({ outputFile, fileSize: stats.size, blocks: validBlocks, method });
+        
+        if (exportPresets.length > 0) {
+            await this.runExports(outputFile, exportPresets);
+        }
+    }
+
+    findExportPresets(names, field) {
+        const presets = ExportPresets.resolve(this.settings.exportPresets);
+        const unknown = names.filter(name => !presets[name]);
+        if (unknown.length > 0) {
+            throw new ProtocolError('validation_failed', `Unknown export preset: ${unknown.join(', ')}`, field);
+        }
+        return [...new Set(names)].map(name => presets[name]);
+    }
+
+    async exportVideo(data) {
+        const presets = this.findExportPresets(data.presets, 'data.presets');
+        const sourceFile = PathGuard.resolveInside(this.settings.outputPath, data.source);
+        if (!fs.existsSync(sourceFile)) {
+            throw new ProtocolError('not_found', `Video not found: ${data.source}`, 'data.source');
+        }
+        
+        await this.runExports(sourceFile, presets);
+    }
+
+    // Пресеты рендерятся по очереди; ошибка одного не отменяет остальные
+    async runExports(sourceFile, presets) {
+        const sourceName = path.basename(sourceFile);
+        let totalDuration = null;
+        try {
+            totalDuration = (await this.mediaProbe.probe(sourceFile)).duration;
         } catch (error) {
-            console.error('❌ Ошибка склейки видео:', error);
+            console.log(`⚠️ Не удалось получить длительность ${sourceName}:`, error.message);
+        }
+        
+        const failures = [];
+        for (const preset of presets) {
+            const outputFile = PathGuard.resolveInside(this.settings.outputPath, ExportPresets.outputName(sourceName, preset));
+            console.log(`📐 Экспорт ${sourceName} -> ${path.basename(outputFile)} (${preset.label})`);
             
-            // Try alternative merge method
-            console.log('🔄 Попытка альтернативного метода склейки...');
             try {
-                const altOutputFile = path.join(videoDir, `${projectName}_alt.mp4`);
-                await this.mergeVideosAlternative(validBlocks, altOutputFile);
-                
-                if (fs.existsSync(altOutputFile)) {
-                    const stats = fs.statSync(altOutputFile);
-                    console.log(`✅ Альтернативная склейка успешна: ${altOutputFile}`);
-                    console.log(`   Размер: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-                    
-                    this.broadcastToClients({
-                        type: 'video_merged',
-                        data: { 
-                            outputFile: altOutputFile,
-                            fileSize: stats.size,
-                            blocksCount: validBlocks.length,
-                            method: 'alternative',
-                            outputPath: this.settings.outputPath
-                        }
-                    });
-                    
-                    // Автоматически открываем папку
-                    this.openVideoFolder();
-                    
+                const { promise } = this.jobQueue.enqueue({
+                    type: 'export',
+                    label: `Экспорт ${path.basename(outputFile)} (${preset.label})`,
+                    args: ExportPresets.buildArgs(preset, sourceFile, outputFile),
+                    outputFile,
+                    totalDuration,
+                    meta: { preset: preset.name, source: sourceName }
+                });
+                await promise;
+            } catch (error) {
+                if (error.cancelled) {
+                    console.log(`🛑 Экспорт ${preset.name} отменен`);
                 } else {
-                    throw new Error('Альтернативная склейка также не смогла создать выходной файл');
+                    console.error(`❌ Экспорт ${preset.name} не удался:`, error.message);
+                    failures.push(`${preset.name}: ${error.message}`);
+                }
+                continue;
+            }
+            
+            const stats = fs.statSync(outputFile);
+            this.broadcastToClients({
+                type: 'video_exported',
+                data: {
+                    outputFile,
+                    fileSize: stats.size,
+                    preset: preset.name,
+                    label: preset.label,
+                    width: preset.width,
+                    height: preset.height,
+                    container: preset.container,
+                    source: sourceName,
+                    outputPath: this.settings.outputPath
                 }
-            } catch (altError) {
-                console.error('❌ Альтернативная склейка также не удалась:', altError);
-                throw new Error(`Склейка не удалась: ${error.message}. Альтернативный метод также не сработал: ${altError.message}`);
+            });
+            
+            // Экспорт склейки активного проекта попадает в его результаты
+            if (this.activeProject && this.activeProject.outputs.some(output => output.outputFile === sourceFile)) {
+                this.saveOutputToProject({ outputFile, fileSize: stats.size, source: sourceName, preset: preset.name, method: 'export' });
             }
         }
+        
+        if (failures.length > 0) {
+            throw new Error(`Экспорт не удался: ${failures.join('; ')}`);
+        }
     }
 
-    async mergeWithFFmpeg(videoFiles, outputFile) {
-        return new Promise((resolve, reject) => {
-            const videoDir = this.settings.outputPath;
+    // Склейка по результатам анализа: копирование потоков, если дубли совместимы, иначе нормализация
+    async mergeAnalyzed(videoFiles, outputFile, analysis) {
+        if (analysis.canStreamCopy) {
+            console.log('✅ Все блоки совместимы, склеиваем без перекодирования');
+            return this.mergeWithFFmpeg(videoFiles, outputFile, analysis.totalDuration)
+                .then(() => 'concat');
+        }
+        
+        console.log('⚠️ Блоки несовместимы для склейки без перекодирования:');
+        analysis.reasons.forEach(reason => console.log(`   - ${reason}`));
+        
+        // Если файлы не проанализированы, сначала пробуем быстрый concat
+        if (!analysis.probed) {
+            try {
+                await this.mergeWithFFmpeg(videoFiles, outputFile, analysis.totalDuration);
+                return 'concat';
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.log('🔄 Concat не удался, переходим к нормализации:', error.message);
+            }
+        }
+        
+        await this.mergeNormalized(outputFile, analysis);
+        return 'normalize';
+    }
+
+    async mergeWithFFmpeg(videoFiles, outputFile, totalDuration = null) {
+        const videoDir = this.settings.outputPath;
+        
+        // Create file list for FFmpeg (with proper Windows path escaping).
+        // Свое имя для каждой склейки: склейки в очереди не перезаписывают и не удаляют чужой список
+        const listFile = path.join(os.tmpdir(), `videomaster_filelist_${process.pid}_${crypto.randomBytes(4).toString('hex')}.txt`);
+        const fileList = videoFiles
+            .map(file => PathGuard.concatListEntry(PathGuard.resolveInside(videoDir, file)))
+            .join('\n');
+        
+        console.log(`📝 Creating ${listFile}:`);
+        console.log(fileList);
+        
+        fs.writeFileSync(listFile, fileList, 'utf8');
+        
+        try {
+            const { job, promise } = this.jobQueue.enqueue({
+                type: 'merge',
+                label: `Склейка ${path.basename(outputFile)} (concat)`,
+                args: ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', outputFile],
+                outputFile,
+                totalDuration,
+                meta: { method: 'concat', blocksCount: videoFiles.length }
+            });
+            
+            console.log(`🎬 Merge queued as ${job.id}`);
+            await promise;
+            console.log('✅ Videos merged successfully with concat method');
+        } finally {
+            // Clean up temp file
+            try {
+                fs.unlinkSync(listFile);
+                console.log('🗑️ Cleaned up temporary file list');
+            } catch (cleanupError) {
+                console.log('⚠️ Could not delete temp file:', cleanupError.message);
+            }
+        }
+    }
+
+    async mergeNormalized(outputFile, analysis) {
+        const { width, height, fps, sampleRate } = analysis.target;
+        console.log(`🔄 Нормализация блоков к ${width}x${height} @ ${fps} fps, ${sampleRate} Hz`);
+        
+        const inputs = [];
+        analysis.inputs.forEach(input => {
+            inputs.push('-i', input.filePath);
+        });
+        
+        const { job, promise } = this.jobQueue.enqueue({
+            type: 'merge',
+            label: `Склейка ${path.basename(outputFile)} (normalize)`,
+            args: [
+                '-y', ...inputs,
+                '-filter_complex', this.mergePlanner.buildNormalizeFilter(analysis),
+                '-map', '[outv]', '-map', '[outa]',
+                ...this.getEncodeArgs(),
+                outputFile
+            ],
+            outputFile,
+            totalDuration: analysis.totalDuration,
+            meta: { method: 'normalize', blocksCount: analysis.inputs.length }
+        });
+        
+        console.log(`🔄 Normalizing merge queued as ${job.id}`);
+        await promise;
+        console.log('✅ Videos merged successfully with normalizing pipeline');
+    }
+
+    async mergeRendered(outputFile, analysis, render) {
+        const inputs = [];
+        analysis.inputs.forEach(input => {
+            inputs.push('-i', input.filePath);
+        });
+        
+        const options = {};
+        let textFile = null;
+        
+        if (render.overlay && render.overlay.image) {
+            options.imageInputIndex = analysis.inputs.length;
+            inputs.push('-i', render.overlay.image);
+        }
+        
+        // Текст надписи передаем через файл, чтобы не экранировать его внутри filter_complex
+        if (render.overlay && render.overlay.text) {
+            textFile = path.join(this.settings.outputPath, `.title_${Date.now()}.txt`);
+            fs.writeFileSync(textFile, render.overlay.text, 'utf8');
+            options.textFile = textFile;
+        }
+        
+        try {
+            const plan = this.mergePlanner.buildRenderFilter(analysis, render, options);
             
-            // Create file list for FFmpeg (with proper Windows path escaping)
-            const listFile = path.join(videoDir, 'filelist.txt');
-            const fileList = videoFiles.map(file => {
-                const fullPath = path.join(videoDir, file);
-                // Convert Windows paths to forward slashes for FFmpeg
-                const ffmpegPath = fullPath.replace(/\\/g, '/');
-                return `file '${ffmpegPath}'`;
-            }).join('\n');
+            const { job, promise } = this.jobQueue.enqueue({
+                type: 'merge',
+                label: `Рендер ${path.basename(outputFile)}`,
+                args: [
+                    '-y', ...inputs,
+                    '-filter_complex', plan.filter,
+                    '-map', `[${plan.videoLabel}]`, '-map', `[${plan.audioLabel}]`,
+                    ...this.getEncodeArgs(),
+                    outputFile
+                ],
+                outputFile,
+                totalDuration: plan.totalDuration,
+                meta: { method: 'render', blocksCount: analysis.inputs.length }
+            });
             
-            console.log('📝 Creating filelist.txt:');
-            console.log(fileList);
+            console.log(`🎨 Render queued as ${job.id}`);
+            await promise;
+            console.log('✅ Video rendered with transitions and overlays');
+            return plan;
+        } finally {
+            if (textFile && fs.existsSync(textFile)) {
+                fs.unlinkSync(textFile);
+            }
+        }
+    }
+
+    // Обработка звука каждого дубля; возвращает относительные пути обработанных копий.
+    // processedFiles - копии, которые начали создаваться (удаляет вызывающий)
+    async processTakesAudio(validBlocks, options, processedFiles = []) {
+        const videoDir = this.settings.outputPath;
+        const processedDir = path.join(videoDir, '.processed');
+        if (!fs.existsSync(processedDir)) {
+            fs.mkdirSync(processedDir, { recursive: true });
+        }
+        
+        const steps = ['trimSilence', 'loudnorm', 'denoise'].filter(step => options[step]);
+        console.log(`🎚️ Обработка звука (${steps.join(', ')}) для ${validBlocks.length} дублей`);
+        
+        const mergeInputs = [];
+        const audioReports = [];
+        
+        for (const block of validBlocks) {
+            const inputFile = path.join(videoDir, block);
+            const media = await this.mediaProbe.probe(inputFile);
             
-            fs.writeFileSync(listFile, fileList, 'utf8');
+            if (!media.hasAudio) {
+                console.log(`⚠️ ${block}: нет звуковой дорожки, обработка пропущена`);
+                mergeInputs.push(block);
+                continue;
+            }
             
-            // Build FFmpeg command with proper quoting
-            const ffmpegCmd = `"${this.ffmpegPath}" -f concat -safe 0 -i "${listFile}" -c copy "${outputFile}"`;
+            const relativeOutput = path.join('.processed', block);
+            // Временная копия остается в контейнере исходного дубля
+            const format = path.extname(block).slice(1).toLowerCase();
+            const encodeArgs = this.getEncodeArgs(format);
+            const copyArgs = ['-c:v', 'copy', ...OutputFormats.audioArgs(format, this.settings.videoQuality)];
+            processedFiles.push(relativeOutput);
+            const report = await this.audioProcessor.process(inputFile, path.join(videoDir, relativeOutput), options, media, encodeArgs, copyArgs);
+            const takeInfo = this.getTakeInfo(block);
+            const fullReport = { file: block, blockIndex: takeInfo.blockIndex, ...report };
             
-            console.log('🎬 Running FFmpeg command:');
-            console.log(ffmpegCmd);
+            console.log(`🎚️ ${block}: обрезано ${report.trimmedStart.toFixed(2)}с / ${report.trimmedEnd.toFixed(2)}с` +
+                (report.loudness ? `, громкость ${report.loudness.inputLufs} LUFS -> ${report.loudness.targetLufs} LUFS` : '') +
+                (report.silent ? ', без звука' : ''));
+            report.warnings.forEach(warning => console.log(`   ⚠️ ${warning}`));
             
-            exec(ffmpegCmd, (error, stdout, stderr) => {
-                // Clean up temp file
-                try {
-                    fs.unlinkSync(listFile);
-                    console.log('🗑️ Cleaned up temporary filelist.txt');
-                } catch (cleanupError) {
-                    console.log('⚠️ Could not delete temp file:', cleanupError.message);
-                }
-                
-                if (error) {
-                    console.error('❌ FFmpeg error:', error.message);
-                    console.error('📋 FFmpeg stderr:', stderr);
-                    reject(new Error(`FFmpeg failed: ${error.message}`));
-                } else {
-                    console.log('✅ Videos merged successfully with concat method');
-                    if (stdout) console.log('📋 FFmpeg stdout:', stdout);
-                    resolve();
-                }
+            this.broadcastToClients({
+                type: 'audio_processed',
+                data: fullReport
             });
+            
+            mergeInputs.push(relativeOutput);
+            audioReports.push(fullReport);
+        }
+        
+        return { mergeInputs, audioReports };
+    }
+
+    cleanupProcessedTakes(processedInputs) {
+        processedInputs.forEach(input => {
+            const filePath = path.join(this.settings.outputPath, input);
+            try {
+                if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+            } catch (error) {
+                console.log('⚠️ Не удалось удалить временный файл:', error.message);
+            }
         });
     }
 
-    async mergeVideosAlternative(videoFiles, outputFile) {
-        return new Promise((resolve, reject) => {
-            const videoDir = this.settings.outputPath;
-            
-            // Alternative method: using filter_complex
-            const inputs = videoFiles.map((file, index) => {
-                const fullPath = path.join(videoDir, file);
-                return `-i "${fullPath}"`;
-            }).join(' ');
-            
-            const filterComplex = videoFiles.map((_, index) => `[${index}:v][${index}:a]`).join('') + 
-                                 `concat=n=${videoFiles.length}:v=1:a=1[outv][outa]`;
-            
-            const ffmpegCmd = `"${this.ffmpegPath}" ${inputs} -filter_complex "${filterComplex}" -map "[outv]" -map "[outa]" "${outputFile}"`;
+    // Текст и номер блока для файла дубля: из активного проекта или из последних записей
+    getTakeInfo(filename) {
+        if (this.activeProject) {
+            for (const block of this.activeProject.blocks) {
+                const take = block.takes.find(t => t.filename === filename);
+                if (take) {
+                    return { blockIndex: block.index, text: block.text, section: block.section, outputTimecode: take.outputTimecode };
+                }
+            }
+        }
+        return { blockIndex: null, text: this.takeTexts.get(filename) || '', outputTimecode: null };
+    }
+
+    // Положение каждого блока в итоговом видео с учетом интро/аутро и перекрытия переходов
+    async buildBlockTimeline(validBlocks, mergeInputs, analysis, render, transitionDuration = 0) {
+        const videoDir = this.settings.outputPath;
+        if (!analysis) {
+            analysis = await this.mergePlanner.analyze(mergeInputs.map(block => path.join(videoDir, block)));
+        }
+        
+        const entries = [
+            render && render.intro ? { kind: 'intro', file: path.basename(render.intro) } : null,
+            ...validBlocks.map(file => ({ kind: 'block', file })),
+            render && render.outro ? { kind: 'outro', file: path.basename(render.outro) } : null
+        ].filter(Boolean);
+        
+        const timeline = [];
+        let start = 0;
+        
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            const info = entry.kind === 'block' ? this.getTakeInfo(entry.file) : { blockIndex: null, text: '', outputTimecode: null };
+            const duration = analysis.inputs[index].duration || Subtitles.parseTimecode(info.outputTimecode);
             
-            console.log('🔄 Running alternative FFmpeg command (filter_complex):');
-            console.log(ffmpegCmd);
+            if (!duration) {
+                console.log(`⚠️ Неизвестна длительность ${entry.file}, временная шкала не построена`);
+                return null;
+            }
             
-            exec(ffmpegCmd, (error, stdout, stderr) => {
-                if (error) {
-                    console.error('❌ Alternative FFmpeg error:', error.message);
-                    console.error('📋 Alternative FFmpeg stderr:', stderr);
-                    reject(new Error(`Alternative FFmpeg failed: ${error.message}`));
-                } else {
-                    console.log('✅ Videos merged successfully with filter_complex method');
-                    if (stdout) console.log('📋 Alternative FFmpeg stdout:', stdout);
-                    resolve();
-                }
-            });
+            timeline.push({ ...entry, blockIndex: info.blockIndex, text: info.text, section: info.section || null, start, duration });
+            start += duration - (index < entries.length - 1 ? transitionDuration : 0);
+        }
+        
+        return timeline;
+    }
+
+    // Создает .srt и .vtt рядом с видео; mode: files (только файлы), soft (дорожка), burn (вшить), none
+    async writeSubtitles(outputFile, timeline, options = {}) {
+        const mode = (options && options.mode) || 'files';
+        if (mode === 'none') {
+            return null;
+        }
+        if (!['files', 'soft', 'burn'].includes(mode)) {
+            throw new Error(`Unknown subtitles mode: ${mode}`);
+        }
+        if (!timeline) {
+            throw new Error('нет временной шкалы блоков');
+        }
+        
+        // Заметки ((...)) диктору не произносятся и в субтитры не попадают
+        const cues = Subtitles.buildCues(timeline
+            .filter(entry => entry.kind === 'block' && entry.text)
+            .map(entry => ({ ...entry, text: ScriptParser.spokenText(entry.text) })));
+        if (cues.length === 0) {
+            console.log('ℹ️ Нет текста блоков для субтитров');
+            return null;
+        }
+        
+        const base = outputFile.slice(0, -path.extname(outputFile).length);
+        const srtFile = `${base}.srt`;
+        const vttFile = `${base}.vtt`;
+        fs.writeFileSync(srtFile, Subtitles.toSRT(cues), 'utf8');
+        fs.writeFileSync(vttFile, Subtitles.toVTT(cues), 'utf8');
+        console.log(`💬 Субтитры созданы: ${path.basename(srtFile)}, ${path.basename(vttFile)} (${cues.length} реплик)`);
+        
+        if (mode !== 'files') {
+            const last = timeline[timeline.length - 1];
+            await this.applySubtitles(outputFile, srtFile, mode, last.start + last.duration);
+        }
+        
+        return { srt: srtFile, vtt: vttFile, mode, cuesCount: cues.length };
+    }
+
+    // Встраивает субтитры отдельной дорожкой (soft) или вшивает в изображение (burn)
+    async applySubtitles(outputFile, srtFile, mode, totalDuration = null) {
+        const ext = path.extname(outputFile);
+        const tmpFile = `${outputFile.slice(0, -ext.length)}.subs_tmp${ext}`;
+        
+        let args;
+        if (mode === 'soft') {
+            const codecs = { '.mkv': 'srt', '.webm': 'webvtt' };
+            args = [
+                '-y', '-i', outputFile, '-i', srtFile,
+                '-map', '0', '-map', '1', '-c', 'copy',
+                '-c:s', codecs[ext.toLowerCase()] || 'mov_text',
+                '-metadata:s:s:0', 'language=rus',
+                tmpFile
+            ];
+        } else {
+            args = [
+                '-y', '-i', outputFile,
+                '-vf', `subtitles='${RenderSpec.escapeFilterPath(srtFile)}'`,
+                ...this.getEncodeArgs(), '-c:a', 'copy',
+                tmpFile
+            ];
+        }
+        
+        const { job, promise } = this.jobQueue.enqueue({
+            type: 'merge',
+            label: `Субтитры ${path.basename(outputFile)} (${mode})`,
+            args,
+            outputFile: tmpFile,
+            totalDuration,
+            meta: { method: `subtitles_${mode}` }
         });
+        
+        console.log(`💬 Subtitles (${mode}) queued as ${job.id}`);
+        await promise;
+        fs.renameSync(tmpFile, outputFile);
+    }
+
+    // Главы из блоков: список для описания YouTube (.chapters.txt), временная шкала (.timeline.json)
+    // и метаданные глав внутри файла; mode: embed (файлы и метаданные), files (только файлы), none
+    async writeChapters(outputFile, timeline, options = {}) {
+        const mode = (options && options.mode) || 'embed';
+        if (mode === 'none') {
+            return null;
+        }
+        if (!timeline) {
+            throw new Error('нет временной шкалы блоков');
+        }
+        
+        const chapters = Chapters.build(timeline);
+        if (chapters.length === 0) {
+            console.log('ℹ️ Нет блоков для глав');
+            return null;
+        }
+        
+        const base = outputFile.slice(0, -path.extname(outputFile).length);
+        const listFile = `${base}.chapters.txt`;
+        const timelineFile = `${base}.timeline.json`;
+        fs.writeFileSync(listFile, Chapters.toYouTube(chapters), 'utf8');
+        fs.writeFileSync(timelineFile, JSON.stringify(Chapters.toTimeline(chapters, timeline, path.basename(outputFile)), null, 2), 'utf8');
+        
+        const warnings = Chapters.youtubeWarnings(chapters);
+        console.log(`📑 Главы: ${path.basename(listFile)}, ${path.basename(timelineFile)} (${chapters.length})`);
+        warnings.forEach(warning => console.log(`   ⚠️ ${warning}`));
+        
+        if (mode === 'embed') {
+            const last = timeline[timeline.length - 1];
+            await this.applyChapters(outputFile, chapters, last.start + last.duration);
+        }
+        
+        return { list: listFile, timeline: timelineFile, mode, count: chapters.length, warnings };
+    }
+
+    // Переупаковка без перекодирования: главы из FFmetadata, потоки и прочие метаданные - из видео
+    async applyChapters(outputFile, chapters, totalDuration = null) {
+        const ext = path.extname(outputFile);
+        const tmpFile = `${outputFile.slice(0, -ext.length)}.chapters_tmp${ext}`;
+        const metadataFile = `${outputFile.slice(0, -ext.length)}.ffmetadata_${Date.now()}.txt`;
+        const format = OutputFormats.FORMATS[ext.slice(1).toLowerCase()];
+        
+        fs.writeFileSync(metadataFile, Chapters.toFFMetadata(chapters), 'utf8');
+        try {
+            const { job, promise } = this.jobQueue.enqueue({
+                type: 'merge',
+                label: `Главы ${path.basename(outputFile)}`,
+                args: [
+                    '-y', '-i', outputFile, '-f', 'ffmetadata', '-i', metadataFile,
+                    '-map', '0', '-map_chapters', '1', '-c', 'copy',
+                    ...(format && format.faststart ? ['-movflags', '+faststart'] : []),
+                    tmpFile
+                ],
+                outputFile: tmpFile,
+                totalDuration,
+                meta: { method: 'chapters' }
+            });
+            
+            console.log(`📑 Chapters queued as ${job.id}`);
+            await promise;
+            fs.renameSync(tmpFile, outputFile);
+        } finally {
+            fs.rmSync(metadataFile, { force: true });
+        }
+    }
+
+    // Параметры кодирования для склеек с перекодированием (формат и качество из настроек)
+    getEncodeArgs(format = this.settings.videoFormat, quality = this.settings.videoQuality) {
+        return OutputFormats.encodeArgs(format, quality);
     }
 
+    // Путь передается отдельным аргументом, без оболочки: outputPath меняется через update_settings
     openVideoFolder() {
         const platform = process.platform;
         let command;
         
         switch (platform) {
             case 'win32':
-                command = `explorer "${this.settings.outputPath}"`;
+                command = 'explorer';
                 break;
             case 'darwin':
-                command = `open "${this.settings.outputPath}"`;
+                command = 'open';
                 break;
             case 'linux':
-                command = `xdg-open "${this.settings.outputPath}"`;
+                command = 'xdg-open';
                 break;
             default:
                 console.log('📁 Video folder:', this.settings.outputPath);
                 return;
         }
         
-        exec(command, (error) => {
+        execFile(command, [this.settings.outputPath], (error) => {
             if (error) {
                 console.error('❌ Error opening folder:', error);
             } else {
@@ -592,21 +2597,27 @@ class VideoMasterServer {
         });
     }
 
-    broadcastOBSStatus(error = null, additionalData = {}) {
-        const statusData = {
+    getOBSStatus(error = null, additionalData = {}) {
+        return {
             connected: this.obsConnected,
+            backend: this.recorder ? this.recorder.kind : this.settings.recorder,
             error: error,
             ...additionalData
         };
-        
+    }
+
+    broadcastOBSStatus(error = null, additionalData = {}) {
         this.broadcastToClients({
             type: 'obs_status',
-            data: statusData
+            data: this.getOBSStatus(error, additionalData)
         });
     }
 
+    // Каждое событие получает следующий номер версии: клиент, заметивший пропуск, запрашивает get_state
     broadcastToClients(message) {
-        const messageStr = JSON.stringify(message);
+        this.webhooks.notify(message.type, message.data);
+        this.stateVersion += 1;
+        const messageStr = JSON.stringify({ ...message, version: this.stateVersion });
         this.clients.forEach(client => {
             if (client.readyState === WebSocket.OPEN) {
                 client.send(messageStr);
@@ -620,40 +2631,31 @@ class VideoMasterServer {
         }
     }
 
-    getDefaultOutputPath() {
-        const os = require('os');
-        const defaultPath = path.join(os.homedir(), 'Videos', 'VideoMaster');
-        
+    ensureOutputPath(outputPath) {
         // Create directory if it doesn't exist
-        if (!fs.existsSync(defaultPath)) {
-            fs.mkdirSync(defaultPath, { recursive: true });
-            console.log('📁 Created video directory:', defaultPath);
+        if (!fs.existsSync(outputPath)) {
+            fs.mkdirSync(outputPath, { recursive: true });
+            console.log('📁 Created video directory:', outputPath);
         }
         
-        return defaultPath;
+        return outputPath;
     }
 }
 
-// Start server
-const server = new VideoMasterServer();
-
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down Video Master Server...');
+// Start server (только при запуске node server.js, не при require)
+if (require.main === module) {
+    const server = new VideoMasterServer();
+    server.start().catch(error => {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    });
     
-    if (server.obsConnected) {
-        try {
-            await server.obs.disconnect();
-        } catch (error) {
-            console.error('❌ Error disconnecting from OBS:', error);
-        }
-    }
-    
-    if (server.wss) {
-        server.wss.close();
-    }
-    
-    process.exit(0);
-});
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 Shutting down Video Master Server...');
+        await server.stop();
+        process.exit(0);
+    });
+}
 
 module.exports = VideoMasterServer;
\ No newline at end of file
@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebhookNotifier = require('../lib/webhookNotifier');
+const MockObsServer = require('../lib/mockObsServer');
+const { FFMPEG, startServer, TestClient } = require('./helpers');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Приемник вебхуков: копит запросы, отвечает кодами из statuses по очереди (потом 200)
+async function startReceiver(statuses = []) {
+    const requests = [];
+    const waiters = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            requests.push({ headers: req.headers, body, payload: JSON.parse(body) });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+            res.end();
+            waiters.splice(0).forEach(check => check());
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        // Первый запрос с событием event, пришедший после from запросов
+        next(event, from = 0, timeoutMs = 5000) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`Timed out waiting for webhook ${event}`)), timeoutMs);
+                const check = () => {
+                    const found = requests.slice(from).find(request => request.payload.event === event);
+                    if (found) {
+                        clearTimeout(timer);
+                        resolve(found);
+                    } else {
+                        waiters.push(check);
+                    }
+                };
+                check();
+            });
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function api(server, pathname, { method = 'GET', body, token, headers = {} } = {}) {
+    return fetch(`http://127.0.0.1:${server.port}${pathname}`, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+}
+
+test('webhook delivery', async (t) => {
+    const receiver = await startReceiver([503, 404]);
+    t.after(() => receiver.close());
+
+    const hooks = [
+        { url: receiver.url, secret: 'hook-secret', events: ['video_merged'] },
+        { url: receiver.url, events: ['recording_started'], enabled: false }
+    ];
+    const notifier = new WebhookNotifier(() => hooks);
+    notifier.retryDelay = 10;
+
+    await t.test('signs the body, retries server errors and gives up on client errors', async () => {
+        assert.deepStrictEqual(notifier.notify('recording_started', {}), []);
+        assert.deepStrictEqual(notifier.notify('obs_health', {}), []);
+
+        const [delivery] = notifier.notify('video_merged', { outputFile: '/videos/Урок.mp4' });
+        const result = await delivery;
+
+        // 503 - повтор, 404 - ошибка настройки, дальше не повторяем
+        assert.deepStrictEqual(result, { delivered: false, attempts: 2, error: 'HTTP 404' });
+        assert.strictEqual(receiver.requests.length, 2);
+
+        const [first, second] = receiver.requests;
+        assert.strictEqual(first.payload.event, 'video_merged');
+        assert.strictEqual(first.payload.id, second.payload.id);
+        assert.strictEqual(second.headers['x-videomaster-attempt'], '2');
+        assert.strictEqual(first.headers['x-videomaster-signature'], `sha256=${WebhookNotifier.sign('hook-secret', first.body)}`);
+    });
+
+    await t.test('delivers after a retry', async () => {
+        receiver.requests.length = 0;
+        hooks[0].retries = 1;
+        const [delivery] = notifier.notify('video_merged', { outputFile: '/videos/Урок.mp4' });
+        assert.deepStrictEqual(await delivery, { delivered: true, attempts: 1 });
+    });
+});
+
+test('rest api', async (t) => {
+    const receiver = await startReceiver([500]);
+    const server = await startServer({
+        authToken: 'api-token',
+        settings: { webhooks: [{ url: receiver.url, secret: 'hook-secret', events: ['error'] }] }
+    });
+    server.webhooks.retryDelay = 10;
+    t.after(async () => {
+        await server.stop();
+        await receiver.close();
+    });
+
+    await t.test('requires the token', async () => {
+        assert.strictEqual((await api(server, '/api/status')).status, 401);
+
+        const response = await api(server, '/api/status', { token: 'api-token' });
+        assert.strictEqual(response.status, 200);
+        const status = await response.json();
+        assert.strictEqual(status.session.role, 'operator');
+        assert.strictEqual(status.recording.isRecording, false);
+        assert.deepStrictEqual(status.settings.webhooks, [{ url: receiver.url, events: ['error'], secretSet: true }]);
+    });
+
+    await t.test('lists videos with the same paging as get_video_list', async () => {
+        const response = await api(server, '/api/videos?page=1&pageSize=5&token=api-token');
+        assert.strictEqual(response.status, 200);
+        const list = await response.json();
+        assert.deepStrictEqual(list.videos, []);
+    });
+
+    await t.test('rejects bad requests before running the command', async () => {
+        const invalid = await api(server, '/api/blocks/accept', { method: 'POST', token: 'api-token', body: { blockIndex: -1 } });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await invalid.json()).field, 'data.blockIndex');
+
+        const merge = await api(server, '/api/merge', { method: 'POST', token: 'api-token', body: {} });
+        assert.strictEqual(merge.status, 400);
+
+        assert.strictEqual((await api(server, '/api/merge', { token: 'api-token' })).status, 405);
+        assert.strictEqual((await api(server, '/api/unknown', { token: 'api-token' })).status, 404);
+        assert.strictEqual((await api(server, '/api/recording/stop', {
+            method: 'POST', token: 'api-token', headers: { 'Content-Type': 'text/plain' }
+        })).status, 415);
+        assert.strictEqual((await api(server, '/api/recording/stop', {
+            method: 'POST', token: 'api-token', headers: { Origin: 'https://example.com' }
+        })).status, 403);
+        // Песочница чужого сайта присылает Origin: null
+        assert.strictEqual((await api(server, '/api/recording/stop', {
+            method: 'POST', token: 'api-token', headers: { Origin: 'null' }
+        })).status, 403);
+    });
+
+    await t.test('commands that cannot run now answer 409 or 404', async () => {
+        const start = await api(server, '/api/recording/start', { method: 'POST', token: 'api-token' });
+        assert.strictEqual(start.status, 409);
+        assert.deepStrictEqual(await start.json(), { error: 'Recorder not connected', code: 'recorder_disconnected', field: null });
+
+        const accept = await api(server, '/api/blocks/accept', { method: 'POST', token: 'api-token', body: { blockIndex: 0 } });
+        assert.strictEqual(accept.status, 409);
+        assert.strictEqual((await accept.json()).code, 'no_active_project');
+
+        server.activeProject = server.projectStore.create({ name: 'Api', blocks: ['Один'] });
+        const missing = await api(server, '/api/blocks/accept', { method: 'POST', token: 'api-token', body: { blockIndex: 0, filename: 'missing.mp4' } });
+        assert.strictEqual(missing.status, 404);
+        assert.strictEqual((await missing.json()).code, 'not_found');
+        server.activeProject = null;
+    });
+
+    await t.test('command failures are reported to the error webhook', async () => {
+        // Склейка идет в фоне: ответ 202, а ошибка (нет дублей или FFmpeg) - вебхуком
+        const response = await api(server, '/api/merge', { method: 'POST', token: 'api-token', body: { projectName: 'Empty' } });
+        assert.strictEqual(response.status, 202);
+
+        // Первая доставка получает 500 и повторяется
+        const hook = await receiver.next('error', 1);
+        assert.strictEqual(hook.payload.data.code, 'command_failed');
+        assert.strictEqual(hook.payload.data.requestType, 'merge_videos');
+        assert.strictEqual(hook.payload.data.source, 'api');
+        assert.strictEqual(hook.headers['x-videomaster-attempt'], '2');
+        assert.strictEqual(hook.headers['x-videomaster-signature'], `sha256=${WebhookNotifier.sign('hook-secret', hook.body)}`);
+    });
+
+    await t.test('settings sent back without secrets keep the webhook secret', async () => {
+        const client = await TestClient.connect(server, '?role=operator&token=api-token');
+        const { settings } = await client.next('state');
+
+        const webhooks = settings.webhooks.map(hook => ({ ...hook, events: ['error', 'disk_space'] }));
+        client.send('update_settings', { webhooks });
+        await client.next('settings', data => data.webhooks[0].events.length === 2);
+        assert.deepStrictEqual(server.settings.webhooks, [{ url: receiver.url, events: ['error', 'disk_space'], secret: 'hook-secret' }]);
+
+        client.send('update_settings', { webhooks: [{ ...webhooks[0], secret: '' }] });
+        await client.next('settings', data => !data.webhooks[0].secretSet);
+        client.close();
+    });
+});
+
+test('recording over the rest api', { skip: !FFMPEG && 'FFmpeg not found' }, async (t) => {
+    const receiver = await startReceiver();
+    const server = await startServer({
+        settings: { webhooks: [{ url: receiver.url, events: ['recording_started', 'recording_stopped'] }] }
+    });
+    const mock = await new MockObsServer({
+        port: 0,
+        recordDirectory: server.settings.outputPath,
+        ffmpegPath: FFMPEG,
+        capture: {
+            videoFormat: 'lavfi',
+            videoInput: 'testsrc2=size=320x240:rate=25',
+            audioFormat: 'lavfi',
+            audioInput: 'sine=frequency=440:sample_rate=48000'
+        }
+    }).start();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+        await mock.stop();
+        await receiver.close();
+    });
+
+    client.send('connect_obs', { address: `localhost:${mock.port}` });
+    await client.next('obs_status', data => data.connected === true);
+    client.send('create_project', { name: 'REST', blocks: ['Первый блок', 'Второй блок'] });
+    await client.next('project_state', data => data.project && data.project.name === 'REST');
+
+    // Без blockIndex - текущий блок проекта
+    assert.strictEqual((await api(server, '/api/recording/start', { method: 'POST' })).status, 200);
+    const started = await receiver.next('recording_started');
+    assert.strictEqual(started.payload.data.blockIndex, 0);
+    await delay(1000);
+
+    assert.strictEqual((await api(server, '/api/recording/stop', { method: 'POST' })).status, 200);
+    const stopped = await receiver.next('recording_stopped');
+    assert.strictEqual(stopped.payload.data.filename, started.payload.data.filename);
+
+    assert.strictEqual((await api(server, '/api/blocks/accept', { method: 'POST', body: {} })).status, 200);
+    const status = await (await api(server, '/api/status')).json();
+    assert.strictEqual(status.project.blocks[0].acceptedTake, stopped.payload.data.filename);
+    assert.strictEqual(status.project.currentIndex, 1);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Chapters = require('../lib/chapters');
+const VideoMasterServer = require('../server');
+const { FFMPEG, makeTempDir, makeClip } = require('./helpers');
+
+// Шкала как у buildBlockTimeline: интро, три блока (два под одним заголовком) и аутро
+const TIMELINE = [
+    { kind: 'intro', file: 'intro.mp4', blockIndex: null, text: '', section: null, start: 0, duration: 3 },
+    { kind: 'block', file: 'a.mp4', blockIndex: 0, text: 'Привет ((улыбнуться)) всем, сегодня говорим о главах в видео.', section: 'Вступление', start: 3, duration: 20 },
+    { kind: 'block', file: 'b.mp4', blockIndex: 1, text: 'Продолжение вступления.', section: 'Вступление', start: 23, duration: 15 },
+    { kind: 'block', file: 'c.mp4', blockIndex: 2, text: 'Итоги.', section: null, start: 38, duration: 3700 },
+    { kind: 'outro', file: 'outro.mp4', blockIndex: null, text: '', section: null, start: 3738, duration: 4 }
+];
+
+test('chapters', async (t) => {
+    await t.test('one chapter per heading or block, covering intro and outro', () => {
+        const chapters = Chapters.build(TIMELINE);
+
+        assert.deepStrictEqual(chapters, [
+            { index: 0, title: 'Вступление', start: 0, end: 38, blocks: [0, 1] },
+            { index: 1, title: 'Итоги', start: 38, end: 3742, blocks: [2] }
+        ]);
+        assert.strictEqual(Chapters.titleFromText(TIMELINE[1].text), 'Привет всем, сегодня говорим о главах…');
+        assert.deepStrictEqual(Chapters.youtubeWarnings(chapters), ['YouTube показывает главы, только если их не меньше 3']);
+    });
+
+    await t.test('writes the YouTube list, FFmetadata and timeline', () => {
+        const chapters = Chapters.build(TIMELINE);
+
+        assert.strictEqual(Chapters.toYouTube(chapters), '00:00 Вступление\n00:38 Итоги\n');
+        assert.strictEqual(Chapters.formatYouTubeTime(3725.9), '1:02:05');
+        assert.match(Chapters.toFFMetadata([{ title: 'A=B; #1', start: 0, end: 1.5 }]), /START=0\nEND=1500\ntitle=A\\=B\\; \\#1\n$/);
+
+        const timeline = Chapters.toTimeline(chapters, TIMELINE, 'Урок.mp4');
+        assert.strictEqual(timeline.duration, 3742);
+        assert.deepStrictEqual(timeline.entries.map(entry => entry.kind), ['intro', 'block', 'block', 'block', 'outro']);
+    });
+});
+
+test('chapter embedding', { skip: !FFMPEG && 'FFmpeg not found' }, async () => {
+    const dir = makeTempDir('chapters');
+    const server = new VideoMasterServer({
+        configFile: path.join(dir, 'config.json'),
+        ffmpegPath: FFMPEG,
+        settings: { outputPath: dir }
+    });
+    const outputFile = makeClip(path.join(dir, 'Урок.mp4'), 3);
+
+    const result = await server.writeChapters(outputFile, [
+        { kind: 'block', file: 'a.mp4', blockIndex: 0, text: 'Первый блок.', section: null, start: 0, duration: 1 },
+        { kind: 'block', file: 'b.mp4', blockIndex: 1, text: 'Второй блок.', section: null, start: 1, duration: 2 }
+    ]);
+
+    assert.strictEqual(result.count, 2);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'Урок.chapters.txt'), 'utf8'), '00:00 Первый блок\n00:01 Второй блок\n');
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'Урок.timeline.json'), 'utf8')).chapters.length, 2);
+
+    const metadata = execFileSync(FFMPEG, ['-v', 'error', '-i', outputFile, '-f', 'ffmetadata', '-'], { encoding: 'utf8' });
+    assert.strictEqual(metadata.match(/\[CHAPTER\]/g).length, 2);
+    assert.match(metadata, /title=Второй блок/);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(name => /ffmetadata|chapters_tmp/.test(name)), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ExportPresets = require('../lib/exportPresets');
+const { FFMPEG, startServer, makeClip, probe, TestClient } = require('./helpers');
+
+test('export presets', async (t) => {
+    await t.test('custom presets extend and override the built-in ones', () => {
+        const presets = ExportPresets.resolve([
+            { name: 'proxy', width: 320, height: 180 },
+            { name: 'archive', width: 1920, height: 1080, videoCodec: 'libvpx-vp9', container: 'webm' }
+        ]);
+
+        assert.deepStrictEqual(Object.keys(presets), ['youtube', 'shorts', 'square', 'proxy', 'archive']);
+        assert.strictEqual(presets.proxy.width, 320);
+        assert.strictEqual(presets.proxy.crf, 30);
+        assert.strictEqual(presets.archive.fit, 'pad');
+        assert.strictEqual(ExportPresets.outputName('Урок.mkv', presets.archive), 'Урок_archive.webm');
+    });
+
+    await t.test('rejects presets that cannot be encoded', () => {
+        assert.throws(() => ExportPresets.validate([{ name: 'bad', width: 1280, height: 720, container: 'webm' }]), /libx264 cannot be stored in webm/);
+        assert.throws(() => ExportPresets.validate([{ name: 'odd', width: 1081, height: 1920 }]), /even/);
+        assert.throws(() => ExportPresets.validate([{ name: 'empty' }]), /width and height/);
+    });
+
+    await t.test('builds crop, pad and scale filters', () => {
+        const { shorts, youtube, proxy } = ExportPresets.resolve();
+        assert.strictEqual(ExportPresets.buildVideoFilter(shorts), 'scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,fps=30,setsar=1,format=yuv420p');
+        assert.match(ExportPresets.buildVideoFilter(youtube), /pad=1920:1080:\(ow-iw\)\/2:\(oh-ih\)\/2:black,setsar=1/);
+        assert.match(ExportPresets.buildVideoFilter(proxy), /scale=trunc\(iw\/2\)\*2:trunc\(ih\/2\)\*2,fps=25/);
+    });
+});
+
+test('export commands', async (t) => {
+    const server = await startServer({
+        settings: {
+            exportPresets: [
+                { name: 'vertical', label: 'Вертикальное', width: 180, height: 320, fit: 'crop', crf: 35 },
+                { name: 'preview', width: 160, height: 160, fit: 'scale', crf: 35 }
+            ]
+        }
+    });
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+    });
+
+    await t.test('settings list built-in and custom presets', async () => {
+        client.send('get_settings');
+        const settings = await client.next('settings');
+        assert.deepStrictEqual(settings.exportPresetList.map(preset => preset.name), ['youtube', 'shorts', 'square', 'proxy', 'vertical', 'preview']);
+
+        client.send('update_settings', { exportPresets: [{ name: 'web', width: 640, height: 360, container: 'webm' }] });
+        const error = await client.next('error', message => message.requestType === 'update_settings');
+        assert.strictEqual(error.field, 'settings.exportPresets');
+    });
+
+    await t.test('rejects unknown presets before rendering', async () => {
+        client.send('export_video', { source: 'missing.mp4', presets: ['vertical', 'tiktok'] });
+        const error = await client.next('error', message => message.requestType === 'export_video');
+        assert.strictEqual(error.field, 'data.presets');
+        assert.match(error.message, /tiktok/);
+    });
+
+    await t.test('export_video renders every preset', { skip: !FFMPEG && 'FFmpeg not found' }, async () => {
+        makeClip(path.join(server.settings.outputPath, 'Урок.mp4'), 1);
+
+        client.send('export_video', { source: 'Урок.mp4', presets: ['vertical', 'preview'] });
+        const vertical = await client.next('video_exported', data => data.preset === 'vertical', 60000);
+        const preview = await client.next('video_exported', data => data.preset === 'preview', 60000);
+
+        assert.strictEqual(vertical.outputFile, path.join(server.settings.outputPath, 'Урок_vertical.mp4'));
+        assert.strictEqual(vertical.label, 'Вертикальное');
+        assert.strictEqual(vertical.fileSize, fs.statSync(vertical.outputFile).size);
+
+        const verticalMedia = await probe(vertical.outputFile);
+        assert.strictEqual(verticalMedia.width, 180);
+        assert.strictEqual(verticalMedia.height, 320);
+        assert.ok(verticalMedia.hasAudio);
+
+        // 4:3 вписывается в квадрат без полей
+        const previewMedia = await probe(preview.outputFile);
+        assert.strictEqual(previewMedia.width, 160);
+        assert.strictEqual(previewMedia.height, 120);
+    });
+});
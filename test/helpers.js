@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WebSocket = require('ws');
+const VideoMasterServer = require('../server');
+const MediaProbe = require('../lib/mediaProbe');
+
+// FFmpeg из FFMPEG_PATH или PATH; без него тесты склейки пропускаются
+function findFFmpeg() {
+    const candidate = process.env.FFMPEG_PATH || 'ffmpeg';
+    try {
+        execFileSync(candidate, ['-version'], { stdio: 'ignore' });
+        return candidate;
+    } catch (error) {
+        return null;
+    }
+}
+
+const FFMPEG = findFFmpeg();
+
+// Логи сервера мешают выводу тестов; TEST_VERBOSE=1 их оставляет
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+// Временные папки удаляются при выходе из процесса теста
+const tempDirs = [];
+process.on('exit', () => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function makeTempDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `video-master-${prefix}-`));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// Сервер на свободном порту с отдельной папкой вывода и файлом конфигурации
+async function startServer({ settings = {}, authToken = '' } = {}) {
+    const dir = makeTempDir('server');
+    const server = new VideoMasterServer({
+        configFile: path.join(dir, 'config.json'),
+        ffmpegPath: FFMPEG || undefined,
+        authToken,
+        settings: { port: 0, outputPath: path.join(dir, 'videos'), ...settings }
+    });
+    await server.start();
+    return server;
+}
+
+// Тестовый клип: testsrc2 + тон заданной длительности
+function makeClip(filePath, seconds, { size = '320x240', rate = 25 } = {}) {
+    execFileSync(FFMPEG, [
+        '-y', '-loglevel', 'error',
+        '-f', 'lavfi', '-i', `testsrc2=size=${size}:rate=${rate}:duration=${seconds}`,
+        '-f', 'lavfi', '-i', `sine=frequency=440:sample_rate=48000:duration=${seconds}`,
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-shortest',
+        filePath
+    ]);
+    return filePath;
+}
+
+function probe(filePath) {
+    return new MediaProbe(FFMPEG).probe(filePath);
+}
+
+// WebSocket-клиент, который копит сообщения сервера и умеет ждать нужное
+class TestClient {
+    constructor(url) {
+        this.url = url;
+        this.ws = null;
+        this.messages = [];
+        this.taken = new Set();
+        this.waiters = [];
+    }
+
+    // По умолчанию подключается как студия: с запросом роли оператора
+    static async connect(server, query = '?role=operator') {
+        const client = new TestClient(`ws://localhost:${server.port}${query}`);
+        await client.open();
+        return client;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.url);
+            this.ws.on('message', (raw) => {
+                this.messages.push(JSON.parse(raw));
+                this.checkWaiters();
+            });
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+    }
+
+    send(type, data) {
+        this.ws.send(JSON.stringify(data === undefined ? { type } : { type, data }));
+    }
+
+    // Первое еще не полученное сообщение данного типа (и подходящее под predicate).
+    // Возвращает data, для error - сообщение целиком ({ code, message, field, requestType })
+    next(type, predicate = () => true, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const waiter = { type, predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(item => item !== waiter);
+                const seen = this.messages
+                    .map(message => message.type === 'error' ? `error(${message.requestType}: ${message.message})` : message.type)
+                    .join(', ');
+                reject(new Error(`Timed out waiting for ${type}; received: ${seen}`));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+            this.checkWaiters();
+        });
+    }
+
+    checkWaiters() {
+        this.waiters = this.waiters.filter(waiter => {
+            const index = this.messages.findIndex((message, i) =>
+                !this.taken.has(i) && message.type === waiter.type && waiter.predicate(TestClient.payload(message)));
+            if (index === -1) return true;
+
+            this.taken.add(index);
+            clearTimeout(waiter.timer);
+            waiter.resolve(TestClient.payload(this.messages[index]));
+            return false;
+        });
+    }
+
+    static payload(message) {
+        return message.type === 'error' ? message : message.data || {};
+    }
+
+    close() {
+        this.waiters.forEach(waiter => clearTimeout(waiter.timer));
+        this.ws.close();
+    }
+}
+
+module.exports = { FFMPEG, makeTempDir, startServer, makeClip, probe, TestClient };
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FFMPEG, startServer, makeClip, TestClient } = require('./helpers');
+
+function url(server, pathname) {
+    return `http://127.0.0.1:${server.port}${pathname}`;
+}
+
+test('http server', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const outputPath = server.settings.outputPath;
+    fs.mkdirSync(outputPath, { recursive: true });
+    const content = Buffer.from('0123456789abcdefghij');
+    fs.writeFileSync(path.join(outputPath, 'take 1.mp4'), content);
+
+    await t.test('serves the UI and the prompter page', async () => {
+        const index = await fetch(url(server, '/'));
+        assert.strictEqual(index.status, 200);
+        assert.match(index.headers.get('content-type'), /text\/html/);
+        assert.match(await index.text(), /Video Master/);
+
+        assert.strictEqual((await fetch(url(server, '/prompter.html'))).status, 200);
+        assert.strictEqual((await fetch(url(server, '/server.js'))).status, 404);
+    });
+
+    await t.test('shares the port with the WebSocket server', async () => {
+        const client = await TestClient.connect(server);
+        await client.next('hello');
+        client.close();
+    });
+
+    await t.test('streams videos with byte ranges', async () => {
+        const full = await fetch(url(server, '/videos/take%201.mp4'));
+        assert.strictEqual(full.status, 200);
+        assert.strictEqual(full.headers.get('accept-ranges'), 'bytes');
+        assert.strictEqual(full.headers.get('content-type'), 'video/mp4');
+        assert.deepStrictEqual(Buffer.from(await full.arrayBuffer()), content);
+
+        const partial = await fetch(url(server, '/videos/take%201.mp4'), { headers: { Range: 'bytes=5-9' } });
+        assert.strictEqual(partial.status, 206);
+        assert.strictEqual(partial.headers.get('content-range'), 'bytes 5-9/20');
+        assert.strictEqual(await partial.text(), '56789');
+
+        const suffix = await fetch(url(server, '/videos/take%201.mp4'), { headers: { Range: 'bytes=-3' } });
+        assert.strictEqual(await suffix.text(), 'hij');
+
+        const outside = await fetch(url(server, '/videos/take%201.mp4'), { headers: { Range: 'bytes=50-' } });
+        assert.strictEqual(outside.status, 416);
+        assert.strictEqual(outside.headers.get('content-range'), 'bytes */20');
+    });
+
+    await t.test('offers downloads as attachments', async () => {
+        const response = await fetch(url(server, '/videos/take%201.mp4?download=1'), { method: 'HEAD' });
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /^attachment; filename="take 1.mp4"/);
+    });
+
+    await t.test('serves only media files from the output folder', async () => {
+        fs.writeFileSync(path.join(outputPath, 'notes.txt'), 'secret');
+        assert.strictEqual((await fetch(url(server, '/videos/notes.txt'))).status, 404);
+
+        fs.writeFileSync(path.join(outputPath, 'Урок.chapters.txt'), '00:00 Вступление\n');
+        const chapters = await fetch(url(server, `/videos/${encodeURIComponent('Урок.chapters.txt')}`));
+        assert.strictEqual(chapters.headers.get('content-type'), 'text/plain; charset=utf-8');
+        assert.strictEqual(await chapters.text(), '00:00 Вступление\n');
+        assert.strictEqual((await fetch(url(server, '/videos/missing.mp4'))).status, 404);
+        assert.strictEqual((await fetch(url(server, '/videos/..%2Fconfig.json'))).status, 400);
+        assert.strictEqual((await fetch(url(server, '/videos/take%201.mp4'), { method: 'POST' })).status, 405);
+    });
+
+    await t.test('reports health', async () => {
+        const response = await fetch(url(server, '/health'));
+        assert.deepStrictEqual(await response.json(), { status: 'ok' });
+    });
+});
+
+test('http token authentication', async (t) => {
+    const server = await startServer({ authToken: 'secret-token' });
+    t.after(() => server.stop());
+
+    fs.mkdirSync(server.settings.outputPath, { recursive: true });
+    fs.writeFileSync(path.join(server.settings.outputPath, 'take.mp4'), 'video');
+
+    assert.strictEqual((await fetch(url(server, '/'))).status, 200);
+    assert.strictEqual((await fetch(url(server, '/videos/take.mp4'))).status, 401);
+    assert.strictEqual((await fetch(url(server, '/videos/take.mp4?token=wrong'))).status, 401);
+    assert.strictEqual((await fetch(url(server, '/videos/take.mp4?token=secret-token'))).status, 200);
+
+    const bearer = await fetch(url(server, '/videos/take.mp4'), { headers: { Authorization: 'Bearer secret-token' } });
+    assert.strictEqual(bearer.status, 200);
+});
+
+test('thumbnails', { skip: !FFMPEG && 'FFmpeg not found' }, async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    fs.mkdirSync(server.settings.outputPath, { recursive: true });
+    makeClip(path.join(server.settings.outputPath, 'clip.mp4'), 2);
+
+    const response = await fetch(url(server, '/thumbnails/clip.mp4'));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'image/jpeg');
+    const image = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(image.readUInt16BE(0), 0xffd8);
+
+    // Превью кэшируется и удаляется вместе с видео
+    const cached = path.join(server.settings.outputPath, '.thumbnails', 'clip.mp4.jpg');
+    assert.ok(fs.existsSync(cached));
+    server.deleteVideo('clip.mp4');
+    assert.ok(!fs.existsSync(cached));
+
+    // Субтитры и главы лежат рядом с видео, но превью у них нет
+    fs.writeFileSync(path.join(server.settings.outputPath, 'clip.srt'), '1\n00:00:00,000 --> 00:00:01,000\nТекст\n');
+    fs.writeFileSync(path.join(server.settings.outputPath, 'clip.chapters.txt'), '00:00 Начало\n');
+    assert.strictEqual((await fetch(url(server, '/thumbnails/clip.srt'))).status, 404);
+    assert.strictEqual((await fetch(url(server, '/thumbnails/clip.chapters.txt'))).status, 404);
+    assert.ok(!fs.existsSync(path.join(server.settings.outputPath, '.thumbnails', 'clip.srt.jpg')));
+});
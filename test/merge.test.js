@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const VideoMasterServer = require('../server');
+const { FFMPEG, makeTempDir, makeClip, probe } = require('./helpers');
+
+// Склейка без WebSocket: сервер создается, но не запускается.
+// mergeNormalized - бывший mergeVideosAlternative (перекодирование с приведением к общему формату)
+test('merge pipeline', { skip: !FFMPEG && 'FFmpeg not found' }, async (t) => {
+    const dir = makeTempDir('merge');
+    const server = new VideoMasterServer({
+        configFile: path.join(dir, 'config.json'),
+        ffmpegPath: FFMPEG,
+        settings: { outputPath: dir, videoQuality: 'low' }
+    });
+
+    await t.test('mergeWithFFmpeg concatenates compatible clips without re-encoding', async () => {
+        makeClip(path.join(dir, 'a.mp4'), 1);
+        makeClip(path.join(dir, 'b.mp4'), 2);
+
+        const analysis = await server.mergePlanner.analyze([path.join(dir, 'a.mp4'), path.join(dir, 'b.mp4')], 'mp4');
+        assert.strictEqual(analysis.canStreamCopy, true, analysis.reasons.join('; '));
+
+        const outputFile = path.join(dir, 'concat.mp4');
+        await server.mergeWithFFmpeg(['a.mp4', 'b.mp4'], outputFile, analysis.totalDuration);
+
+        const output = await probe(outputFile);
+        assert.ok(Math.abs(output.duration - 3) < 0.3, `duration ${output.duration}`);
+        assert.strictEqual(output.width, 320);
+    });
+
+    await t.test('mergeNormalized re-encodes clips with different size and frame rate', async () => {
+        makeClip(path.join(dir, 'c.mp4'), 1, { size: '320x240', rate: 25 });
+        makeClip(path.join(dir, 'd.mp4'), 2, { size: '640x360', rate: 30 });
+
+        const analysis = await server.mergePlanner.analyze([path.join(dir, 'c.mp4'), path.join(dir, 'd.mp4')], 'mp4');
+        assert.strictEqual(analysis.canStreamCopy, false);
+        assert.ok(analysis.reasons.length > 0);
+
+        const outputFile = path.join(dir, 'normalized.mp4');
+        await server.mergeNormalized(outputFile, analysis);
+
+        const output = await probe(outputFile);
+        assert.ok(Math.abs(output.duration - 3) < 0.3, `duration ${output.duration}`);
+        assert.strictEqual(output.width, analysis.target.width);
+        assert.strictEqual(output.height, analysis.target.height);
+        assert.ok(output.hasAudio);
+    });
+
+    await t.test('mergeAnalyzed falls back to normalizing for mismatched clips', async () => {
+        const files = ['a.mp4', 'd.mp4'];
+        const analysis = await server.mergePlanner.analyze(files.map(file => path.join(dir, file)), 'mp4');
+
+        const method = await server.mergeAnalyzed(files, path.join(dir, 'auto.mp4'), analysis);
+        assert.strictEqual(method, 'normalize');
+        assert.ok(Math.abs((await probe(path.join(dir, 'auto.mp4'))).duration - 3) < 0.3);
+    });
+
+    await t.test('refuses an output name that would overwrite one of the takes', async () => {
+        await assert.rejects(server.mergeVideos({ projectName: 'a', blocks: ['a.mp4', 'b.mp4'] }), error => {
+            assert.strictEqual(error.code, 'validation_failed');
+            assert.strictEqual(error.field, 'data.projectName');
+            return true;
+        });
+        assert.ok(fs.existsSync(path.join(dir, 'a.mp4')));
+        assert.ok(Math.abs((await probe(path.join(dir, 'a.mp4'))).duration - 1) < 0.3);
+    });
+
+    await t.test('processed copies are tracked even when audio processing fails halfway', async () => {
+        const process = server.audioProcessor.process;
+        server.audioProcessor.process = async (inputFile, outputFile) => {
+            fs.writeFileSync(outputFile, 'partial');
+            if (inputFile.endsWith('b.mp4')) throw new Error('loudnorm failed');
+            return { trimmedStart: 0, trimmedEnd: 0, loudness: null, warnings: [] };
+        };
+
+        const processedFiles = [];
+        try {
+            await assert.rejects(server.processTakesAudio(['a.mp4', 'b.mp4'], { loudnorm: true }, processedFiles), /loudnorm failed/);
+        } finally {
+            server.audioProcessor.process = process;
+        }
+        assert.deepStrictEqual(processedFiles, [path.join('.processed', 'a.mp4'), path.join('.processed', 'b.mp4')]);
+
+        server.cleanupProcessedTakes(processedFiles);
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, '.processed')), []);
+    });
+
+    await t.test('a silent webm take skips loudnorm and keeps an opus track', async () => {
+        execFileSync(FFMPEG, [
+            '-y', '-loglevel', 'error',
+            '-f', 'lavfi', '-i', 'testsrc2=size=320x240:rate=25:duration=1',
+            '-f', 'lavfi', '-i', 'anullsrc=sample_rate=48000:channel_layout=mono',
+            '-c:v', 'libvpx', '-deadline', 'realtime', '-c:a', 'libopus', '-t', '1',
+            path.join(dir, 'silent.webm')
+        ]);
+
+        const processedFiles = [];
+        const { mergeInputs, audioReports } = await server.processTakesAudio(['silent.webm'], { loudnorm: true, targetLufs: -16, truePeak: -1.5, lra: 11 }, processedFiles);
+        assert.strictEqual(audioReports[0].silent, true);
+        assert.strictEqual(audioReports[0].loudness, null);
+        assert.ok(audioReports[0].warnings.some(warning => warning.includes('нет звука')));
+
+        const output = await probe(path.join(dir, mergeInputs[0]));
+        assert.strictEqual(output.audioCodec, 'opus');
+        server.cleanupProcessedTakes(processedFiles);
+    });
+});
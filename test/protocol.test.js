@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, TestClient } = require('./helpers');
+
+test('message protocol', async (t) => {
+    const server = await startServer();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+    });
+
+    await t.test('greets the client and reports recorder status', async () => {
+        const hello = await client.next('hello');
+        assert.strictEqual(hello.authRequired, false);
+
+        const status = await client.next('obs_status');
+        assert.strictEqual(status.connected, false);
+        assert.strictEqual(status.backend, 'obs');
+    });
+
+    await t.test('rejects invalid JSON', async () => {
+        client.ws.send('{not json');
+        const error = await client.next('error', message => message.code === 'invalid_json');
+        assert.strictEqual(error.requestType, null);
+    });
+
+    await t.test('rejects unknown message types', async () => {
+        client.send('format_disk');
+        const error = await client.next('error', message => message.code === 'unknown_type');
+        assert.strictEqual(error.field, 'type');
+    });
+
+    await t.test('validates message data against the schema', async () => {
+        client.send('start_recording', { blockIndex: -1 });
+        const error = await client.next('error', message => message.requestType === 'start_recording');
+        assert.strictEqual(error.code, 'validation_failed');
+        assert.strictEqual(error.field, 'data.blockIndex');
+
+        client.send('delete_video', { name: '../config.json' });
+        const pathError = await client.next('error', message => message.requestType === 'delete_video');
+        assert.strictEqual(pathError.code, 'validation_failed');
+    });
+
+    await t.test('returns settings without the OBS password', async () => {
+        client.send('get_settings');
+        const settings = await client.next('settings');
+        assert.strictEqual(settings.videoFormat, 'mp4');
+        assert.strictEqual(settings.recorder, 'obs');
+        assert.strictEqual(settings.obsPassword, undefined);
+        assert.ok(settings.formats.includes('webm'));
+    });
+
+    await t.test('rejects an output folder with shell metacharacters', async () => {
+        const outputPath = '/tmp/probe/x"; touch /tmp/probe/pwned; echo "';
+        client.send('update_settings', { outputPath });
+        const error = await client.next('error', message => message.requestType === 'update_settings');
+        assert.strictEqual(error.field, 'settings.outputPath');
+        assert.ok(!fs.existsSync('/tmp/probe/x"'));
+
+        client.send('update_settings', { outputPath: '/tmp/probe/line\nbreak' });
+        const control = await client.next('error', message => message.requestType === 'update_settings');
+        assert.strictEqual(control.code, 'validation_failed');
+    });
+
+    await t.test('refuses to record without a connected recorder', async () => {
+        client.send('start_recording', { blockIndex: 0, blockText: 'Текст' });
+        const error = await client.next('error', message => message.requestType === 'start_recording');
+        assert.match(error.message, /not connected/);
+    });
+
+    await t.test('refuses to merge a project with blocks that have no accepted take', async () => {
+        client.send('create_project', { name: 'Gaps', blocks: ['Один', 'Два', 'Три'] });
+        await client.next('project_state', data => data.project && data.project.name === 'Gaps');
+        server.activeProject.blocks[1].acceptedTake = 'take.mp4';
+
+        // Файлы клиента не подменяют дубли активного проекта
+        client.send('merge_videos', { projectName: 'Gaps', blocks: ['other.mp4'] });
+        const error = await client.next('error', message => message.requestType === 'merge_videos');
+        assert.strictEqual(error.code, 'no_take');
+        assert.match(error.message, /blocks 1, 3$/);
+    });
+});
+
+test('token authentication', async (t) => {
+    const server = await startServer({ authToken: 'secret-token' });
+    t.after(() => server.stop());
+
+    await t.test('requires auth before other commands', async () => {
+        const client = await TestClient.connect(server);
+        assert.strictEqual((await client.next('hello')).authRequired, true);
+
+        client.send('get_settings');
+        const error = await client.next('error');
+        assert.strictEqual(error.code, 'unauthorized');
+
+        client.send('auth', { token: 'secret-token' });
+        await client.next('auth_ok');
+        client.send('get_settings');
+        await client.next('settings');
+        client.close();
+    });
+
+    await t.test('closes the connection on a wrong token', async () => {
+        const client = await TestClient.connect(server);
+        const closed = new Promise(resolve => client.ws.once('close', code => resolve(code)));
+
+        client.send('auth', { token: 'wrong' });
+        assert.strictEqual((await client.next('error')).code, 'auth_failed');
+        assert.strictEqual(await closed, 4003);
+    });
+
+    await t.test('accepts the token in the query string', async () => {
+        const client = await TestClient.connect(server, '?role=operator&token=secret-token');
+        assert.strictEqual((await client.next('hello')).authRequired, false);
+        client.close();
+    });
+});
+
+test('session roles and state snapshot', async (t) => {
+    const server = await startServer();
+    const operator = await TestClient.connect(server, '?role=operator&name=Anna');
+    const viewer = await TestClient.connect(server, '?role=viewer');
+    t.after(async () => {
+        operator.close();
+        viewer.close();
+        await server.stop();
+    });
+
+    await t.test('sends a snapshot with the session and current state on connect', async () => {
+        const snapshot = await viewer.next('state');
+        assert.strictEqual(snapshot.session.role, 'viewer');
+        assert.strictEqual(snapshot.recording.isRecording, false);
+        assert.strictEqual(snapshot.project, null);
+        assert.strictEqual(snapshot.settings.obsPassword, undefined);
+        assert.strictEqual(snapshot.prompter.total, 0);
+
+        const { sessions } = await operator.next('sessions', data => data.sessions.length === 2);
+        assert.deepStrictEqual(sessions.map(session => [session.role, session.name]), [['operator', 'Anna'], ['viewer', null]]);
+    });
+
+    await t.test('only operators may change state', async () => {
+        viewer.send('start_recording', { blockIndex: 0 });
+        const error = await viewer.next('error', message => message.requestType === 'start_recording');
+        assert.strictEqual(error.code, 'forbidden');
+
+        viewer.send('merge_videos', { projectName: 'Nope' });
+        assert.strictEqual((await viewer.next('error', message => message.requestType === 'merge_videos')).code, 'forbidden');
+
+        viewer.send('get_settings');
+        await viewer.next('settings');
+    });
+
+    await t.test('there is only one operator and join cannot raise a role', async () => {
+        const second = await TestClient.connect(server);
+        assert.strictEqual((await second.next('state')).session.role, 'viewer');
+
+        second.send('join', { role: 'operator' });
+        const error = await second.next('error', message => message.requestType === 'join');
+        assert.strictEqual(error.code, 'forbidden');
+        second.close();
+
+        const unnamed = await TestClient.connect(server, '');
+        assert.strictEqual((await unnamed.next('state')).session.role, 'viewer');
+        unnamed.close();
+    });
+
+    await t.test('talent may drive the prompter but not accept takes', async () => {
+        const talent = await TestClient.connect(server, '?role=talent&name=Диктор');
+        assert.strictEqual((await talent.next('state')).session.role, 'talent');
+
+        operator.send('create_project', { name: 'Roles', blocks: ['Один', 'Два'] });
+        await talent.next('project_state', data => data.created);
+
+        talent.send('prompter_control', { action: 'next' });
+        assert.strictEqual((await operator.next('prompter_state', data => data.blockIndex === 1)).text, 'Два');
+
+        talent.send('accept_block', { blockIndex: 0, filename: null });
+        assert.strictEqual((await talent.next('error', message => message.requestType === 'accept_block')).code, 'forbidden');
+
+        // Понизить роль можно
+        talent.send('join', { role: 'viewer', name: 'Диктор' });
+        assert.strictEqual((await talent.next('joined')).session.role, 'viewer');
+        talent.close();
+    });
+
+    await t.test('numbers every broadcast after the snapshot version', async () => {
+        const late = await TestClient.connect(server, '?role=viewer');
+        const snapshot = await late.next('state');
+        assert.strictEqual(snapshot.project.name, 'Roles');
+
+        operator.send('prompter_control', { action: 'previous' });
+        await late.next('prompter_state');
+
+        const versions = late.messages.filter(message => message.version !== undefined).map(message => message.version);
+        assert.ok(versions.length >= 2);
+        versions.forEach((version, index) => assert.strictEqual(version, snapshot.version + index + 1));
+        late.close();
+    });
+});
+
+test('operator role is free again after the operator leaves', async (t) => {
+    const server = await startServer();
+    const first = await TestClient.connect(server);
+    const watcher = await TestClient.connect(server, '?role=viewer');
+    t.after(async () => {
+        watcher.close();
+        await server.stop();
+    });
+
+    assert.strictEqual((await first.next('state')).session.role, 'operator');
+    first.close();
+    await watcher.next('sessions', data => data.sessions.length === 1);
+
+    const next = await TestClient.connect(server);
+    assert.strictEqual((await next.next('state')).session.role, 'operator');
+    next.close();
+    await watcher.next('sessions', data => data.sessions.length === 1);
+
+    // Открытая вкладка забирает студию через join, пока оператора нет
+    watcher.send('join', { role: 'operator' });
+    assert.strictEqual((await watcher.next('joined')).session.role, 'operator');
+
+    const late = await TestClient.connect(server);
+    assert.strictEqual((await late.next('state')).session.role, 'viewer');
+    late.send('join', { role: 'operator' });
+    assert.strictEqual((await late.next('error', message => message.requestType === 'join')).code, 'forbidden');
+    late.close();
+});
+
+test('teleprompter state', async (t) => {
+    const server = await startServer();
+    const operator = await TestClient.connect(server);
+    const prompter = await TestClient.connect(server, '?role=talent');
+    t.after(async () => {
+        operator.close();
+        prompter.close();
+        await server.stop();
+    });
+
+    await t.test('follows the active project', async () => {
+        operator.send('create_project', { name: 'Prompter', blocks: ['[scene: Камера]\nПервый', 'Второй'] });
+        const state = await prompter.next('prompter_state', data => data.total === 2);
+        assert.strictEqual(state.blockIndex, 0);
+        assert.strictEqual(state.text, 'Первый');
+        assert.strictEqual(state.nextText, 'Второй');
+        assert.strictEqual(state.title, 'Prompter');
+    });
+
+    await t.test('is controlled remotely', async () => {
+        operator.send('prompter_control', { action: 'next' });
+        assert.strictEqual((await prompter.next('prompter_state')).text, 'Второй');
+
+        operator.send('prompter_control', { action: 'next' });
+        assert.strictEqual((await prompter.next('prompter_state')).finished, true);
+
+        operator.send('prompter_control', { action: 'goto', blockIndex: 0 });
+        operator.send('prompter_control', { action: 'play' });
+        await prompter.next('prompter_state', data => data.blockIndex === 0 && data.scrolling === true);
+
+        operator.send('prompter_control', { action: 'scroll', amount: -2 });
+        assert.deepStrictEqual(await prompter.next('prompter_command'), { action: 'scroll', amount: -2 });
+    });
+
+    await t.test('saves display settings to the config file', async () => {
+        operator.send('prompter_settings', { mirror: true, fontSize: 96 });
+        const state = await prompter.next('prompter_state', data => data.settings.mirror === true);
+        assert.strictEqual(state.settings.fontSize, 96);
+        assert.strictEqual(state.settings.scrollSpeed, 40);
+
+        const saved = JSON.parse(fs.readFileSync(server.config.configFile, 'utf8'));
+        assert.deepStrictEqual(saved.prompter, { mirror: true, fontSize: 96 });
+
+        operator.send('prompter_settings', { fontSize: 2 });
+        assert.strictEqual((await operator.next('error', message => message.requestType === 'prompter_settings')).field, 'data.fontSize');
+    });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const MockObsServer = require('../lib/mockObsServer');
+const ObsRecorder = require('../lib/obsRecorder');
+const { FFMPEG, startServer, probe, TestClient } = require('./helpers');
+
+// Маленькая картинка, чтобы запись успевала кодироваться в реальном времени
+const CAPTURE = {
+    videoFormat: 'lavfi',
+    videoInput: 'testsrc2=size=320x240:rate=25',
+    audioFormat: 'lavfi',
+    audioInput: 'sine=frequency=440:sample_rate=48000'
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// start_recording -> recording_started ... stop_recording -> recording_stopped -> accept_block
+async function recordBlock(client, blockIndex, durationMs) {
+    client.send('start_recording', { blockIndex });
+    const started = await client.next('recording_started', data => data.blockIndex === blockIndex);
+    await delay(durationMs);
+
+    client.send('stop_recording');
+    const stopped = await client.next('recording_stopped', data => data.blockIndex === blockIndex);
+    assert.strictEqual(stopped.filename, started.filename);
+    assert.strictEqual(stopped.fileExists, true);
+
+    client.send('accept_block', { blockIndex, filename: stopped.filename });
+    await client.next('project_state', data => data.project && data.project.blocks[blockIndex].acceptedTake === stopped.filename);
+    return stopped;
+}
+
+test('OBS address keeps the scheme and understands IPv6', () => {
+    assert.strictEqual(ObsRecorder.parseAddress('localhost', 4455), 'ws://localhost:4455');
+    assert.strictEqual(ObsRecorder.parseAddress('ws://10.0.0.2:4460', 4455), 'ws://10.0.0.2:4460');
+    assert.strictEqual(ObsRecorder.parseAddress('wss://obs.example.com', 4455), 'wss://obs.example.com');
+    assert.strictEqual(ObsRecorder.parseAddress('wss://obs.example.com:8443', 4455), 'wss://obs.example.com:8443');
+    assert.strictEqual(ObsRecorder.parseAddress('[::1]:4460', 4455), 'ws://[::1]:4460');
+    assert.strictEqual(ObsRecorder.parseAddress('::1', 4455), 'ws://[::1]:4455');
+    assert.throws(() => ObsRecorder.parseAddress('host:port', 4455), /Invalid OBS address/);
+});
+
+test('recording flow against the mock OBS', async (t) => {
+    const server = await startServer();
+    const mock = await new MockObsServer({
+        port: 0,
+        password: 'obs-password',
+        recordDirectory: server.settings.outputPath,
+        ffmpegPath: FFMPEG,
+        capture: CAPTURE
+    }).start();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+        await mock.stop();
+    });
+
+    const takes = [];
+
+    await t.test('connect_obs authenticates and reports scenes and audio inputs', async () => {
+        client.send('connect_obs', { address: `localhost:${mock.port}`, password: 'obs-password' });
+        await client.next('obs_status', data => data.connected === true);
+
+        const info = await client.next('obs_status', data => Array.isArray(data.scenes));
+        assert.deepStrictEqual(info.scenes, ['Камера', 'Экран+Камера', 'Заставка']);
+        assert.deepStrictEqual(info.audioSources, ['Mic/Aux', 'Desktop Audio']);
+        assert.strictEqual(info.recordingPath, server.settings.outputPath);
+        assert.strictEqual(info.backend, 'obs');
+    });
+
+    await t.test('create_project parses block directives', async () => {
+        client.send('create_project', {
+            name: 'Test Project',
+            blocks: ['[scene: Заставка]\n[mute: Mic/Aux]\nПервый блок', 'Второй блок']
+        });
+        const { project } = await client.next('project_state', data => data.project && data.project.name === 'Test Project');
+        assert.strictEqual(project.blocks[0].text, 'Первый блок');
+        assert.strictEqual(project.blocks[0].directives.scene, 'Заставка');
+        assert.deepStrictEqual(project.blocks[0].directives.mute, ['Mic/Aux']);
+        assert.strictEqual(project.blocks[1].directives, null);
+    });
+
+    await t.test('start_recording applies directives before recording', async () => {
+        const stopped = await recordBlock(client, 0, 1500);
+        takes.push(stopped);
+
+        assert.strictEqual((await client.next('obs_scene_changed')).sceneName, 'Заставка');
+        const input = await client.next('obs_input_state');
+        assert.deepStrictEqual(input, { inputName: 'Mic/Aux', muted: true });
+        assert.strictEqual(stopped.scene, 'Заставка');
+        assert.strictEqual(mock.state.currentScene, 'Заставка');
+        assert.strictEqual(mock.state.inputs['Mic/Aux'].muted, true);
+    });
+
+    await t.test('second block is recorded into a separate file', async () => {
+        // Имена файлов OBS различаются по секундам
+        await delay(1100);
+        const stopped = await recordBlock(client, 1, 1500);
+        takes.push(stopped);
+
+        assert.notStrictEqual(stopped.filename, takes[0].filename);
+        assert.ok(fs.existsSync(path.join(server.settings.outputPath, stopped.filename)));
+    });
+
+    await t.test('a second studio tab only watches the running recording', async () => {
+        await delay(1100);
+        const other = await TestClient.connect(server);
+        const snapshot = await other.next('state');
+        assert.strictEqual(snapshot.project.name, 'Test Project');
+        assert.strictEqual(snapshot.session.role, 'viewer');
+
+        client.send('start_recording', { blockIndex: 1 });
+        await client.next('recording_started');
+        assert.strictEqual((await other.next('recording_started')).blockIndex, 1);
+
+        other.send('start_recording', { blockIndex: 0 });
+        const error = await other.next('error', message => message.requestType === 'start_recording');
+        assert.strictEqual(error.code, 'forbidden');
+
+        client.send('stop_recording');
+        await client.next('recording_stopped');
+        other.close();
+    });
+
+    await t.test('merge_videos joins the accepted takes', { skip: !FFMPEG && 'FFmpeg not found' }, async () => {
+        client.send('merge_videos', { projectName: 'Test Project' });
+        const merged = await client.next('video_merged', () => true, 60000);
+
+        assert.strictEqual(merged.blocksCount, 2);
+        assert.strictEqual(merged.outputFile, path.join(server.settings.outputPath, 'Test Project.mp4'));
+
+        const durations = await Promise.all(takes.map(take => probe(take.fullPath).then(media => media.duration)));
+        const output = await probe(merged.outputFile);
+        const expected = durations.reduce((sum, duration) => sum + duration, 0);
+        assert.ok(Math.abs(output.duration - expected) < 0.5, `merged ${output.duration}s, takes ${expected}s`);
+        assert.ok(output.hasVideo && output.hasAudio);
+    });
+});
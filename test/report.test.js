@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SessionReport = require('../lib/sessionReport');
+const { startServer, TestClient } = require('./helpers');
+
+// Проект с дублями как после записи в OBS: recordedAt - момент остановки
+function makeProject() {
+    const take = (number, filename, status, recordedAt, outputTimecode, extra = {}) => ({
+        number, filename, fullPath: `/videos/${filename}`, outputTimecode, scene: null, droppedFrames: 0, recordedAt, status, ...extra
+    });
+
+    return {
+        id: 'p1',
+        name: 'Урок',
+        createdAt: '2026-01-01T10:00:00.000Z',
+        blocks: [
+            {
+                index: 0,
+                text: 'Привет, "мир"',
+                section: 'Вступление',
+                acceptedTake: 'b1-2.mp4',
+                takes: [
+                    take(1, 'b1-1.mp4', 'discarded', '2026-01-01T10:00:10.000Z', '00:00:10.000', { tags: ['запнулся'] }),
+                    take(2, 'b1-2.mp4', 'accepted', '2026-01-01T10:00:30.000Z', '00:00:08.000', { rating: 4, note: 'хорошо' })
+                ]
+            },
+            {
+                index: 1,
+                text: 'Второй блок',
+                section: null,
+                acceptedTake: 'b2-1.mp4',
+                takes: [take(1, 'b2-1.mp4', 'accepted', '2026-01-01T10:01:00.000Z', null)]
+            },
+            { index: 2, text: 'Не записан', section: null, acceptedTake: null, takes: [] }
+        ]
+    };
+}
+
+test('session report', async (t) => {
+    const report = SessionReport.build(makeProject(), new Map([['b2-1.mp4', 12]]));
+
+    await t.test('summarizes takes, durations and time spent per block', () => {
+        const [first, second, third] = report.blocks;
+
+        assert.strictEqual(first.chosenTake, 'b1-2.mp4');
+        assert.strictEqual(first.chosenDuration, 8);
+        assert.strictEqual(first.recordedDuration, 18);
+        assert.strictEqual(first.discarded, 1);
+        assert.strictEqual(first.firstTakeAt, '2026-01-01T10:00:00.000Z');
+        assert.strictEqual(first.timeSpent, 30);
+        assert.strictEqual(first.rating, 4);
+        assert.strictEqual(second.chosenDuration, 12);
+        assert.strictEqual(third.timeSpent, null);
+
+        assert.deepStrictEqual(report.totals, {
+            blocks: 3,
+            recordedBlocks: 2,
+            acceptedBlocks: 2,
+            takes: 3,
+            discardedTakes: 1,
+            retakeRatio: 0.33,
+            takesPerBlock: 1.5,
+            recordedDuration: 30,
+            finalDuration: 20,
+            sessionDuration: 60,
+            averageRating: 4
+        });
+    });
+
+    await t.test('renders CSV and Markdown', () => {
+        const csv = SessionReport.format(report, 'csv');
+        const lines = csv.replace(/^﻿/, '').split('\r\n');
+        assert.match(lines[0], /^block,section,text,takes/);
+        assert.strictEqual(lines[1], '1,Вступление,"Привет, ""мир""",2,1,b1-2.mp4,8,18,2026-01-01T10:00:00.000Z,2026-01-01T10:00:30.000Z,30,4,Дубль 1: запнулся; Дубль 2: ★4 - хорошо');
+
+        const markdown = SessionReport.format(report, 'markdown');
+        assert.match(markdown, /^# Отчет о съемке: Урок/);
+        assert.match(markdown, /доля пересъемок 33%/);
+        assert.match(markdown, /\| 3 \| Не записан \| 0 \| — \|/);
+    });
+});
+
+test('take annotations and report export', async (t) => {
+    const server = await startServer();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+    });
+
+    client.send('create_project', { name: 'Annotated', blocks: ['Первый', 'Второй'] });
+    await client.next('project_state', data => data.created);
+    server.projectStore.addTake(server.activeProject, 0, { filename: 'take1.mp4', fullPath: '/missing/take1.mp4', outputTimecode: '00:00:05.000' });
+    server.projectStore.addTake(server.activeProject, 0, { filename: 'take2.mp4', fullPath: '/missing/take2.mp4', outputTimecode: '00:00:04.000' });
+
+    await t.test('annotate_take stores rating, tags and note with the project', async () => {
+        client.send('annotate_take', { blockIndex: 0, filename: 'take1.mp4', tags: ['шум', ' шум ', 'свет'] });
+        client.send('discard_take', { blockIndex: 0, filename: 'take1.mp4' });
+        client.send('annotate_take', { blockIndex: 0, filename: 'take2.mp4', rating: 5, note: 'Лучший' });
+        const { project } = await client.next('project_state', data => data.project.blocks[0].takes[1].rating === 5);
+
+        const [discarded, kept] = project.blocks[0].takes;
+        assert.strictEqual(discarded.status, 'discarded');
+        assert.deepStrictEqual(discarded.tags, ['шум', 'свет']);
+        assert.strictEqual(kept.note, 'Лучший');
+        assert.strictEqual(server.projectStore.load(project.id).blocks[0].takes[1].rating, 5);
+
+        client.send('annotate_take', { blockIndex: 0, filename: 'take2.mp4', rating: 6 });
+        assert.strictEqual((await client.next('error', message => message.requestType === 'annotate_take')).field, 'data.rating');
+    });
+
+    await t.test('export_report returns the report in the requested format', async () => {
+        const viewer = await TestClient.connect(server, '?role=viewer');
+        viewer.send('export_report', { projectId: server.activeProject.id, format: 'csv' });
+        const report = await viewer.next('report');
+        viewer.close();
+
+        assert.strictEqual(report.filename, 'Annotated_report.csv');
+        assert.strictEqual(report.totals.takes, 2);
+        assert.strictEqual(report.totals.discardedTakes, 1);
+        assert.match(report.content, /Дубль 1: шум, свет; Дубль 2: ★5 - Лучший/);
+    });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScriptParser = require('../lib/scriptParser');
+const { startServer, TestClient } = require('./helpers');
+
+test('script parser', async (t) => {
+    await t.test('keeps abbreviations, decimals and ellipses inside sentences', () => {
+        assert.deepStrictEqual(
+            ScriptParser.splitSentences('Это т.е. пример А. С. Пушкина. Число 3.14 важно... или нет? Ну... Ладно! В 2020 г. было так.'),
+            ['Это т.е. пример А. С. Пушкина.', 'Число 3.14 важно... или нет?', 'Ну...', 'Ладно!', 'В 2020 г. было так.']
+        );
+    });
+
+    await t.test('groups sentences by word limits and respects manual breaks', () => {
+        const text = 'Раз два три. Четыре пять шесть. Семь восемь девять.\n\nНовый абзац.\n---\nПосле черты.';
+        const script = ScriptParser.parse(text, { minWords: 2, targetWords: 6, maxWords: 8 });
+
+        assert.deepStrictEqual(script.blocks.map(block => block.text), [
+            'Раз два три. Четыре пять шесть.',
+            'Семь восемь девять.',
+            'Новый абзац.',
+            'После черты.'
+        ]);
+        assert.strictEqual(script.totalWords, 13);
+    });
+
+    await t.test('derives block size from target seconds and speaking rate', () => {
+        assert.deepStrictEqual(ScriptParser.splitLimits({ targetSeconds: 20, wordsPerMinute: 120 }), { minWords: 20, targetWords: 40, maxWords: 60 });
+        assert.throws(() => ScriptParser.splitLimits({ minWords: 50, targetWords: 30 }), /minWords/);
+        assert.strictEqual(ScriptParser.parse('Слово '.repeat(30).trim() + '.', { wordsPerMinute: 120 }).blocks[0].duration, 15);
+    });
+
+    await t.test('attaches OBS directives and keeps notes out of the spoken text', () => {
+        const script = ScriptParser.parse('[scene: Камера]\nПривет ((улыбнуться)) всем.\n[mute: Mic]');
+        const [block] = script.blocks;
+
+        assert.strictEqual(block.text, 'Привет ((улыбнуться)) всем.');
+        assert.strictEqual(block.directives.scene, 'Камера');
+        assert.deepStrictEqual(block.notes, ['улыбнуться']);
+        assert.strictEqual(block.words, 2);
+        assert.strictEqual(ScriptParser.spokenText(block.text), 'Привет всем.');
+        assert.match(script.warnings[0], /\[mute: Mic\]/);
+    });
+
+    await t.test('imports Markdown and SRT', () => {
+        const markdown = ScriptParser.parse('# Вступление\n\nЭто **важно** и [ссылка](http://example.com).\n\n## Итог\n- Первый пункт.\n- Второй пункт.');
+        assert.strictEqual(markdown.format, 'markdown');
+        assert.deepStrictEqual(markdown.blocks.map(block => [block.section, block.text]), [
+            ['Вступление', 'Это важно и ссылка.'],
+            ['Итог', 'Первый пункт. Второй пункт.']
+        ]);
+
+        const srt = ScriptParser.parse('1\n00:00:01,000 --> 00:00:02,500\n<i>Первая</i> реплика\n\n2\n00:00:02,500 --> 00:00:04,000\nпродолжается.');
+        assert.strictEqual(srt.format, 'srt');
+        assert.deepStrictEqual(srt.blocks.map(block => block.text), ['Первая реплика продолжается.']);
+    });
+});
+
+test('script commands', async (t) => {
+    const server = await startServer({ settings: { script: { minWords: 1, targetWords: 3, maxWords: 5 } } });
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+    });
+
+    await t.test('parse_script returns blocks with estimated durations', async () => {
+        client.send('parse_script', { text: 'Один два три. Четыре пять шесть.', split: { wordsPerMinute: 60 } });
+        const script = await client.next('script_parsed');
+        assert.strictEqual(script.blocks.length, 2);
+        assert.strictEqual(script.blocks[0].duration, 3);
+        assert.strictEqual(script.totalDuration, 6);
+
+        client.send('parse_script', { text: 'Текст', format: 'docx' });
+        assert.strictEqual((await client.next('error', message => message.requestType === 'parse_script')).field, 'data.format');
+    });
+
+    await t.test('create_project splits the script on the server', async () => {
+        client.send('create_project', { name: 'Parsed', scriptText: '[scene: Экран]\nОдин два три. Четыре ((пауза)) пять.' });
+        const { project } = await client.next('project_state', data => data.created);
+
+        assert.deepStrictEqual(project.blocks.map(block => block.text), ['Один два три.', 'Четыре ((пауза)) пять.']);
+        assert.strictEqual(project.blocks[0].directives.scene, 'Экран');
+
+        client.send('create_project', { name: 'Empty', scriptText: '   ' });
+        assert.match((await client.next('error', message => message.requestType === 'create_project')).message, /at least one block/);
+    });
+
+    await t.test('rejects inconsistent block size settings', async () => {
+        client.send('update_settings', { script: { minWords: 10 } });
+        const error = await client.next('error', message => message.requestType === 'update_settings');
+        assert.match(error.message, /minWords/);
+    });
+});
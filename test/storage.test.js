@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ProjectStore = require('../lib/projectStore');
+const VideoLibrary = require('../lib/videoLibrary');
+const StorageManager = require('../lib/storageManager');
+const ProjectArchive = require('../lib/projectArchive');
+const MockObsServer = require('../lib/mockObsServer');
+const { makeTempDir, startServer, TestClient } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('disk space levels', () => {
+    const settings = { minFreeMB: 1024, warnFreeMB: 5120 };
+    assert.strictEqual(StorageManager.level(512, settings), 'critical');
+    assert.strictEqual(StorageManager.level(2048, settings), 'low');
+    assert.strictEqual(StorageManager.level(8192, settings), 'ok');
+
+    const space = StorageManager.checkSpace(makeTempDir('space'), settings);
+    assert.ok(space.totalMB > 0 && space.freeMB <= space.totalMB, JSON.stringify(space));
+});
+
+test('retention cleanup', async (t) => {
+    const root = makeTempDir('cleanup');
+    const store = new ProjectStore(root);
+    const storage = new StorageManager(root, store, new VideoLibrary(root, null, store));
+
+    ['old.mp4', 'chosen.mp4', 'open.mp4'].forEach(name => fs.writeFileSync(path.join(root, name), name));
+    const project = store.create({ name: 'Cleanup', blocks: ['Первый', 'Второй'] });
+    store.addTake(project, 0, { filename: 'old.mp4', fullPath: path.join(root, 'old.mp4') });
+    store.addTake(project, 0, { filename: 'chosen.mp4', fullPath: path.join(root, 'chosen.mp4') });
+    store.addTake(project, 1, { filename: 'open.mp4', fullPath: path.join(root, 'open.mp4') });
+    store.acceptTake(project, 0, 'chosen.mp4');
+
+    fs.writeFileSync(path.join(root, 'filelist.txt'), "file 'old.mp4'");
+    fs.writeFileSync(path.join(root, 'Урок.chapters_tmp.mp4'), 'tmp');
+    fs.writeFileSync(path.join(root, '.title_1714557600000.txt'), 'Заголовок');
+    fs.mkdirSync(path.join(root, '.processed'));
+    fs.writeFileSync(path.join(root, '.processed', 'chosen.mp4'), 'processed');
+    fs.writeFileSync(path.join(root, 'Урок.mp4'), 'merged');
+
+    await t.test('dry run only lists files', () => {
+        const report = storage.cleanup({}, { dryRun: true, now: Date.now() + 15 * DAY_MS });
+        assert.deepStrictEqual(report.takes.files, [{ projectId: project.id, blockIndex: 0, filename: 'old.mp4' }]);
+        assert.deepStrictEqual(report.temp.files.sort(), ['.processed/chosen.mp4', '.title_1714557600000.txt', 'filelist.txt', 'Урок.chapters_tmp.mp4'].map(file => path.normalize(file)).sort());
+        assert.deepStrictEqual(report.trash.files, []);
+        assert.ok(fs.existsSync(path.join(root, 'old.mp4')));
+        assert.ok(fs.existsSync(path.join(root, 'filelist.txt')));
+    });
+
+    await t.test('moves superseded takes to the trash and removes temp files', () => {
+        const report = storage.cleanup({}, { now: Date.now() + 15 * DAY_MS });
+        assert.strictEqual(report.takes.files.length, 1);
+        assert.strictEqual(report.temp.files.length, 4);
+        assert.strictEqual(report.freedBytes, report.temp.bytes);
+        assert.deepStrictEqual(report.projectIds, [project.id]);
+
+        assert.ok(!fs.existsSync(path.join(root, 'old.mp4')));
+        assert.ok(!fs.existsSync(path.join(root, 'filelist.txt')));
+        assert.ok(fs.existsSync(path.join(root, 'open.mp4')), 'blocks without an accepted take keep all takes');
+        assert.ok(fs.existsSync(path.join(root, 'Урок.mp4')));
+
+        const take = store.load(project.id).blocks[0].takes[0];
+        assert.strictEqual(take.status, 'discarded');
+        assert.strictEqual(take.trashPath, path.join(root, 'trash', 'old.mp4'));
+    });
+
+    await t.test('empties the trash after trashDays', () => {
+        assert.deepStrictEqual(storage.cleanup({}, { now: Date.now() + 20 * DAY_MS }).trash.files, []);
+
+        const report = storage.cleanup({}, { now: Date.now() + 45 * DAY_MS });
+        assert.deepStrictEqual(report.trash.files, [path.join('trash', 'old.mp4')]);
+        assert.strictEqual(report.freedBytes, 'old.mp4'.length);
+        assert.ok(!fs.existsSync(path.join(root, 'trash', 'old.mp4')));
+
+        const take = store.load(project.id).blocks[0].takes[0];
+        assert.strictEqual(take.trashPath, null);
+        assert.ok(take.purgedAt);
+    });
+});
+
+test('start_recording refuses when the disk is full', async (t) => {
+    const server = await startServer({ settings: { storage: { minFreeMB: 10000000, warnFreeMB: 10000000 } } });
+    const mock = await new MockObsServer({ port: 0, recordDirectory: server.settings.outputPath }).start();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+        await mock.stop();
+    });
+
+    client.send('connect_obs', { address: `localhost:${mock.port}` });
+    await client.next('obs_status', data => data.connected === true);
+
+    client.send('start_recording', { blockIndex: 0, blockText: 'Текст' });
+    const warning = await client.next('disk_space');
+    assert.strictEqual(warning.level, 'critical');
+    assert.strictEqual(warning.minFreeMB, 10000000);
+
+    const error = await client.next('error', message => message.requestType === 'start_recording');
+    assert.strictEqual(error.code, 'disk_full');
+    assert.strictEqual(server.isStartingRecording, false);
+});
+
+test('project archive export and import', async (t) => {
+    const source = await startServer();
+    const target = await startServer();
+    const sourceClient = await TestClient.connect(source);
+    const targetClient = await TestClient.connect(target);
+    t.after(async () => {
+        sourceClient.close();
+        targetClient.close();
+        await source.stop();
+        await target.stop();
+    });
+
+    // Проект с двумя дублями первого блока и склейкой с субтитрами
+    const videos = source.settings.outputPath;
+    const write = (name, content) => fs.writeFileSync(path.join(videos, name), content);
+    write('2024-05-01 10-00-00.mp4', 'первый дубль');
+    write('2024-05-01 10-01-00.mp4', 'второй дубль');
+    write('Урок.mp4', 'склейка');
+    write('Урок.srt', '1\n00:00:00,000 --> 00:00:01,000\nПривет\n');
+    const store = source.projectStore;
+    const project = store.create({ name: 'Урок', blocks: ['Привет', 'Пока'] });
+    store.addTake(project, 0, { filename: '2024-05-01 10-00-00.mp4', fullPath: path.join(videos, '2024-05-01 10-00-00.mp4') });
+    store.addTake(project, 0, { filename: '2024-05-01 10-01-00.mp4', fullPath: path.join(videos, '2024-05-01 10-01-00.mp4') });
+    store.acceptTake(project, 0, '2024-05-01 10-01-00.mp4');
+    store.addOutput(project, { outputFile: path.join(videos, 'Урок.mp4'), fileSize: 14, blocks: ['2024-05-01 10-01-00.mp4'], method: 'copy' });
+
+    let archive;
+
+    await t.test('bundles the chosen takes, outputs and a manifest', async () => {
+        sourceClient.send('export_project', { projectId: project.id });
+        archive = await sourceClient.next('project_exported');
+        assert.strictEqual(archive.archive, 'Урок.vmproject.tar');
+        assert.deepStrictEqual(archive.missing, []);
+
+        const { manifest, entries } = await ProjectArchive.read(archive.fullPath);
+        assert.deepStrictEqual(manifest.files.map(file => file.path), [
+            'project.json', 'takes/2024-05-01 10-01-00.mp4', 'outputs/Урок.mp4', 'outputs/Урок.srt'
+        ]);
+        assert.ok(entries.has('manifest.json'));
+    });
+
+    await t.test('imports on another machine with local paths', async () => {
+        fs.copyFileSync(archive.fullPath, path.join(target.settings.outputPath, archive.archive));
+        targetClient.send('import_project', { archive: archive.archive });
+        const imported = await targetClient.next('project_imported');
+        assert.deepStrictEqual(imported.written.sort(), ['2024-05-01 10-01-00.mp4', 'Урок.mp4', 'Урок.srt']);
+
+        const copy = target.projectStore.load(imported.project.id);
+        const [rejected, chosen] = copy.blocks[0].takes;
+        assert.strictEqual(copy.blocks[0].acceptedTake, '2024-05-01 10-01-00.mp4');
+        assert.strictEqual(chosen.fullPath, path.join(target.settings.outputPath, '2024-05-01 10-01-00.mp4'));
+        assert.strictEqual(rejected.status, 'discarded');
+        assert.strictEqual(copy.outputs[0].outputFile, path.join(target.settings.outputPath, 'Урок.mp4'));
+        assert.strictEqual(fs.readFileSync(chosen.fullPath, 'utf8'), 'второй дубль');
+    });
+
+    await t.test('re-import reuses identical files under a new project id', async () => {
+        sourceClient.send('import_project', { archive: archive.archive });
+        const imported = await sourceClient.next('project_imported');
+        assert.notStrictEqual(imported.project.id, project.id);
+        assert.deepStrictEqual(imported.written, []);
+        assert.strictEqual(imported.reused.length, 3);
+    });
+
+    await t.test('a damaged archive is rejected without leaving files', async () => {
+        const damaged = path.join(target.settings.outputPath, 'damaged.vmproject.tar');
+        const data = fs.readFileSync(archive.fullPath);
+        data[data.lastIndexOf('Привет')] ^= 1;
+        fs.writeFileSync(damaged, data);
+        const before = fs.readdirSync(target.settings.outputPath).length;
+
+        fs.rmSync(path.join(target.settings.outputPath, 'Урок.srt'));
+        targetClient.send('import_project', { archive: 'damaged.vmproject.tar' });
+        const error = await targetClient.next('error', message => message.requestType === 'import_project');
+        assert.match(error.message, /Checksum mismatch/);
+        assert.strictEqual(fs.readdirSync(target.settings.outputPath).length, before - 1);
+    });
+
+    await t.test('broken headers and a malformed project.json are rejected before anything is written', async () => {
+        const dir = makeTempDir('broken');
+        // Поле size первого заголовка (project.json) с пересчитанной контрольной суммой
+        const withSize = (size) => {
+            const data = fs.readFileSync(archive.fullPath);
+            data.write(`${size}\0`, 124, 12, 'ascii');
+            data.fill(' ', 148, 156);
+            const sum = data.subarray(0, 512).reduce((total, byte) => total + byte, 0);
+            data.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+            const file = path.join(dir, `size-${size}.tar`);
+            fs.writeFileSync(file, data);
+            return file;
+        };
+
+        await assert.rejects(ProjectArchive.extract(withSize('1000000'), dir), /Unexpected end of data/);
+        await assert.rejects(ProjectArchive.extract(withSize('zzzzzzzzzzz'), dir), /Invalid/);
+
+        const project = {
+            id: 'evil1', name: 'Evil', currentIndex: 0, outputs: [],
+            blocks: [{ index: 0, text: 'Текст', takes: [{ filename: '../../evil.mp4', status: 'pending' }], acceptedTake: null }]
+        };
+        const malformed = path.join(dir, 'malformed.tar');
+        await ProjectArchive.create(malformed, project, dir);
+        await assert.rejects(ProjectArchive.extract(malformed, dir), /Invalid project in archive: take in block 1/);
+
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['malformed.tar', 'size-1000000.tar', 'size-zzzzzzzzzzz.tar']);
+    });
+});
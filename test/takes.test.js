@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const TakeChecker = require('../lib/takeChecker');
+const FFmpegJobQueue = require('../lib/ffmpegJobQueue');
+const MediaProbe = require('../lib/mediaProbe');
+const MockObsServer = require('../lib/mockObsServer');
+const { FFMPEG, makeTempDir, makeClip, startServer, TestClient } = require('./helpers');
+
+const OPTIONS = TakeChecker.resolveOptions();
+
+// Фрагменты вывода blackdetect, freezedetect, silencedetect и volumedetect
+const STDERR = [
+    '[blackdetect @ 0x1] black_start:0 black_end:2.04 black_duration:2.04',
+    '[freezedetect @ 0x2] lavfi.freezedetect.freeze_start: 5.2',
+    '[freezedetect @ 0x2] lavfi.freezedetect.freeze_duration: 3.1',
+    '[freezedetect @ 0x2] lavfi.freezedetect.freeze_end: 8.3',
+    '[freezedetect @ 0x2] lavfi.freezedetect.freeze_start: 18',
+    '[silencedetect @ 0x3] silence_start: 10',
+    '[silencedetect @ 0x3] silence_end: 11.5 | silence_duration: 1.5',
+    '[Parsed_volumedetect_1 @ 0x4] mean_volume: -21.4 dB',
+    '[Parsed_volumedetect_1 @ 0x4] max_volume: 0.0 dB',
+    '[Parsed_volumedetect_1 @ 0x4] histogram_0db: 250'
+].join('\n');
+
+test('take checks', async (t) => {
+    await t.test('parses detector output; an unfinished freeze lasts until the end', () => {
+        const measured = TakeChecker.parse(STDERR, 20);
+
+        assert.deepStrictEqual(measured.black, [{ start: 0, end: 2.04, duration: 2.04 }]);
+        assert.strictEqual(measured.freezes.length, 2);
+        assert.strictEqual(measured.freezes[1].end, 20);
+        assert.strictEqual(measured.silences.length, 1);
+        assert.strictEqual(measured.meanVolume, -21.4);
+        assert.strictEqual(measured.clippedSamples, 250);
+    });
+
+    await t.test('warns about every problem found', () => {
+        const measured = TakeChecker.parse(STDERR, 20);
+        const report = TakeChecker.buildReport(measured, { duration: 20, hasVideo: true, hasAudio: true }, OPTIONS, {
+            text: 'Короткий текст блока.',
+            droppedFrames: 3
+        });
+
+        assert.strictEqual(report.warnings.length, 6);
+        assert.match(report.warnings[0], /черный кадр 2 с/);
+        assert.match(report.warnings[1], /застыло на 3\.1 с \(с 5\.2 с\)/);
+        assert.match(report.warnings[3], /клиппинг: 250/);
+        assert.match(report.warnings[4], /длинные паузы/);
+        assert.match(report.warnings[5], /кадров при записи: 3/);
+    });
+
+    await t.test('a clean take of the expected length has no warnings', () => {
+        const text = Array(50).fill('слово').join(' ');
+        const measured = TakeChecker.parse('mean_volume: -20.0 dB\nmax_volume: -3.0 dB', 21);
+        const report = TakeChecker.buildReport(measured, { duration: 21, hasVideo: true, hasAudio: true }, OPTIONS, { text });
+
+        assert.strictEqual(report.expectedDuration, 20);
+        assert.deepStrictEqual(report.warnings, []);
+
+        const short = TakeChecker.buildReport(measured, { duration: 6, hasVideo: true, hasAudio: true }, OPTIONS, { text });
+        assert.match(short.warnings[0], /возможно, пропущен текст/);
+    });
+});
+
+test('take check on a real file', { skip: !FFMPEG && 'FFmpeg not found' }, async () => {
+    const dir = makeTempDir('takes');
+    const checker = new TakeChecker(new FFmpegJobQueue(FFMPEG), new MediaProbe(FFMPEG));
+
+    // Камера закрыта, микрофон выключен
+    const broken = path.join(dir, 'broken.mp4');
+    execFileSync(FFMPEG, [
+        '-y', '-loglevel', 'error',
+        '-f', 'lavfi', '-i', 'color=black:size=320x240:rate=25:duration=3',
+        '-f', 'lavfi', '-i', 'anullsrc=sample_rate=48000:channel_layout=mono',
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-shortest',
+        broken
+    ]);
+    const report = await checker.check(broken, OPTIONS);
+    assert.match(report.warnings.join('\n'), /черный кадр почти весь дубль/);
+    assert.match(report.warnings.join('\n'), /звука нет/);
+
+    const clean = await checker.check(makeClip(path.join(dir, 'clean.mp4'), 3), OPTIONS);
+    assert.deepStrictEqual(clean.warnings, []);
+    assert.ok(clean.meanVolume > -40);
+});
+
+test('a take can be accepted while it is being checked', async (t) => {
+    const server = await startServer({ settings: { takeChecks: { maxWait: 0.5 } } });
+    const mock = await new MockObsServer({ port: 0, recordDirectory: server.settings.outputPath }).start();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+        await mock.stop();
+    });
+
+    // Проверка, которая не успевает за maxWait (например, ждет в очереди за склейкой)
+    let finishCheck;
+    server.ffmpegPath = server.ffmpegPath || 'ffmpeg';
+    server.takeChecker.check = () => new Promise(resolve => { finishCheck = resolve; });
+
+    client.send('connect_obs', { address: `localhost:${mock.port}` });
+    await client.next('obs_status', data => data.connected === true);
+    client.send('create_project', { name: 'Checked', blocks: ['Первый', 'Второй'] });
+    const { project } = await client.next('project_state', data => data.project && data.project.name === 'Checked');
+
+    client.send('start_recording', { blockIndex: 0 });
+    await client.next('recording_started');
+    client.send('stop_recording');
+
+    const saved = await client.next('project_state', data => data.project.blocks[0].takes.length === 1);
+    const { filename } = saved.project.blocks[0].takes[0];
+    client.send('accept_block', { blockIndex: 0, filename });
+    await client.next('project_state', data => data.project.blocks[0].acceptedTake === filename);
+
+    const stopped = await client.next('recording_stopped');
+    assert.strictEqual(stopped.quality.pending, true);
+
+    // Результат проверки попадает в проект дубля, даже если оператор уже открыл другой
+    client.send('create_project', { name: 'Next', blocks: ['Один'] });
+    await client.next('project_state', data => data.project.name === 'Next');
+    finishCheck({ warnings: ['звука нет'] });
+    await client.next('take_checked');
+
+    const checked = server.projectStore.load(project.id).blocks[0];
+    assert.strictEqual(checked.acceptedTake, filename);
+    assert.deepStrictEqual(checked.takes[0].quality, { warnings: ['звука нет'] });
+    assert.deepStrictEqual(server.activeProject.blocks[0].takes, []);
+});
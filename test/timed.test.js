@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TakeTimer = require('../lib/takeTimer');
+const MockObsServer = require('../lib/mockObsServer');
+const { FFMPEG, startServer, TestClient } = require('./helpers');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('take timer', async (t) => {
+    await t.test('estimates the block duration with a margin', () => {
+        const text = Array(50).fill('слово').join(' ');
+        assert.strictEqual(TakeTimer.estimate(text, { margin: 3 }, 150), 23);
+        assert.strictEqual(TakeTimer.estimate('Привет ((улыбнуться))', { margin: 0, minDuration: 5 }), 5);
+    });
+
+    await t.test('stands still while paused', async () => {
+        let expired = false;
+        const timer = new TakeTimer(0.3, () => { expired = true; });
+        timer.start();
+        await delay(100);
+        timer.pause();
+        const remaining = timer.remaining();
+        assert.ok(remaining > 0.1 && remaining <= 0.2, `remaining ${remaining}`);
+
+        await delay(300);
+        assert.strictEqual(expired, false);
+        assert.strictEqual(timer.remaining(), remaining);
+
+        timer.resume();
+        await delay(300);
+        assert.strictEqual(expired, true);
+    });
+});
+
+test('timed recording against the mock OBS', async (t) => {
+    const server = await startServer({
+        settings: { timedRecording: { countdown: 1, margin: 0, minDuration: 1 }, takeChecks: { enabled: false } }
+    });
+    const mock = await new MockObsServer({ port: 0, recordDirectory: server.settings.outputPath, ffmpegPath: FFMPEG }).start();
+    const client = await TestClient.connect(server);
+    t.after(async () => {
+        client.close();
+        await server.stop();
+        await mock.stop();
+    });
+
+    client.send('connect_obs', { address: `localhost:${mock.port}` });
+    await client.next('obs_status', data => data.connected === true);
+    client.send('create_project', { name: 'Timed', blocks: ['Первый блок.', 'Второй блок.'] });
+    await client.next('project_state', data => data.project && data.project.name === 'Timed');
+
+    await t.test('pause_recording needs a recording', async () => {
+        client.send('pause_recording');
+        const error = await client.next('error', message => message.requestType === 'pause_recording');
+        assert.strictEqual(error.code, 'not_recording');
+    });
+
+    await t.test('counts down, pauses and stops by itself', async () => {
+        client.send('start_recording', { blockIndex: 0, timed: true, duration: 1.5 });
+
+        const countdown = await client.next('recording_countdown');
+        assert.deepStrictEqual(countdown, { blockIndex: 0, remaining: 1, total: 1, cancelled: false });
+        const prompter = await client.next('prompter_state', data => data.countdown === 1);
+        assert.strictEqual(prompter.isRecording, false);
+
+        const started = await client.next('recording_started');
+        assert.strictEqual(started.timed, true);
+        assert.strictEqual(started.autoStopIn, 1.5);
+
+        client.send('pause_recording');
+        const paused = await client.next('recording_paused', data => data.paused);
+        assert.strictEqual(paused.pauses.length, 1);
+        assert.ok((await client.next('prompter_state', data => data.isPaused)).scrolling === false);
+        await delay(600);
+
+        client.send('resume_recording');
+        const resumed = await client.next('recording_paused', data => !data.paused);
+        assert.ok(resumed.autoStopIn > 1 && resumed.autoStopIn <= 1.5, `autoStopIn ${resumed.autoStopIn}`);
+
+        const stopped = await client.next('recording_stopped', () => true, 10000);
+        assert.strictEqual(stopped.stopReason, 'auto');
+        assert.strictEqual(stopped.timed, true);
+        assert.strictEqual(stopped.pauses.length, 1);
+        assert.ok(stopped.pauses[0].duration >= 0.5, `pause ${stopped.pauses[0].duration}`);
+        assert.strictEqual(stopped.pausedDuration, stopped.pauses[0].duration);
+
+        const { project } = await client.next('project_state', data => data.project && data.project.blocks[0].takes.length === 1);
+        const take = project.blocks[0].takes[0];
+        assert.strictEqual(take.stopReason, 'auto');
+        assert.deepStrictEqual(take.pauses, stopped.pauses);
+    });
+
+    await t.test('stop_recording during the countdown cancels the take', async () => {
+        client.send('start_recording', { blockIndex: 1, countdown: 5 });
+        await client.next('recording_countdown', data => data.blockIndex === 1 && !data.cancelled);
+
+        client.send('stop_recording');
+        const cancelled = await client.next('recording_countdown', data => data.cancelled);
+        assert.strictEqual(cancelled.blockIndex, 1);
+
+        // Отмененный отсчет не блокирует следующую запись; без timed автостопа нет
+        client.send('start_recording', { blockIndex: 1 });
+        const started = await client.next('recording_started', data => data.blockIndex === 1);
+        assert.strictEqual(started.autoStopIn, null);
+
+        client.send('stop_recording');
+        const stopped = await client.next('recording_stopped', data => data.blockIndex === 1);
+        assert.strictEqual(stopped.stopReason, 'manual');
+        assert.deepStrictEqual(stopped.pauses, []);
+    });
+
+    await t.test('a test recording does not become a take', async () => {
+        await client.next('project_state', data => data.project && data.project.blocks[1].takes.length === 1);
+
+        client.send('test_recording');
+        const started = await client.next('recording_started', () => true);
+        assert.strictEqual(started.test, true);
+
+        client.send('stop_recording');
+        const finished = await client.next('test_recording_finished', () => true, 10000);
+        assert.ok(finished.filename);
+
+        const takes = server.activeProject.blocks.map(block => block.takes.length);
+        assert.deepStrictEqual(takes, [1, 1]);
+    });
+});